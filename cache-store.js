@@ -0,0 +1,279 @@
+// cache-store.js - Where scraped profiles, opponent histories and the saved
+// login session are cached between runs
+// Lambda's /tmp is wiped between invocations, so production needs a shared
+// backend for cache hits to happen at all. Every backend stores the same JSON
+// entries; createCacheStore() adds the version check and per-type TTLs.
+//
+//   fileBackend(dir)          <dir>/<type>-<id>.json (local runs, default)
+//   s3Backend({ bucket })     s3://<bucket>/<prefix><type>-<id>.json
+//   dynamoBackend({ table })  one item per entry, gzipped, keyed by cacheKey
+//   memoryBackend()           in-process only, for tests and one-off runs
+//
+// Pick one with CACHE_BACKEND=fs|s3|dynamodb|memory (see cacheStoreFromEnv).
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+const CACHE_VERSION = "1.2"; // Bump this to invalidate cache
+
+// How long each entry type stays fresh. Opponent histories barely change from
+// week to week and are shared by every player who faced them, so they live
+// longest. Override with CACHE_TTL_<TYPE>_DAYS (e.g. CACHE_TTL_OPPONENT_DAYS).
+const CACHE_TTL_DAYS = {
+  profile: 7,
+  opponent: 14,
+  auth: 30, // Upper bound - a saved session ends when its cookies expire
+};
+const DEFAULT_TTL_DAYS = 7;
+
+// Backends that can expire entries themselves (DynamoDB TTL) keep them this
+// long - well past the TTLs, so incremental runs can still build on an old
+// profile
+const CACHE_RETENTION_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function cacheKey(type, id) {
+  return `${type}-${id}`;
+}
+
+function fileBackend(dir) {
+  const file = (key) => path.join(dir, `${key}.json`);
+  return {
+    describe: (key) => file(key),
+    async read(key) {
+      if (!fs.existsSync(file(key))) return null;
+      return fs.readFileSync(file(key), "utf8");
+    },
+    async write(key, json) {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(file(key), json);
+    },
+    async remove(key) {
+      fs.rmSync(file(key), { force: true });
+    },
+  };
+}
+
+function memoryBackend() {
+  const entries = new Map();
+  return {
+    describe: (key) => `memory:${key}`,
+    async read(key) {
+      return entries.has(key) ? entries.get(key) : null;
+    },
+    async write(key, json) {
+      entries.set(key, json);
+    },
+    async remove(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+// SDK clients are required lazily so local runs don't need them installed
+function s3Backend({ bucket, prefix = "cache/", client = null }) {
+  const {
+    S3Client,
+    GetObjectCommand,
+    PutObjectCommand,
+    DeleteObjectCommand,
+  } = require("@aws-sdk/client-s3");
+  const s3 =
+    client || new S3Client({ region: process.env.AWS_REGION || "us-east-1" });
+  const objectKey = (key) => `${prefix}${key}.json`;
+  return {
+    describe: (key) => `s3://${bucket}/${objectKey(key)}`,
+    async read(key) {
+      try {
+        const response = await s3.send(
+          new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }),
+        );
+        return await response.Body.transformToString();
+      } catch (e) {
+        if (e.name === "NoSuchKey" || e.$metadata?.httpStatusCode === 404) {
+          return null;
+        }
+        throw e;
+      }
+    },
+    async write(key, json) {
+      await s3.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(key),
+          Body: json,
+          ContentType: "application/json",
+        }),
+      );
+    },
+    async remove(key) {
+      await s3.send(
+        new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }),
+      );
+    },
+  };
+}
+
+// Items: { cacheKey, data (gzipped JSON), cachedAt, expiresAt }. Enable TTL on
+// expiresAt (see scripts/create-cache-table.sh). Gzip keeps big profiles
+// under DynamoDB's 400 KB item limit.
+function dynamoBackend({ table, client = null }) {
+  const {
+    DynamoDBDocumentClient,
+    GetCommand,
+    PutCommand,
+    DeleteCommand,
+  } = require("@aws-sdk/lib-dynamodb");
+  let docClient = client;
+  if (!docClient) {
+    const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+    docClient = DynamoDBDocumentClient.from(
+      new DynamoDBClient({
+        region: process.env.AWS_REGION || "us-east-1",
+        ...(process.env.DYNAMODB_ENDPOINT
+          ? { endpoint: process.env.DYNAMODB_ENDPOINT }
+          : {}),
+      }),
+    );
+  }
+  return {
+    describe: (key) => `dynamodb://${table}/${key}`,
+    async read(key) {
+      const response = await docClient.send(
+        new GetCommand({ TableName: table, Key: { cacheKey: key } }),
+      );
+      if (!response.Item || !response.Item.data) return null;
+      return zlib.gunzipSync(Buffer.from(response.Item.data)).toString("utf8");
+    },
+    async write(key, json) {
+      await docClient.send(
+        new PutCommand({
+          TableName: table,
+          Item: {
+            cacheKey: key,
+            data: zlib.gzipSync(json),
+            cachedAt: new Date().toISOString(),
+            expiresAt: Math.floor(
+              (Date.now() + CACHE_RETENTION_DAYS * DAY_MS) / 1000,
+            ),
+          },
+        }),
+      );
+    },
+    async remove(key) {
+      await docClient.send(
+        new DeleteCommand({ TableName: table, Key: { cacheKey: key } }),
+      );
+    },
+  };
+}
+
+function ttlDaysFor(ttls, type) {
+  const fromEnv = parseFloat(
+    process.env[`CACHE_TTL_${type.toUpperCase()}_DAYS`],
+  );
+  if (!isNaN(fromEnv)) return fromEnv;
+  return ttls[type] ?? DEFAULT_TTL_DAYS;
+}
+
+// Cache on top of a backend:
+//   get(type, id, { maxAgeDays })  entry, or null if missing/stale/old version
+//   set(type, id, data)            saves a copy stamped with _cacheVersion/_cachedAt
+//   remove(type, id)
+//   describe(type, id)             where the entry lives, for log messages
+function createCacheStore(backend, { ttls = CACHE_TTL_DAYS } = {}) {
+  return {
+    backend,
+    describe: (type, id) => backend.describe(cacheKey(type, id)),
+
+    async get(type, id, { maxAgeDays = ttlDaysFor(ttls, type) } = {}) {
+      let data;
+      try {
+        const json = await backend.read(cacheKey(type, id));
+        if (!json) return null;
+        data = JSON.parse(json);
+      } catch (e) {
+        console.log(`   Could not read cache for ${type}-${id}: ${e.message}`);
+        return null;
+      }
+
+      // Check version
+      if (data._cacheVersion !== CACHE_VERSION) {
+        console.log(
+          `   Cache version mismatch for ${type}-${id}, will refresh`,
+        );
+        return null;
+      }
+
+      // Check age against the TTL for this type
+      if (data._cachedAt) {
+        const ageInDays =
+          (Date.now() - new Date(data._cachedAt).getTime()) / DAY_MS;
+        if (ageInDays > maxAgeDays) {
+          console.log(
+            `   Cache expired for ${type}-${id} (${ageInDays.toFixed(1)} days old), will refresh`,
+          );
+          return null;
+        }
+      }
+
+      return data;
+    },
+
+    async set(type, id, data) {
+      // Stamp a copy - the caller's object is left as it was
+      const entry = {
+        ...data,
+        _cacheVersion: CACHE_VERSION,
+        _cachedAt: new Date().toISOString(),
+      };
+      try {
+        await backend.write(cacheKey(type, id), JSON.stringify(entry, null, 2));
+      } catch (e) {
+        // A cache that can't be written only costs speed - keep going
+        console.log(`   Could not write cache for ${type}-${id}: ${e.message}`);
+      }
+    },
+
+    async remove(type, id) {
+      await backend.remove(cacheKey(type, id));
+    },
+  };
+}
+
+// Backend from the environment:
+//   CACHE_BACKEND   fs (default) | s3 | dynamodb | memory
+//   CACHE_BUCKET    bucket for s3 (falls back to S3_BUCKET), CACHE_PREFIX
+//   CACHE_TABLE     table for dynamodb (default utr-cache)
+function cacheStoreFromEnv({ cacheDir }) {
+  const kind = (process.env.CACHE_BACKEND || "fs").toLowerCase();
+  let backend;
+  if (kind === "s3") {
+    const bucket = process.env.CACHE_BUCKET || process.env.S3_BUCKET;
+    if (!bucket) throw new Error("CACHE_BACKEND=s3 needs CACHE_BUCKET");
+    backend = s3Backend({ bucket, prefix: process.env.CACHE_PREFIX });
+  } else if (kind === "dynamodb") {
+    backend = dynamoBackend({ table: process.env.CACHE_TABLE || "utr-cache" });
+  } else if (kind === "memory") {
+    backend = memoryBackend();
+  } else if (kind === "fs") {
+    backend = fileBackend(cacheDir);
+  } else {
+    throw new Error(
+      `Unknown CACHE_BACKEND "${kind}" (expected fs, s3, dynamodb or memory)`,
+    );
+  }
+  return createCacheStore(backend);
+}
+
+module.exports = {
+  CACHE_TTL_DAYS,
+  createCacheStore,
+  cacheStoreFromEnv,
+  fileBackend,
+  memoryBackend,
+  s3Backend,
+  dynamoBackend,
+};
@@ -0,0 +1,185 @@
+// credentials.js - Where the UTR login comes from
+// resolveCredentials() asks each provider in turn and returns the first
+// { email, password, source } it gets, or null:
+//
+//   options         credentials passed to scrapeUTR
+//   env             UTR_EMAIL / UTR_PASSWORD
+//   encrypted-file  UTR_CREDENTIALS_FILE (default secrets.enc.json next to this
+//                   script), encrypted with UTR_CREDENTIALS_KEY
+//   secrets         UTR_SECRET_ID (Secrets Manager) or UTR_SSM_PARAMETER (SSM
+//                   SecureString), read through the AWS Parameters and Secrets
+//                   Lambda extension's local HTTP endpoint
+//   plaintext-file  SECRETS_PATH or secrets.json - still read, with a warning,
+//                   until it's converted to an encrypted file
+//
+// Nothing here writes a plaintext password to disk. To create the encrypted
+// file:
+//   UTR_CREDENTIALS_KEY=... UTR_EMAIL=... UTR_PASSWORD=... node credentials.js encrypt
+//   UTR_CREDENTIALS_KEY=... node credentials.js encrypt --from secrets.json
+
+const fs = require("fs");
+const path = require("path");
+const { parseKey, encryptJson, decryptJson } = require("./crypto-box");
+
+const CREDENTIALS_KEY_ENV = "UTR_CREDENTIALS_KEY";
+const DEFAULT_ENCRYPTED_FILE = path.join(__dirname, "secrets.enc.json");
+const DEFAULT_PLAINTEXT_FILE = path.join(__dirname, "secrets.json");
+
+// The extension listens here inside Lambda; point SECRETS_EXTENSION_ENDPOINT
+// at utr-stub-server.js to try it locally
+const DEFAULT_SECRETS_ENDPOINT = "http://localhost:2773";
+const SECRETS_TIMEOUT_MS = 5000;
+
+// { email, password } from any of the shapes secrets get stored in, or null
+function normalizeCredentials(value) {
+  if (!value) return null;
+  if (typeof value === "string") value = JSON.parse(value);
+  const email = value.email || value.username || value.UTR_EMAIL;
+  const password = value.password || value.UTR_PASSWORD;
+  return email && password ? { email, password } : null;
+}
+
+function fromEnv(env) {
+  return normalizeCredentials({
+    email: env.UTR_EMAIL,
+    password: env.UTR_PASSWORD,
+  });
+}
+
+function fromEncryptedFile(env) {
+  const file = env.UTR_CREDENTIALS_FILE || DEFAULT_ENCRYPTED_FILE;
+  if (!fs.existsSync(file)) return null;
+  const key = parseKey(env[CREDENTIALS_KEY_ENV], CREDENTIALS_KEY_ENV);
+  if (!key) throw new Error(`${file} needs ${CREDENTIALS_KEY_ENV} to decrypt`);
+  const box = JSON.parse(fs.readFileSync(file, "utf8"));
+  try {
+    return normalizeCredentials(decryptJson(box, key));
+  } catch (e) {
+    throw new Error(
+      `${file} could not be decrypted with ${CREDENTIALS_KEY_ENV}`,
+    );
+  }
+}
+
+async function fetchSecret(endpoint, urlPath, token) {
+  const response = await fetch(`${endpoint.replace(/\/$/, "")}${urlPath}`, {
+    headers: { "X-Aws-Parameters-Secrets-Token": token || "" },
+    signal: AbortSignal.timeout(SECRETS_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`${urlPath.split("?")[0]} returned ${response.status}`);
+  }
+  return await response.json();
+}
+
+// Secrets Manager secret or SSM parameter holding {"email", "password"} JSON
+async function fromSecretsExtension(env) {
+  const endpoint = env.SECRETS_EXTENSION_ENDPOINT || DEFAULT_SECRETS_ENDPOINT;
+  const token = env.AWS_SESSION_TOKEN;
+  if (env.UTR_SECRET_ID) {
+    const secret = await fetchSecret(
+      endpoint,
+      `/secretsmanager/get?secretId=${encodeURIComponent(env.UTR_SECRET_ID)}`,
+      token,
+    );
+    return normalizeCredentials(secret.SecretString);
+  }
+  if (env.UTR_SSM_PARAMETER) {
+    const parameter = await fetchSecret(
+      endpoint,
+      `/systemsmanager/parameters/get?name=${encodeURIComponent(env.UTR_SSM_PARAMETER)}&withDecryption=true`,
+      token,
+    );
+    return normalizeCredentials(parameter.Parameter?.Value);
+  }
+  return null;
+}
+
+function fromPlaintextFile(env) {
+  const file = env.SECRETS_PATH || DEFAULT_PLAINTEXT_FILE;
+  if (!fs.existsSync(file)) return null;
+  console.log(
+    `⚠️  Reading a plaintext password from ${file} - encrypt it with: node credentials.js encrypt --from ${file}`,
+  );
+  return normalizeCredentials(fs.readFileSync(file, "utf8"));
+}
+
+// First credentials any provider has, tagged with where they came from.
+// A provider that fails is logged and skipped.
+async function resolveCredentials(
+  fromOptions = null,
+  { env = process.env } = {},
+) {
+  const providers = [
+    ["options", () => normalizeCredentials(fromOptions)],
+    ["env", () => fromEnv(env)],
+    ["encrypted-file", () => fromEncryptedFile(env)],
+    ["secrets", () => fromSecretsExtension(env)],
+    ["plaintext-file", () => fromPlaintextFile(env)],
+  ];
+  for (const [source, provider] of providers) {
+    try {
+      const credentials = await provider();
+      if (credentials) {
+        console.log(`📧 Credentials loaded from: ${source}`);
+        return { ...credentials, source };
+      }
+    } catch (e) {
+      console.log(`ℹ️  Could not load ${source} credentials: ${e.message}`);
+    }
+  }
+  console.log("ℹ️  No UTR credentials found");
+  return null;
+}
+
+// node credentials.js encrypt [--from <plaintext.json>] [--out <file>]
+function encryptCommand(argv, env = process.env) {
+  const argAfter = (flag) => {
+    const index = argv.indexOf(flag);
+    return index === -1 ? null : argv[index + 1];
+  };
+  const key = parseKey(env[CREDENTIALS_KEY_ENV], CREDENTIALS_KEY_ENV);
+  if (!key) {
+    throw new Error(
+      `Set ${CREDENTIALS_KEY_ENV} first (openssl rand -base64 32)`,
+    );
+  }
+  const from = argAfter("--from");
+  const credentials = from
+    ? normalizeCredentials(fs.readFileSync(from, "utf8"))
+    : fromEnv(env);
+  if (!credentials) {
+    throw new Error(
+      from
+        ? `No email/password in ${from}`
+        : "Set UTR_EMAIL and UTR_PASSWORD, or pass --from <secrets.json>",
+    );
+  }
+  const out =
+    argAfter("--out") || env.UTR_CREDENTIALS_FILE || DEFAULT_ENCRYPTED_FILE;
+  const box = encryptJson(credentials, key);
+  fs.writeFileSync(out, JSON.stringify(box, null, 2), { mode: 0o600 });
+  console.log(`🔒 Wrote encrypted credentials to ${out}`);
+  if (from) console.log(`   You can delete ${from} now`);
+}
+
+if (require.main === module) {
+  const [command, ...rest] = process.argv.slice(2);
+  if (command !== "encrypt") {
+    console.log(
+      "Usage: node credentials.js encrypt [--from <secrets.json>] [--out <file>]",
+    );
+    process.exit(1);
+  }
+  try {
+    encryptCommand(rest);
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  resolveCredentials,
+  normalizeCredentials,
+};
@@ -0,0 +1,61 @@
+// crypto-box.js - AES-256-GCM for the small JSON secrets kept on disk or in
+// the cache (saved login session, encrypted credentials file)
+// Keys are 32 bytes, given base64 or hex encoded. Generate one with:
+//   openssl rand -base64 32
+
+const crypto = require("crypto");
+
+const BOX_FORMAT = 1;
+
+// 32-byte key from a base64 or hex string, or null when unset. name is the
+// setting it came from, for the error message.
+function parseKey(value, name) {
+  if (!value) return null;
+  if (Buffer.isBuffer(value)) return value;
+  const trimmed = value.trim();
+  const key = /^[0-9a-f]{64}$/i.test(trimmed)
+    ? Buffer.from(trimmed, "hex")
+    : Buffer.from(trimmed, "base64");
+  if (key.length !== 32) {
+    throw new Error(
+      `${name} must be 32 bytes, base64 or hex encoded (openssl rand -base64 32)`,
+    );
+  }
+  return key;
+}
+
+function encryptJson(value, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([
+    cipher.update(JSON.stringify(value), "utf8"),
+    cipher.final(),
+  ]);
+  return {
+    format: BOX_FORMAT,
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+}
+
+// Throws if the box was tampered with or encrypted with another key
+function decryptJson(box, key) {
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    key,
+    Buffer.from(box.iv, "base64"),
+  );
+  decipher.setAuthTag(Buffer.from(box.tag, "base64"));
+  const json = Buffer.concat([
+    decipher.update(Buffer.from(box.data, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+  return JSON.parse(json);
+}
+
+module.exports = {
+  parseKey,
+  encryptJson,
+  decryptJson,
+};
@@ -1,383 +1,61 @@
 // generate-full-review.js - Generate comprehensive Year in Review from full scrape
 const fs = require("fs");
 const path = require("path");
-
-const scriptStartTime = Date.now();
-console.log(`\n⏱️  Generator started at: ${new Date().toISOString()}\n`);
-
-const PROFILE_ID = process.argv[2] || "904826";
-const TARGET_YEAR = process.argv[3] || "2025"; // Default to 2025
-
-// Load data
-let fullData, historyData;
-
-// Use OUTPUT_DIR from environment (for Lambda) or __dirname (for local)
-const dataDir = process.env.OUTPUT_DIR || process.env.CACHE_DIR || __dirname;
-
-try {
-  const dataPath = path.join(dataDir, `utr-full-${PROFILE_ID}.json`);
-  console.log(`Looking for data at: ${dataPath}`);
-  fullData = JSON.parse(fs.readFileSync(dataPath, "utf8"));
-  console.log(`✅ Loaded data from ${dataPath}`);
-} catch (e) {
-  console.log(
-    `No full data found at ${dataDir}/utr-full-${PROFILE_ID}.json. Run: node scraper-full.js ${PROFILE_ID}`,
-  );
-  // Fallback to existing data
-  try {
-    historyData = JSON.parse(
-      fs.readFileSync(path.join(dataDir, "utr-history-parsed.json"), "utf8"),
-    );
-  } catch (e2) {
-    console.log("No data found at all. Please run the scraper first.");
-    process.exit(1);
-  }
-}
-
-// Parse scores from raw text - format is like "66 40" or "56110 7106"
-// Regular sets: single digits per set (6 and 4 = 6-4)
-// Tiebreaks: "677 363" = 6-3, 7-6(3) where extra digit is loser's tiebreak points
-// Super tiebreaks: "56110 7106" = 5-7, 6-1, 10-6 (remaining digits form the super TB score)
-function parseScoresFromRawText(rawText, playerName, type = "singles") {
-  if (!rawText) return { sets: [], won: null };
-
-  let userScoreStr, oppScoreStr;
+const { cacheStoreFromEnv } = require("./cache-store");
+const {
+  MATCH_TIEBREAK,
+  MATCH_FORMATS,
+  parseDigitScores,
+  normalizeSets,
+  isStructuredSet,
+  wonSet,
+  wonMatch,
+  summarizeSets,
+  formatSetGames,
+  formatScore,
+} = require("./score-parser");
+const {
+  RESULT_TYPES,
+  RESULT_TYPE_LABELS,
+  resultMarker,
+  statusText,
+  matchFormat,
+  countsInRecord,
+} = require("./result-type");
+const { normalizeSeries, weeklySeries } = require("./rating-series");
+
+const DEFAULT_YEAR = 2025;
+const DEFAULT_PLAYER_NAME = "Harper Chalat";
+
+// Score digits for both sides from a card's raw text, ours first, e.g.
+// "677" / "363" - score-parser.js turns them into sets. Only needed for
+// scrapes saved before the scraper parsed scores itself.
+function scoreDigitsFromRawText(rawText, type = "singles") {
+  if (!rawText) return null;
 
   if (type === "doubles") {
     // For doubles: Format: "Player1 Partner1 UTR1 UTR2 SCORES Opp1 Opp2 UTR3 UTR4 SCORES"
-    // Find all UTRs first
+    // Our scores follow the 2nd UTR, the opponents' the 4th
     const allUtrs = [...rawText.matchAll(/(\d+\.\d{2})/g)];
-
-    if (allUtrs.length >= 4) {
-      // After the 4th UTR, we should find the opponent scores
-      // After the 2nd UTR, we should find our scores
-      const secondUtrIndex = allUtrs[1].index + allUtrs[1][0].length;
-      const fourthUtrIndex = allUtrs[3].index + allUtrs[3][0].length;
-
-      // Extract scores after each team's UTRs
-      const afterSecondUtr = rawText.substring(secondUtrIndex).trim();
-      const afterFourthUtr = rawText.substring(fourthUtrIndex).trim();
-
-      // Find the score digits (sequence of digits before next name or end)
-      const userScoreMatch = afterSecondUtr.match(/^(\d+)/);
-      const oppScoreMatch = afterFourthUtr.match(/^(\d+)/);
-
-      if (userScoreMatch && oppScoreMatch) {
-        userScoreStr = userScoreMatch[1];
-        oppScoreStr = oppScoreMatch[1];
-      }
-    }
-  } else {
-    // For singles: Find all UTR values (format: d.dd like 5.74) followed by score digits
-    const utrPattern = /(\d+\.\d{2})\s+(\d+)/g;
-    const matches = [...rawText.matchAll(utrPattern)];
-
-    if (matches.length >= 2) {
-      // First two matches are player and opponent
-      userScoreStr = matches[0][2]; // e.g., "66", "677", "56110"
-      oppScoreStr = matches[1][2]; // e.g., "40", "363", "7106"
-    }
-  }
-
-  if (userScoreStr && oppScoreStr) {
-    const userDigits = userScoreStr.split("").map(Number);
-    const oppDigits = oppScoreStr.split("").map(Number);
-
-    const sets = [];
-    let userSetsWon = 0,
-      oppSetsWon = 0;
-    let i = 0;
-
-    // Don't use special case parsing - let the main loop handle it
-    // This allows proper detection of embedded tiebreak scores
-
-    // First pass: parse regular sets and 7-6 tiebreaks
-    while (i < userDigits.length && i < oppDigits.length) {
-      const my = userDigits[i];
-      const opp = oppDigits[i];
-
-      // Check for tiebreak set (7-6 or 6-7)
-      if ((my === 7 && opp === 6) || (my === 6 && opp === 7)) {
-        // Check if next digits are tiebreak scores
-        // Format: "624" vs "776" -> 6-7(2-7) means tiebreak score is 2-7
-        if (i + 1 < userDigits.length && i + 1 < oppDigits.length) {
-          const nextMy = userDigits[i + 1];
-          const nextOpp = oppDigits[i + 1];
-
-          // If next digits are in valid tiebreak range (0-7), they're tiebreak scores
-          if (nextMy >= 0 && nextMy <= 7 && nextOpp >= 0 && nextOpp <= 7) {
-            // Check if the digits after that are also valid set scores
-            // If so, the tiebreak scores are embedded here
-            if (i + 2 < userDigits.length && i + 2 < oppDigits.length) {
-              const afterMy = userDigits[i + 2];
-              const afterOpp = oppDigits[i + 2];
-              // If after-tiebreak digits are valid set scores (0-7), then we have embedded tiebreak
-              if (
-                afterMy >= 0 &&
-                afterMy <= 7 &&
-                afterOpp >= 0 &&
-                afterOpp <= 7
-              ) {
-                // Format: 7-6(7-1) or 6-7(2-7) with tiebreak scores embedded
-                sets.push(`${my}-${opp}(${nextMy}-${nextOpp})`);
-                if (my > opp) userSetsWon++;
-                else oppSetsWon++;
-                i += 2; // Skip tiebreak score digits, continue to next set
-                continue;
-              }
-            }
-            // If no digits after, or they're not valid set scores, might still be tiebreak
-            // But if they look like a valid set (e.g., 4-6), they're the next set
-            // For now, assume they're tiebreak scores if both are <= 7
-            sets.push(`${my}-${opp}(${nextMy}-${nextOpp})`);
-            if (my > opp) userSetsWon++;
-            else oppSetsWon++;
-            i += 2; // Skip tiebreak score digits
-            continue;
-          } else {
-            // Next digits are not valid tiebreak scores, so no tiebreak score reported
-            sets.push(`${my}-${opp}`);
-            if (my > opp) userSetsWon++;
-            else oppSetsWon++;
-            i++;
-            continue;
-          }
-        }
-        // No next digit, just record 7-6
-        sets.push(`${my}-${opp}`);
-        if (my > opp) userSetsWon++;
-        else oppSetsWon++;
-        i++;
-        continue;
-      }
-
-      // Check for super tiebreak indicator: 0-1 or 1-0
-      // When we see this, the remaining digits form the super tiebreak score
-      // Format: "6403" vs "36110" -> 6-3, 4-6, then 0-1 indicates super TB
-      // Raw sets show: ['64-36', '0-11', '3-0']
-      // So after 0-1, we have: user has [3] (from "3-0"), opp has [1] (from "0-11") then [1,0]
-      // If user won 10-3, maybe: user's "3" + "1" from opp = "13"? No
-      // Or maybe: the "1" from "0-11" and "0" from "3-0" form "10" (user's score)
-      // And "3" from "3-0" is opp's score
-      if ((my === 0 && opp === 1) || (my === 1 && opp === 0)) {
-        // Check if there's a next digit that might be part of the tiebreak indicator
-        // For "0-11" format, the second "1" might be part of the score
-        const nextUser = i + 1 < userDigits.length ? userDigits[i + 1] : null;
-        const nextOpp = i + 1 < oppDigits.length ? oppDigits[i + 1] : null;
-
-        // Get remaining digits after the 0-1 indicator (and possibly the next digit)
-        let remainingUser = userDigits.slice(i + 1);
-        let remainingOpp = oppDigits.slice(i + 1);
-
-        // If next digits are also 1-1 (like "0-11"), include them
-        if (
-          nextUser === 1 &&
-          nextOpp === 1 &&
-          i + 2 < userDigits.length &&
-          i + 2 < oppDigits.length
-        ) {
-          // Skip the second "1" and continue
-          remainingUser = userDigits.slice(i + 2);
-          remainingOpp = oppDigits.slice(i + 2);
-        }
-
-        if (remainingUser.length > 0 && remainingOpp.length > 0) {
-          let stbUser = 0,
-            stbOpp = 0;
-
-          // Special case: "0-11" followed by "3-0" format
-          // Raw sets: ['64-36', '0-11', '3-0']
-          // This means: after 0-1, we have another "1" (from "0-11"), then "3-0"
-          // If user won 10-3, maybe: "1" (from "0-11") + "0" (from "3-0") = "10" (user)
-          // And "3" (from "3-0") = "3" (opp)
-          if (nextUser === 1 && nextOpp === 1) {
-            // We have "0-11" format
-            // After skipping the second "1", we should have "3-0"
-            if (remainingUser.length >= 1 && remainingOpp.length >= 1) {
-              // Try: user's digit from "3-0" + "1" from "0-11" = user's score
-              // Opp's digit from "3-0" = opp's score
-              const userFrom30 = remainingUser[0] || 0;
-              const oppFrom30 = remainingOpp[0] || 0;
-              // Combine "1" (from the second "1" in "0-11") with "0" (from "3-0")
-              // But we already skipped that "1", so maybe:
-              // User's score = combine "1" (from "0-11") with "0" (from "3-0") = "10"
-              // Actually, we have remainingUser[0] = 3, remainingOpp[0] = ?
-              // Let me check: after "0-11", we have "3-0"
-              // So remainingUser[0] = 3, remainingOpp should have the "0" from "3-0"
-              // But we need to get the "1" from "0-11" to form "10"
-              // The "1" is at position i+1 in oppDigits
-              if (i + 1 < oppDigits.length && oppDigits[i + 1] === 1) {
-                // We have the "1" from "0-11"
-                // Combine it with "0" from remainingOpp to form "10"
-                if (remainingOpp.length >= 1 && remainingOpp[0] === 0) {
-                  stbUser = 10; // "1" + "0" = "10"
-                  stbOpp = remainingUser[0] || 0; // "3" from "3-0"
-                }
-              }
-            }
-          }
-
-          // If we didn't get valid scores from the special case, try standard parsing
-          if (stbUser < 10 && stbOpp < 10) {
-            // Try different combinations to form valid super tiebreak scores (>= 10)
-            // Strategy 1: If opponent has 2+ digits, try combining first two for their score
-            // For "6403" vs "36110": after 0-1, user=[3], opp=[1,0]
-            // opp's [1,0] = 10, user's [3] = 3, so tiebreak is 3-10 (opponent won)
-            if (remainingOpp.length >= 2) {
-              const oppFirstTwo = parseInt(remainingOpp.slice(0, 2).join(""));
-              const userSingle =
-                remainingUser.length > 0
-                  ? remainingUser[remainingUser.length - 1]
-                  : 0;
-
-              if (oppFirstTwo >= 10) {
-                // Opponent's score is >= 10, user's is single digit
-                stbOpp = oppFirstTwo;
-                stbUser = userSingle;
-              } else {
-                // Try reverse: user might have the >= 10 score
-                if (remainingUser.length >= 2) {
-                  const userFirstTwo = parseInt(
-                    remainingUser.slice(0, 2).join(""),
-                  );
-                  const oppSingle =
-                    remainingOpp.length > 0
-                      ? remainingOpp[remainingOpp.length - 1]
-                      : 0;
-                  if (userFirstTwo >= 10) {
-                    stbUser = userFirstTwo;
-                    stbOpp = oppSingle;
-                  }
-                }
-              }
-            } else if (remainingOpp.length >= 3) {
-              // For match 8: "77204" vs "616110" -> after 0-1, opp has [1,1,0]
-              // The last two digits [1,0] = 10, user has [4] = 4
-              const oppLastTwo = parseInt(remainingOpp.slice(-2).join(""));
-              const userSingle =
-                remainingUser.length > 0
-                  ? remainingUser[remainingUser.length - 1]
-                  : 0;
-              if (oppLastTwo >= 10) {
-                stbOpp = oppLastTwo;
-                stbUser = userSingle;
-              }
-            } else if (
-              remainingOpp.length === 1 &&
-              remainingUser.length === 1
-            ) {
-              // Both have single digits - try combining with previous digits
-              // For "0-11" format, the second "1" might be part of the score
-              if (nextUser === 1 && nextOpp === 1) {
-                // We have "0-11", then "3-0"
-                // The "1" from "0-11" + "0" from "3-0" = "10" (opponent)
-                // The "3" from "3-0" = "3" (user)
-                if (remainingOpp[0] === 0 && remainingUser[0] > 0) {
-                  stbOpp = 10; // "1" + "0" = "10"
-                  stbUser = remainingUser[0]; // "3"
-                }
-              }
-            }
-
-            // Strategy 2: Try combining all remaining digits
-            if (stbUser < 10 && stbOpp < 10) {
-              stbUser = parseInt(remainingUser.join("")) || 0;
-              stbOpp = parseInt(remainingOpp.join("")) || 0;
-            }
-          }
-
-          // If we got valid super tiebreak scores, use them
-          if (stbUser >= 10 || stbOpp >= 10) {
-            // Format: show as 1-0(score) or 0-1(score) depending on who won
-            // The 1-0 or 0-1 indicates who won the deciding set
-            if (stbUser > stbOpp) {
-              sets.push(`1-0(${stbUser}-${stbOpp})`);
-              userSetsWon++;
-            } else {
-              sets.push(`0-1(${stbUser}-${stbOpp})`);
-              oppSetsWon++;
-            }
-            break; // Done parsing
-          }
-        }
-
-        // If we couldn't form valid scores, check if we have remaining digits
-        // If no remaining digits or they don't form valid scores, it's a super tiebreak with no score recorded
-        if (remainingUser.length === 0 && remainingOpp.length === 0) {
-          // No remaining digits - super tiebreak with no score recorded
-          // Format: 1-0 or 0-1 depending on who won
-          if (my === 1) {
-            sets.push("1-0");
-            userSetsWon++;
-          } else {
-            sets.push("0-1");
-            oppSetsWon++;
-          }
-        } else {
-          // Have remaining digits but couldn't form valid scores from them
-          // Still record the super tiebreak result
-          if (my === 1) {
-            sets.push("1-0");
-            userSetsWon++;
-          } else {
-            sets.push("0-1");
-            oppSetsWon++;
-          }
-        }
-        break; // Done parsing
-      }
-
-      // Valid regular set scores (0-7 range)
-      if (my >= 0 && my <= 7 && opp >= 0 && opp <= 7) {
-        // Check if this looks like a valid set result
-        const isValidSet =
-          (my === 6 && opp <= 4) ||
-          (opp === 6 && my <= 4) ||
-          (my === 7 && opp === 5) ||
-          (opp === 7 && my === 5) ||
-          (my === 7 && opp === 6) ||
-          (opp === 7 && my === 6) ||
-          // Also allow 5-7, 4-6, etc.
-          (my <= 6 && opp <= 6 && (my !== 0 || opp !== 0));
-
-        if (isValidSet) {
-          sets.push(`${my}-${opp}`);
-          if (my > opp) userSetsWon++;
-          else if (opp > my) oppSetsWon++;
-          i++;
-          continue;
-        }
-      }
-
-      // If we get here, remaining digits might be super tiebreak without indicator
-      const remainingUser = userDigits.slice(i).join("");
-      const remainingOpp = oppDigits.slice(i).join("");
-
-      if (remainingUser.length > 0 && remainingOpp.length > 0) {
-        const stbUser = parseInt(remainingUser) || 0;
-        const stbOpp = parseInt(remainingOpp) || 0;
-
-        // Valid super tiebreak: one score >= 10, win by 2
-        if ((stbUser >= 10 || stbOpp >= 10) && stbUser !== stbOpp) {
-          sets.push(`${stbUser}-${stbOpp}`);
-          if (stbUser > stbOpp) userSetsWon++;
-          else oppSetsWon++;
-        }
-      }
-      break;
-    }
-
-    return {
-      sets,
-      won: userSetsWon > oppSetsWon,
-    };
+    if (allUtrs.length < 4) return null;
+    const after = (utr) =>
+      rawText
+        .substring(utr.index + utr[0].length)
+        .trim()
+        .match(/^(\d+)/);
+    const ours = after(allUtrs[1]);
+    const theirs = after(allUtrs[3]);
+    return ours && theirs ? [ours[1], theirs[1]] : null;
   }
 
-  return { sets: [], won: null };
+  // For singles: each UTR value (format: d.dd like 5.74) is followed by
+  // that player's score digits - player first, then opponent
+  const matches = [...rawText.matchAll(/(\d+\.\d{2})\s+(\d+)/g)];
+  return matches.length >= 2 ? [matches[0][2], matches[1][2]] : null;
 }
 
 // Normalize a date like "Dec 23" to full date string, inferring year
-function normalizeDate(dateStr, inferYear = TARGET_YEAR) {
+function normalizeDate(dateStr, inferYear = DEFAULT_YEAR) {
   if (!dateStr) return null;
 
   // If already has year (YYYY-MM-DD format), return as is
@@ -412,129 +90,67 @@ function normalizeDate(dateStr, inferYear = TARGET_YEAR) {
 }
 
 // Fix match data with proper score parsing
-function fixMatchData(matches, playerName, type = "singles") {
+// Returns new match objects - the input array is left untouched
+function fixMatchData(
+  matches,
+  playerName,
+  type = "singles",
+  year = DEFAULT_YEAR,
+) {
   return matches.map((m) => {
-    // Parse scores from raw text
-    const { sets: parsedSets, won: parsedWon } = parseScoresFromRawText(
-      m.rawText,
-      playerName,
-      type,
-    );
+    const { tiebreakScores, superTiebreak, ...match } = m;
 
-    // Use parsed data if original is bad
+    // Current scrapes and API matches already have structured sets. Older
+    // DOM scrapes saved strings that could be wrong ("66-40", or nothing for
+    // doubles), so those are reparsed from the card text where possible.
     let sets = m.sets || [];
-
-    // For doubles, always reparse from raw text (format is different)
-    // For singles, check if original sets look wrong (like "66-40") or empty
-    if (
-      type === "doubles" ||
-      (sets.length > 0 && sets[0].match(/^\d{2,}-\d{2,}$/)) ||
-      sets.length === 0
-    ) {
-      sets = parsedSets;
-    }
-
-    // Check if there's a super tiebreak
-    // Super tiebreaks can be:
-    // 1. "1-0(score)" or "0-1(score)" format with parentheses
-    // 2. Scores >= 10 (actual super tiebreak scores like 10-6)
-    // 3. "1-0" or "0-1" alone (indicates who won the super tiebreak, score not shown)
-    const hasSuperTiebreak = sets.some((s) => {
-      // Check for "0-1(score)" or "1-0(score)" format WITH parentheses
-      if (s.match(/^[01]-[01]\(/)) return true;
-      // Check for scores >= 10 (actual super tiebreak scores)
-      const parts = s.replace(/\([^)]+\)/, "").split("-");
-      if (parts.length === 2) {
-        const a = parseInt(parts[0]);
-        const b = parseInt(parts[1]);
-        if (a >= 10 || b >= 10) return true;
-        // Check for "1-0" or "0-1" format (super tiebreak indicator)
-        // This appears as the third set in a match that went to super tiebreak
-        if ((a === 1 && b === 0) || (a === 0 && b === 1)) {
-          // Only treat as super tiebreak if it's the 3rd set (deciding set)
-          // We can't know the position, but if we have 3 sets and one is "1-0" or "0-1", it's likely a super tiebreak
-          if (sets.length >= 3) return true;
-        }
-      }
-      return false;
-    });
-
-    // Always calculate won from set count - this is the most reliable method
-    // Count sets won by comparing scores
-    let mySets = 0,
-      oppSets = 0;
-    sets.forEach((set) => {
-      // Remove tiebreak scores in parentheses for comparison
-      const cleanSet = set.replace(/\([^)]+\)/, "");
-      const parts = cleanSet.split("-");
-      if (parts.length === 2) {
-        const a = parseInt(parts[0]);
-        const b = parseInt(parts[1]);
-        if (!isNaN(a) && !isNaN(b)) {
-          // For super tiebreaks with format "1-0" or "0-1" (without parentheses),
-          // the "1-0" means we won, "0-1" means opponent won
-          if (hasSuperTiebreak && a === 1 && b === 0) {
-            mySets++;
-          } else if (hasSuperTiebreak && a === 0 && b === 1) {
-            oppSets++;
-          } else if (hasSuperTiebreak && cleanSet.match(/^[01]-[01]\(/)) {
-            // Format with parentheses: "1-0(score)" means we won, "0-1(score)" means opponent won
-            if (a === 1 && b === 0) mySets++;
-            else if (a === 0 && b === 1) oppSets++;
-          } else {
-            // Regular set comparison
-            if (a > b) mySets++;
-            else if (b > a) oppSets++;
-          }
-        }
-      }
-    });
-
-    // Determine winner from set count
-    let won = mySets > oppSets;
-
-    // Only use original scraper's won value if we couldn't determine from sets
-    if (mySets === 0 && oppSets === 0 && m.won !== undefined) {
-      won = m.won;
-    } else if (mySets === 0 && oppSets === 0 && parsedWon !== null) {
-      won = parsedWon;
+    if (sets.length === 0 || !sets.every(isStructuredSet)) {
+      const digits =
+        m.source !== "network" ? scoreDigitsFromRawText(m.rawText, type) : null;
+      const reparsed = digits ? parseDigitScores(...digits) : [];
+      sets =
+        reparsed.length > 0 ? reparsed : normalizeSets(sets, tiebreakScores);
     }
 
-    // Handle walkovers
-    if (m.isWalkover || m.rawText?.toLowerCase().includes("walkover")) {
-      won = m.won !== undefined ? m.won : true;
-    }
+    // How the match ended. Older scrapes only flagged walkovers, so look for
+    // the other markers in the card's status text - the card text without
+    // the event and player names.
+    const cardNames = [
+      playerName,
+      m.event?.name,
+      m.event?.round,
+      m.event?.draw,
+      m.opponent,
+      m.partner,
+      ...(m.opponents || []),
+    ];
+    const resultType =
+      m.resultType ||
+      (m.isWalkover ? RESULT_TYPES.WALKOVER : null) ||
+      resultMarker(statusText(m.rawText, cardNames))?.type ||
+      RESULT_TYPES.COMPLETED;
+
+    // A finished score decides the result; the scraper's value is only a
+    // fallback. Anything else keeps the scraper's value, or stays unknown.
+    let won = m.won ?? null;
+    if (resultType === RESULT_TYPES.COMPLETED) won = wonMatch(sets) ?? won;
 
     // Normalize the date
-    const normalizedDate = normalizeDate(m.date);
+    const normalizedDate = normalizeDate(m.date, year);
 
     return {
-      ...m,
+      ...match,
       date: normalizedDate || m.date,
       sets,
       won,
-      isWalkover: m.isWalkover || m.rawText?.toLowerCase().includes("walkover"),
-      score: sets.join(" "),
+      resultType,
+      isWalkover: resultType === RESULT_TYPES.WALKOVER,
+      format: matchFormat(sets, resultType),
+      score: formatScore(sets),
     };
   });
 }
 
-// Fix the match data
-if (fullData) {
-  const dataFixStart = Date.now();
-  console.log("⏱️  Fixing match data...");
-  const playerName = fullData.player?.name || "Harper Chalat";
-  fullData.singlesMatches = fixMatchData(
-    fullData.singlesMatches || [],
-    playerName,
-    "singles",
-  );
-  console.log(`Fixed ${fullData.singlesMatches.length} singles matches`);
-  console.log(
-    `⏱️  Data fixing took ${((Date.now() - dataFixStart) / 1000).toFixed(2)}s`,
-  );
-}
-
 function generateStats(matches, type = "singles", playerName = "") {
   const stats = {
     record: { wins: 0, losses: 0, walkovers: 0, winPct: 0 },
@@ -544,6 +160,9 @@ function generateStats(matches, type = "singles", playerName = "") {
     breadsticks: { given: 0, received: 0 },
     tiebreaks: { won: 0, lost: 0 },
     superTiebreaks: { won: 0, lost: 0 },
+    formats: {}, // Record by match format (see MATCH_FORMATS in score-parser.js)
+    resultTypes: {}, // Count of matches that didn't finish, by result type
+    unfinishedMatches: [], // Walkovers, retirements, defaults, ...
     setsRecord: { won: 0, lost: 0 },
     gamesRecord: { won: 0, lost: 0 },
     decidingSets: { won: 0, lost: 0 },
@@ -565,13 +184,31 @@ function generateStats(matches, type = "singles", playerName = "") {
     currentLossStreak = 0;
 
   matches.forEach((m) => {
-    // Skip walkovers for W/L record
-    if (m.isWalkover) {
-      stats.record.walkovers++;
-      return; // Don't count in W/L
+    // Matches that didn't finish get their own list. Only retirements still
+    // count in the W/L record (see result-type.js); none of them go in the
+    // score-based stats.
+    const resultType = m.resultType || RESULT_TYPES.COMPLETED;
+    const completed = resultType === RESULT_TYPES.COMPLETED;
+    if (!completed) {
+      stats.resultTypes[resultType] = (stats.resultTypes[resultType] || 0) + 1;
+      if (resultType === RESULT_TYPES.WALKOVER) stats.record.walkovers++;
+      stats.unfinishedMatches.push({
+        id: m.id || null,
+        date: m.date,
+        opponent:
+          type === "doubles" && m.opponents && m.opponents.length > 0
+            ? m.opponents.join(" / ")
+            : m.opponent || "Unknown",
+        resultType,
+        label: RESULT_TYPE_LABELS[resultType] || resultType,
+        won: m.won ?? null,
+        score: m.sets ? formatScore(m.sets) : "",
+        event: m.event || null,
+      });
     }
+    if (!countsInRecord(resultType)) return;
 
-    // Record (excluding walkovers)
+    // Record (completed matches and retirements)
     if (m.won === true) {
       stats.record.wins++;
       currentWinStreak++;
@@ -588,6 +225,21 @@ function generateStats(matches, type = "singles", playerName = "") {
       }
     }
 
+    // Record by format
+    if (completed && m.format) {
+      if (!stats.formats[m.format]) {
+        stats.formats[m.format] = {
+          label: MATCH_FORMATS[m.format].label,
+          played: 0,
+          wins: 0,
+          losses: 0,
+        };
+      }
+      stats.formats[m.format].played++;
+      if (m.won === true) stats.formats[m.format].wins++;
+      else if (m.won === false) stats.formats[m.format].losses++;
+    }
+
     // vs Higher/Lower rated
     const myUtr = m.myUtr || m.myUtrBefore || 0;
     const oppUtr = m.opponentUtr || m.opponentUtrBefore || 0;
@@ -600,11 +252,26 @@ function generateStats(matches, type = "singles", playerName = "") {
       else stats.vsLowerRated.losses++;
     }
 
-    // For doubles: parse partner and team from rawText
+    // For doubles: partner and team come from the profile links/API when we
+    // have them, otherwise parse them from rawText. Aggregation is keyed by
+    // profile ID so players with similar names don't get merged - singles
+    // opponents too, by name only when the ID is missing.
     let partner = null;
     let team = null;
+    let partnerKey = null;
+    let teamKey = null;
+    const opponentKey = m.opponentId || m.opponent || null;
 
-    if (type === "doubles" && m.rawText) {
+    if (type === "doubles" && m.opponents && m.opponents.length > 0) {
+      partner = m.partner || null;
+      partnerKey = m.partnerId || partner;
+      // Normalize team order (alphabetically) so "A / B" = "B / A"
+      team = [...m.opponents].sort().join(" / ");
+      teamKey =
+        m.opponentIds && m.opponentIds.length === m.opponents.length
+          ? [...m.opponentIds].sort().join("+")
+          : team;
+    } else if (type === "doubles" && m.rawText) {
       // Format: "Harper Chalat Caleb Richard 6.19 6.28 460 Austen Blass Davis Ryan 4.71 5.94 631"
       // OR: "Joshua Graceffa Harper Chalat 6.36 6.19 631 ..." (partner can come first)
 
@@ -637,13 +304,17 @@ function generateStats(matches, type = "singles", playerName = "") {
         opponentNames.sort();
         team = opponentNames.join(" / ");
       }
+      partnerKey = partner;
+      teamKey = team;
     }
 
     // Track opponents/teams with game counts
-    if (type === "doubles" && team) {
+    if (type === "doubles" && teamKey) {
       // Track teams for doubles
-      if (!stats.teams[team]) {
-        stats.teams[team] = {
+      if (!stats.teams[teamKey]) {
+        stats.teams[teamKey] = {
+          name: team,
+          ids: m.opponentIds || [],
           played: 0,
           wins: 0,
           losses: 0,
@@ -653,14 +324,16 @@ function generateStats(matches, type = "singles", playerName = "") {
           setsLost: 0,
         };
       }
-      stats.teams[team].played++;
-      if (m.won === true) stats.teams[team].wins++;
-      else if (m.won === false) stats.teams[team].losses++;
+      stats.teams[teamKey].played++;
+      if (m.won === true) stats.teams[teamKey].wins++;
+      else if (m.won === false) stats.teams[teamKey].losses++;
 
       // Track partners for doubles
-      if (partner) {
-        if (!stats.partners[partner]) {
-          stats.partners[partner] = {
+      if (partnerKey) {
+        if (!stats.partners[partnerKey]) {
+          stats.partners[partnerKey] = {
+            name: partner,
+            id: m.partnerId || null,
             played: 0,
             wins: 0,
             losses: 0,
@@ -670,14 +343,15 @@ function generateStats(matches, type = "singles", playerName = "") {
             setsLost: 0,
           };
         }
-        stats.partners[partner].played++;
-        if (m.won === true) stats.partners[partner].wins++;
-        else if (m.won === false) stats.partners[partner].losses++;
+        stats.partners[partnerKey].played++;
+        if (m.won === true) stats.partners[partnerKey].wins++;
+        else if (m.won === false) stats.partners[partnerKey].losses++;
       }
-    } else if (m.opponent) {
+    } else if (opponentKey) {
       // Track individual opponents for singles
-      if (!stats.opponents[m.opponent]) {
-        stats.opponents[m.opponent] = {
+      if (!stats.opponents[opponentKey]) {
+        stats.opponents[opponentKey] = {
+          name: m.opponent || "Unknown",
           played: 0,
           wins: 0,
           losses: 0,
@@ -689,111 +363,38 @@ function generateStats(matches, type = "singles", playerName = "") {
           id: m.opponentId,
         };
       }
-      stats.opponents[m.opponent].played++;
-      if (m.won === true) stats.opponents[m.opponent].wins++;
-      else if (m.won === false) stats.opponents[m.opponent].losses++;
+      stats.opponents[opponentKey].played++;
+      if (m.won === true) stats.opponents[opponentKey].wins++;
+      else if (m.won === false) stats.opponents[opponentKey].losses++;
     }
 
-    // Set analysis
-    if (m.sets && m.sets.length > 0) {
-      let setsWon = 0,
-        setsLost = 0;
-      let matchGamesWon = 0,
-        matchGamesLost = 0;
-      let hasSuperTiebreak = false;
-
-      m.sets.forEach((set, idx) => {
-        // Check for super tiebreak format: "1-0(score)" or "0-1(score)"
-        const superTiebreakMatch = set.match(/^([01])-([01])\((\d+)-(\d+)\)$/);
-        if (superTiebreakMatch) {
-          hasSuperTiebreak = true;
-          const myWon = parseInt(superTiebreakMatch[1]);
-          const oppWon = parseInt(superTiebreakMatch[2]);
-          const myScore = parseInt(superTiebreakMatch[3]);
-          const oppScore = parseInt(superTiebreakMatch[4]);
-
-          // Count based on who won (1-0 means we won, 0-1 means we lost)
-          if (myWon === 1) {
-            stats.superTiebreaks.won++;
-            setsWon++;
-          } else {
-            stats.superTiebreaks.lost++;
-            setsLost++;
-          }
-          return; // Don't process as regular set
-        }
-
-        // Check for super tiebreak without score: "1-0" or "0-1" (no parentheses)
-        if (set.match(/^[01]-[01]$/)) {
-          hasSuperTiebreak = true;
-          const parts = set.split("-");
-          const myWon = parseInt(parts[0]);
-          if (myWon === 1) {
-            stats.superTiebreaks.won++;
-            setsWon++;
-          } else {
-            stats.superTiebreaks.lost++;
-            setsLost++;
-          }
-          return; // Don't process as regular set
-        }
-
-        // Check for regular tiebreak format: "7-6(score)" or "6-7(score)"
-        const tiebreakMatch = set.match(/^([67])-([67])(?:\((\d+)-(\d+)\))?$/);
-        if (tiebreakMatch) {
-          const myGames = parseInt(tiebreakMatch[1]);
-          const oppGames = parseInt(tiebreakMatch[2]);
-
-          // Count tiebreak
-          if (myGames === 7 && oppGames === 6) {
-            stats.tiebreaks.won++;
-          } else if (myGames === 6 && oppGames === 7) {
-            stats.tiebreaks.lost++;
-          }
-
-          // Still count as a set and add to games (tiebreak sets count as 7-6)
-          matchGamesWon += myGames;
-          matchGamesLost += oppGames;
-          if (myGames > oppGames) setsWon++;
-          else setsLost++;
-          return;
-        }
-
-        // Regular set - parse normally
-        const cleanSet = set.replace(/\([^)]+\)/, ""); // Remove any parentheticals
-        const parts = cleanSet.split("-");
-        if (parts.length !== 2) return;
-
-        const myGames = parseInt(parts[0]);
-        const oppGames = parseInt(parts[1]);
-        if (isNaN(myGames) || isNaN(oppGames)) return;
-
-        // Check if it's actually a super tiebreak (scores >= 10)
-        if (myGames >= 10 || oppGames >= 10) {
-          hasSuperTiebreak = true;
-          if (myGames > oppGames) {
-            stats.superTiebreaks.won++;
-            setsWon++;
-          } else {
-            stats.superTiebreaks.lost++;
-            setsLost++;
-          }
-          return; // Don't add to game count
-        }
-
-        // Regular set - add games
-        matchGamesWon += myGames;
-        matchGamesLost += oppGames;
-
-        if (myGames > oppGames) setsWon++;
-        else if (oppGames > myGames) setsLost++;
-
-        // Bagels (6-0)
-        if (myGames === 6 && oppGames === 0) stats.bagels.given++;
-        else if (myGames === 0 && oppGames === 6) stats.bagels.received++;
-        // Breadsticks (6-1)
-        else if (myGames === 6 && oppGames === 1) stats.breadsticks.given++;
-        else if (myGames === 1 && oppGames === 6) stats.breadsticks.received++;
+    // Set analysis - finished scores only
+    if (completed && m.sets && m.sets.length > 0) {
+      const {
+        setsWon,
+        setsLost,
+        gamesWon: matchGamesWon,
+        gamesLost: matchGamesLost,
+        tiebreaksWon,
+        tiebreaksLost,
+        matchTiebreak,
+      } = summarizeSets(m.sets, m.format);
+      // Bagels and breadsticks are x-0 and x-1 in sets of the format's
+      // length - 6-0, or 8-0 in a pro set
+      const setGames = formatSetGames(m.format);
+
+      stats.tiebreaks.won += tiebreaksWon;
+      stats.tiebreaks.lost += tiebreaksLost;
+      if (matchTiebreak === "won") stats.superTiebreaks.won++;
+      else if (matchTiebreak === "lost") stats.superTiebreaks.lost++;
+
+      m.sets.forEach((set) => {
+        if (set.type === MATCH_TIEBREAK) return;
+        const [mine, theirs] = set.games;
+        if (mine === setGames && theirs === 0) stats.bagels.given++;
+        if (mine === 0 && theirs === setGames) stats.bagels.received++;
+        if (mine === setGames && theirs === 1) stats.breadsticks.given++;
+        if (mine === 1 && theirs === setGames) stats.breadsticks.received++;
       });
 
       stats.setsRecord.won += setsWon;
@@ -812,61 +413,83 @@ function generateStats(matches, type = "singles", playerName = "") {
 
       // Track per-opponent/team/partner games
       if (type === "doubles") {
-        if (team && stats.teams[team]) {
-          stats.teams[team].gamesWon += matchGamesWon;
-          stats.teams[team].gamesLost += matchGamesLost;
-          stats.teams[team].setsWon += setsWon;
-          stats.teams[team].setsLost += setsLost;
+        if (teamKey && stats.teams[teamKey]) {
+          stats.teams[teamKey].gamesWon += matchGamesWon;
+          stats.teams[teamKey].gamesLost += matchGamesLost;
+          stats.teams[teamKey].setsWon += setsWon;
+          stats.teams[teamKey].setsLost += setsLost;
         }
-        if (partner && stats.partners[partner]) {
-          stats.partners[partner].gamesWon += matchGamesWon;
-          stats.partners[partner].gamesLost += matchGamesLost;
-          stats.partners[partner].setsWon += setsWon;
-          stats.partners[partner].setsLost += setsLost;
+        if (partnerKey && stats.partners[partnerKey]) {
+          stats.partners[partnerKey].gamesWon += matchGamesWon;
+          stats.partners[partnerKey].gamesLost += matchGamesLost;
+          stats.partners[partnerKey].setsWon += setsWon;
+          stats.partners[partnerKey].setsLost += setsLost;
         }
-      } else if (m.opponent && stats.opponents[m.opponent]) {
-        stats.opponents[m.opponent].gamesWon += matchGamesWon;
-        stats.opponents[m.opponent].gamesLost += matchGamesLost;
-        stats.opponents[m.opponent].setsWon += setsWon;
-        stats.opponents[m.opponent].setsLost += setsLost;
+      } else if (opponentKey && stats.opponents[opponentKey]) {
+        stats.opponents[opponentKey].gamesWon += matchGamesWon;
+        stats.opponents[opponentKey].gamesLost += matchGamesLost;
+        stats.opponents[opponentKey].setsWon += setsWon;
+        stats.opponents[opponentKey].setsLost += setsLost;
       }
 
-      // Deciding sets: went to 3rd set (regular) or super tiebreak
-      const wentToDecider = (setsWon >= 1 && setsLost >= 1) || hasSuperTiebreak;
+      // Deciding sets: played every set the format allows - a third set or
+      // match tiebreak in best of 3, a fifth in best of 5, never in a pro set
+      const { bestOf = 3 } = MATCH_FORMATS[m.format] || {};
+      const wentToDecider = bestOf > 1 && m.sets.length === bestOf;
       if (wentToDecider) {
         if (m.won === true) stats.decidingSets.won++;
         else if (m.won === false) stats.decidingSets.lost++;
       }
     }
 
-    // Clean score: remove parentheticals from tiebreaks (7-6(3) -> 7-6)
-    const cleanScore = m.sets
-      ? m.sets.map((s) => s.replace(/\(\d+\)/, "")).join(" ")
-      : m.isWalkover
-        ? "W/O"
-        : "";
+    // Clean score: no tiebreak points (7-6(3) -> 7-6)
+    const cleanScore = m.sets ? formatScore(m.sets, { points: false }) : "";
 
     // Add cleaned match data
     stats.matches.push({
+      id: m.id || null,
       date: m.date,
       opponent: type === "doubles" ? team : m.opponent || "Unknown",
       partner: type === "doubles" ? partner : null,
+      partnerId: type === "doubles" ? m.partnerId || null : null,
       opponentId: m.opponentId,
+      opponentIds: type === "doubles" ? m.opponentIds || [] : undefined,
       opponentUtr: oppUtr,
       opponentUtrBefore: m.opponentUtrBefore,
       opponentUtrAfter: m.opponentUtrAfter,
-      opponentUtrDelta: m.opponentUtrDelta,
+      opponentUtrDelta: ratingDelta(m.opponentUtrDelta),
       myUtr: myUtr,
       myUtrBefore: m.myUtrBefore,
       myUtrAfter: m.myUtrAfter,
-      myUtrDelta: m.myUtrDelta,
+      myUtrDelta: ratingDelta(m.myUtrDelta),
+      partnerUtrBefore: type === "doubles" ? m.partnerUtrBefore : undefined,
+      partnerUtrAfter: type === "doubles" ? m.partnerUtrAfter : undefined,
+      partnerUtrDelta:
+        type === "doubles" ? ratingDelta(m.partnerUtrDelta) : undefined,
       won: m.won,
       isWalkover: m.isWalkover || false,
+      resultType,
+      sideAmbiguous: !!m.sideAmbiguous,
       sets: m.sets || [],
+      format: m.format || null,
       score: cleanScore,
+      event: m.event || null,
+      opponentHistoryMissing: !!m.opponentHistoryMissing,
+      ratingGap: !!m.ratingGap,
+      ratingSnapshots: m.ratingSnapshots || null,
     });
   });
 
+  // How many matches have the opponent's rating history behind them (the
+  // scraper only fetches histories for its top-ranked opponents)
+  const missingHistory = stats.matches.filter(
+    (m) => m.opponentHistoryMissing,
+  ).length;
+  stats.opponentHistoryCoverage = {
+    withHistory: stats.matches.length - missingHistory,
+    missing: missingHistory,
+  };
+
   // Calculate win percentage
   const total = stats.record.wins + stats.record.losses;
   stats.record.winPct =
@@ -880,16 +503,16 @@ function generateStats(matches, type = "singles", playerName = "") {
   // Calculate callouts - different for singles vs doubles
   if (type === "doubles") {
     // For doubles: use teams instead of opponents
-    const teamList = Object.entries(stats.teams).map(([name, data]) => ({
-      name,
+    const teamList = Object.entries(stats.teams).map(([key, data]) => ({
+      key,
       ...data,
       winPct: data.played > 0 ? data.wins / data.played : 0,
       gameDiff: data.gamesWon - data.gamesLost,
     }));
 
     // Most frequent partner
-    const partnerList = Object.entries(stats.partners).map(([name, data]) => ({
-      name,
+    const partnerList = Object.entries(stats.partners).map(([key, data]) => ({
+      key,
       ...data,
       winPct: data.played > 0 ? data.wins / data.played : 0,
     }));
@@ -898,6 +521,7 @@ function generateStats(matches, type = "singles", playerName = "") {
       const mostFrequent = partnerList[0];
       stats.mostFrequentPartner = {
         name: mostFrequent.name,
+        id: mostFrequent.id,
         played: mostFrequent.played,
         record: `${mostFrequent.wins}-${mostFrequent.losses}`,
         gamesRecord: `${mostFrequent.gamesWon}-${mostFrequent.gamesLost}`,
@@ -982,6 +606,7 @@ function generateStats(matches, type = "singles", playerName = "") {
     teamList.sort((a, b) => b.played - a.played);
     stats.frequentOpponents = teamList.slice(0, 5).map((t) => ({
       name: t.name,
+      ids: t.ids,
       played: t.played,
       record: `${t.wins}-${t.losses}`,
       gamesRecord: `${t.gamesWon}-${t.gamesLost}`,
@@ -991,6 +616,7 @@ function generateStats(matches, type = "singles", playerName = "") {
     partnerList.sort((a, b) => b.played - a.played);
     stats.partnerRecords = partnerList.slice(0, 5).map((p) => ({
       name: p.name,
+      id: p.id,
       played: p.played,
       record: `${p.wins}-${p.losses}`,
       gamesRecord: `${p.gamesWon}-${p.gamesLost}`,
@@ -1001,7 +627,7 @@ function generateStats(matches, type = "singles", playerName = "") {
     let worstLoss = null;
 
     matches.forEach((m) => {
-      if (m.isWalkover) return;
+      if (!countsInRecord(m.resultType)) return;
       const myUtr = m.myUtr || m.myUtrBefore || 0;
       const oppUtr = m.opponentUtr || m.opponentUtrBefore || 0;
       const utrDiff = oppUtr - myUtr; // Positive = opponent team higher rated
@@ -1009,7 +635,9 @@ function generateStats(matches, type = "singles", playerName = "") {
       if (m.won === true) {
         if (!bestWin || utrDiff > (bestWin.utrDiff || 0)) {
           bestWin = {
-            opponent: m.opponent,
+            opponent: m.opponents?.length
+              ? m.opponents.join(" / ")
+              : m.opponent,
             opponentUtr: oppUtr,
             myUtr: myUtr,
             utrDiff: utrDiff,
@@ -1021,7 +649,9 @@ function generateStats(matches, type = "singles", playerName = "") {
       } else if (m.won === false) {
         if (!worstLoss || utrDiff < (worstLoss.utrDiff || 0)) {
           worstLoss = {
-            opponent: m.opponent,
+            opponent: m.opponents?.length
+              ? m.opponents.join(" / ")
+              : m.opponent,
             opponentUtr: oppUtr,
             myUtr: myUtr,
             utrDiff: utrDiff,
@@ -1037,14 +667,12 @@ function generateStats(matches, type = "singles", playerName = "") {
     stats.worstLoss = worstLoss;
   } else {
     // For singles: use opponents
-    const opponentList = Object.entries(stats.opponents).map(
-      ([name, data]) => ({
-        name,
-        ...data,
-        winPct: data.played > 0 ? data.wins / data.played : 0,
-        gameDiff: data.gamesWon - data.gamesLost,
-      }),
-    );
+    const opponentList = Object.entries(stats.opponents).map(([key, data]) => ({
+      key,
+      ...data,
+      winPct: data.played > 0 ? data.wins / data.played : 0,
+      gameDiff: data.gamesWon - data.gamesLost,
+    }));
 
     // Nemesis: opponent with worst net record (losses - wins, min 2 matches)
     // Someone you're 0-4 against beats someone you're 5-5 against
@@ -1145,7 +773,7 @@ function generateStats(matches, type = "singles", playerName = "") {
     let worstLoss = null;
 
     matches.forEach((m) => {
-      if (m.isWalkover) return;
+      if (!countsInRecord(m.resultType)) return;
       const myUtr = m.myUtr || m.myUtrBefore || 0;
       const oppUtr = m.opponentUtr || m.opponentUtrBefore || 0;
       const utrDiff = oppUtr - myUtr; // Positive = opponent higher rated
@@ -1234,21 +862,88 @@ function generateStats(matches, type = "singles", playerName = "") {
   stats.bestMonth = monthlyData[0] || null;
   stats.worstMonth = monthlyData[monthlyData.length - 1] || null;
 
+  // === EVENTS ===
+  // Record and average opponent UTR per event (keyed by event ID when the
+  // scraper found one, else by name), plus the round of the last match played
+  const eventStats = {};
+  stats.matches.forEach((m) => {
+    const key = m.event && (m.event.id || m.event.name);
+    if (!key) return;
+    if (!eventStats[key]) {
+      eventStats[key] = {
+        id: m.event.id || null,
+        name: m.event.name || "Unknown event",
+        type: m.event.type || null,
+        location: m.event.location || null,
+        draws: [],
+        date: m.date,
+        lastRound: null,
+        lastDate: null,
+        wins: 0,
+        losses: 0,
+        opponentUtrs: [],
+      };
+    }
+    const e = eventStats[key];
+    if (m.event.draw && !e.draws.includes(m.event.draw)) {
+      e.draws.push(m.event.draw);
+    }
+    if (m.date && (!e.date || m.date < e.date)) e.date = m.date;
+    if (m.date && (!e.lastDate || m.date >= e.lastDate)) {
+      e.lastDate = m.date;
+      e.lastRound = m.event.round || e.lastRound;
+    }
+    if (m.won === true) e.wins++;
+    else if (m.won === false) e.losses++;
+    if (m.opponentUtr > 0) e.opponentUtrs.push(m.opponentUtr);
+  });
+
+  const eventList = Object.values(eventStats)
+    .map(({ opponentUtrs, lastDate, ...e }) => {
+      const played = e.wins + e.losses;
+      return {
+        ...e,
+        played,
+        record: `${e.wins}-${e.losses}`,
+        winPct: played > 0 ? Math.round((e.wins / played) * 100) : 0,
+        avgOpponentUtr:
+          opponentUtrs.length > 0
+            ? parseFloat(
+                (
+                  opponentUtrs.reduce((sum, utr) => sum + utr, 0) /
+                  opponentUtrs.length
+                ).toFixed(2),
+              )
+            : null,
+      };
+    })
+    .sort((a, b) => (a.date || "").localeCompare(b.date || ""));
+
+  stats.eventRecords = eventList;
+
+  // Best tournament: most wins, then win %, then the toughest field.
+  // Events with no type are usually tournaments, so they count too.
+  const tournaments = eventList.filter(
+    (e) => e.played > 0 && (e.type === "tournament" || !e.type),
+  );
+  tournaments.sort(
+    (a, b) =>
+      b.wins - a.wins ||
+      b.winPct - a.winPct ||
+      (b.avgOpponentUtr || 0) - (a.avgOpponentUtr || 0),
+  );
+  stats.bestTournament = tournaments[0] || null;
+
   // === NEW: COMEBACK STATS ===
   let comebacks = 0; // Won after losing first set
   let chokes = 0; // Lost after winning first set
 
   stats.matches.forEach((m) => {
+    if (m.resultType !== RESULT_TYPES.COMPLETED) return;
     if (!m.sets || m.sets.length < 2) return;
 
-    // Parse first set
-    const firstSet = m.sets[0]
-      .split("-")
-      .map((s) => parseInt(s.replace(/[^0-9]/g, "")));
-    if (firstSet.length !== 2 || isNaN(firstSet[0]) || isNaN(firstSet[1]))
-      return;
-
-    const wonFirstSet = firstSet[0] > firstSet[1];
+    const wonFirstSet = wonSet(m.sets[0]);
+    if (wonFirstSet === null) return;
 
     if (m.won === true && !wonFirstSet) comebacks++;
     if (m.won === false && wonFirstSet) chokes++;
@@ -1326,120 +1021,297 @@ function generateStats(matches, type = "singles", playerName = "") {
   return stats;
 }
 
-// Generate review
-const year = parseInt(TARGET_YEAR);
-const history = fullData?.singlesHistory || historyData?.singlesHistory || [];
+// Rating change as a number - older scrapes stored toFixed(2) strings
+function ratingDelta(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const delta = Number(value);
+  return isNaN(delta) ? null : delta;
+}
 
-// Filter history to target year
-const yearHistory = history.filter(
-  (h) => h.date && h.date.startsWith(year.toString()),
-);
+// Rating peaks/lows for the year plus all-time, from a rating history
+function ratingSummary(history, year) {
+  const yearHistory = history.filter(
+    (h) => h.date && h.date.startsWith(year.toString()),
+  );
 
-// Get peak/min for the year
-let peakUtr = { rating: 0, date: "" };
-let minUtr = { rating: 99, date: "" };
-let startUtr = null;
-let endUtr = null;
+  // Get peak/min for the year
+  let peakUtr = { rating: 0, date: "" };
+  let minUtr = { rating: 99, date: "" };
+  let startUtr = null;
+  let endUtr = null;
 
-if (yearHistory.length > 0) {
-  startUtr = yearHistory[0].rating;
-  endUtr = yearHistory[yearHistory.length - 1].rating;
+  if (yearHistory.length > 0) {
+    startUtr = yearHistory[0].rating;
+    endUtr = yearHistory[yearHistory.length - 1].rating;
 
-  yearHistory.forEach((h) => {
-    if (h.rating > peakUtr.rating) peakUtr = { rating: h.rating, date: h.date };
-    if (h.rating < minUtr.rating) minUtr = { rating: h.rating, date: h.date };
+    yearHistory.forEach((h) => {
+      if (h.rating > peakUtr.rating)
+        peakUtr = { rating: h.rating, date: h.date };
+      if (h.rating < minUtr.rating) minUtr = { rating: h.rating, date: h.date };
+    });
+  }
+
+  // Get all-time peak
+  let allTimePeak = { rating: 0, date: "" };
+  let allTimeMin = { rating: 99, date: "" };
+  history.forEach((h) => {
+    if (h.rating > allTimePeak.rating)
+      allTimePeak = { rating: h.rating, date: h.date };
+    if (h.rating < allTimeMin.rating)
+      allTimeMin = { rating: h.rating, date: h.date };
   });
+
+  return { peakUtr, minUtr, startUtr, endUtr, allTimePeak, allTimeMin };
 }
 
-// Get all-time peak
-let allTimePeak = { rating: 0, date: "" };
-let allTimeMin = { rating: 99, date: "" };
-history.forEach((h) => {
-  if (h.rating > allTimePeak.rating)
-    allTimePeak = { rating: h.rating, date: h.date };
-  if (h.rating < allTimeMin.rating)
-    allTimeMin = { rating: h.rating, date: h.date };
-});
-
-// Generate stats for target year (filter by date)
-const currentYearSingles = (fullData?.singlesMatches || []).filter((m) => {
-  if (!m.date) return false;
-  // Check if normalized date starts with target year
-  return m.date.startsWith(year.toString());
-});
-
-console.log(`Found ${currentYearSingles.length} singles matches in ${year}`);
-
-const statsGenStart = Date.now();
-console.log("⏱️  Generating statistics...");
-const playerName = fullData?.player?.name || "Harper Chalat";
-const singlesStats = generateStats(currentYearSingles, "singles", playerName);
-console.log(
-  `⏱️  Statistics generation took ${((Date.now() - statsGenStart) / 1000).toFixed(2)}s`,
-);
-
-const output = {
-  year,
-  generatedAt: new Date().toISOString(),
-  player: {
-    ...(fullData?.player || { name: "Unknown", id: PROFILE_ID }),
-  },
-  singles: {
-    ...singlesStats,
+// Build the year-in-review object from scraper output (utr-full-<id>.json)
+// Pure: no file access, and fullData is not modified
+function buildReview(fullData, { year = DEFAULT_YEAR, playerName } = {}) {
+  const targetYear = parseInt(year);
+  const name = playerName || fullData?.player?.name || DEFAULT_PLAYER_NAME;
+
+  return {
+    year: targetYear,
+    generatedAt: new Date().toISOString(),
+    player: {
+      ...(fullData?.player || { name: "Unknown" }),
+      // Scrapes before the full profile stored the logged-in user's ID here
+      id: fullData?.profileId
+        ? String(fullData.profileId)
+        : (fullData?.player?.id ?? null),
+    },
+    singles: reviewSection(
+      fullData?.singlesMatches || [],
+      fullData?.singlesHistory || [],
+      "singles",
+      name,
+      targetYear,
+    ),
+    doubles: reviewSection(
+      fullData?.doublesMatches || [],
+      fullData?.doublesHistory || [],
+      "doubles",
+      name,
+      targetYear,
+    ),
+  };
+}
+
+// Stats plus rating peaks for one match type in the target year
+function reviewSection(matches, history, type, playerName, year) {
+  const fixedMatches = fixMatchData(matches, playerName, type, year);
+
+  // Generate stats for target year (filter by date)
+  const currentYearMatches = fixedMatches.filter((m) => {
+    if (!m.date) return false;
+    // Check if normalized date starts with target year
+    return m.date.startsWith(year.toString());
+  });
+
+  const stats = generateStats(currentYearMatches, type, playerName);
+  // Older scrapes stored the history as read, unsorted and with repeats
+  const series = normalizeSeries(history);
+  const { peakUtr, minUtr, startUtr, endUtr } = ratingSummary(series, year);
+
+  return {
+    ...stats,
     peakUtr,
     minUtr,
     startUtr,
     endUtr,
-  },
-};
+    ratingJourney: ratingJourney(series, year),
+  };
+}
+
+// Weekly ratings through the year, up to today for the current year. Weeks
+// too far from any rating point are "gap" weeks with no rating.
+function ratingJourney(series, year) {
+  if (series.length === 0) return [];
+  const today = new Date().toISOString().substring(0, 10);
+  const yearEnd = `${year}-12-31`;
+  const from = `${year}-01-01`;
+  const to = yearEnd < today ? yearEnd : today;
+  return from <= to ? weeklySeries(series, { from, to }) : [];
+}
+
+function printSummary(output) {
+  console.log("\n🎾 UTR Year in Review Generated!\n");
+  console.log(`Player: ${output.player.name}`);
+  const details = [
+    output.player.location,
+    output.player.ageGroup,
+    output.player.college,
+    output.player.club,
+  ].filter(Boolean);
+  if (details.length > 0) console.log(`        ${details.join(" • ")}`);
+  console.log(`Year: ${output.year}`);
+
+  ["singles", "doubles"].forEach((type) => {
+    const stats = output[type];
+    if (!stats || stats.matches.length === 0) return;
+
+    const label = type === "doubles" ? "Doubles" : "Singles";
+    console.log(`\n📊 ${output.year} ${label}:`);
+    console.log(
+      `   Record: ${stats.record.wins}-${stats.record.losses} (${stats.record.winPct}%)`,
+    );
+    console.log(
+      `   Games: ${stats.gamesRecord.won}-${stats.gamesRecord.lost} (${stats.gamesRecord.winPct}%)`,
+    );
+    console.log(`   Tiebreaks: ${stats.tiebreaks.won}-${stats.tiebreaks.lost}`);
+    console.log(
+      `   Super Tiebreaks: ${stats.superTiebreaks.won}-${stats.superTiebreaks.lost}`,
+    );
+    if (Object.keys(stats.formats).length > 1) {
+      const formats = Object.values(stats.formats)
+        .map((f) => `${f.label} ${f.wins}-${f.losses}`)
+        .join(", ");
+      console.log(`   Formats: ${formats}`);
+    }
+    if (stats.unfinishedMatches.length > 0) {
+      const unfinished = Object.entries(stats.resultTypes)
+        .map(
+          ([resultType, count]) => `${RESULT_TYPE_LABELS[resultType]} ${count}`,
+        )
+        .join(", ");
+      console.log(`   Unfinished: ${unfinished}`);
+    }
+    const ambiguous = stats.matches.filter((m) => m.sideAmbiguous).length;
+    if (ambiguous > 0) {
+      console.log(
+        `   ⚠️  ${ambiguous} matches where the scraper couldn't tell which side was ours`,
+      );
+    }
+    if (stats.opponentHistoryCoverage.missing > 0) {
+      console.log(
+        `   ℹ️  No opponent rating history for ${stats.opponentHistoryCoverage.missing} of ${stats.matches.length} matches`,
+      );
+    }
+    const gapWeeks = stats.ratingJourney.filter(
+      (w) => w.status === "gap",
+    ).length;
+    if (gapWeeks > 0) {
+      console.log(
+        `   ℹ️  No rating data for ${gapWeeks} of ${stats.ratingJourney.length} weeks`,
+      );
+    }
+    if (stats.bestTournament) {
+      console.log(
+        `   🏆 Best tournament: ${stats.bestTournament.name} (${stats.bestTournament.record})`,
+      );
+    }
+    if (stats.mostFrequentPartner) {
+      console.log(
+        `   🤝 Partner: ${stats.mostFrequentPartner.name} (${stats.mostFrequentPartner.record})`,
+      );
+    }
+    if (stats.dominatedOpponent) {
+      console.log(
+        `   🎯 Dominated: ${stats.dominatedOpponent.name} (${stats.dominatedOpponent.record})`,
+      );
+    }
+    if (stats.nemesis) {
+      console.log(
+        `   😤 Nemesis: ${stats.nemesis.name} (${stats.nemesis.record})`,
+      );
+    }
+  });
+}
+
+// CLI: node generate-full-review.js <profile_id> <year>
+// Reads utr-full-<id>.json and writes <id>-<year>-year-in-review.json
+async function main() {
+  const scriptStartTime = Date.now();
+  console.log(`\n⏱️  Generator started at: ${new Date().toISOString()}\n`);
+
+  const profileId = process.argv[2] || "904826";
+  const targetYear = process.argv[3] || String(DEFAULT_YEAR);
+
+  // Use OUTPUT_DIR from environment (for Lambda) or __dirname (for local)
+  const dataDir = process.env.OUTPUT_DIR || process.env.CACHE_DIR || __dirname;
 
-// Save - use OUTPUT_DIR (for Lambda) or __dirname (for local)
-// Include profile ID and year in filename to avoid conflicts
-const outputDir = process.env.OUTPUT_DIR || __dirname;
-const outputPath = path.join(
-  outputDir,
-  `${PROFILE_ID}-${TARGET_YEAR}-year-in-review.json`,
-);
-const fileWriteStart = Date.now();
-fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
-console.log(`✅ Wrote output to: ${outputPath}`);
-console.log(
-  `⏱️  File write took ${((Date.now() - fileWriteStart) / 1000).toFixed(2)}s`,
-);
-
-// Print summary
-console.log("\n🎾 UTR Year in Review Generated!\n");
-console.log(`Player: ${output.player.name}`);
-console.log(`Year: ${year}`);
-
-console.log(`\n📊 ${year} Singles:`);
-console.log(
-  `   Record: ${singlesStats.record.wins}-${singlesStats.record.losses} (${singlesStats.record.winPct}%)`,
-);
-console.log(
-  `   Games: ${singlesStats.gamesRecord.won}-${singlesStats.gamesRecord.lost} (${singlesStats.gamesRecord.winPct}%)`,
-);
-console.log(
-  `   Tiebreaks (7-6): ${singlesStats.tiebreaks.won}-${singlesStats.tiebreaks.lost}`,
-);
-console.log(
-  `   Super Tiebreaks: ${singlesStats.superTiebreaks.won}-${singlesStats.superTiebreaks.lost}`,
-);
-if (singlesStats.dominatedOpponent) {
+  // Load data
+  let fullData;
+  try {
+    const dataPath = path.join(dataDir, `utr-full-${profileId}.json`);
+    console.log(`Looking for data at: ${dataPath}`);
+    fullData = JSON.parse(fs.readFileSync(dataPath, "utf8"));
+    console.log(`✅ Loaded data from ${dataPath}`);
+  } catch (e) {
+    console.log(
+      `No full data found at ${dataDir}/utr-full-${profileId}.json. Run: node scraper-full.js ${profileId}`,
+    );
+  }
+
+  // Then the scraper's cached profile (CACHE_BACKEND - see cache-store.js)
+  if (!fullData) {
+    const cache = cacheStoreFromEnv({
+      cacheDir: process.env.CACHE_DIR || path.join(__dirname, "cache"),
+    });
+    fullData = await cache.get("profile", profileId, { maxAgeDays: Infinity });
+    if (fullData) {
+      console.log(
+        `✅ Loaded cached profile from ${cache.describe("profile", profileId)}`,
+      );
+    }
+  }
+
+  if (!fullData) {
+    // Fallback to existing data
+    try {
+      const historyData = JSON.parse(
+        fs.readFileSync(path.join(dataDir, "utr-history-parsed.json"), "utf8"),
+      );
+      fullData = {
+        player: { name: "Unknown", id: profileId },
+        singlesHistory: historyData.singlesHistory || [],
+      };
+    } catch (e2) {
+      console.log("No data found at all. Please run the scraper first.");
+      process.exitCode = 1;
+      return;
+    }
+  }
+
+  const statsGenStart = Date.now();
+  console.log("⏱️  Generating statistics...");
+  const output = buildReview(fullData, { year: targetYear });
   console.log(
-    `   🎯 Dominated: ${singlesStats.dominatedOpponent.name} (${singlesStats.dominatedOpponent.record})`,
+    `Found ${output.singles.matches.length} singles and ${output.doubles.matches.length} doubles matches in ${output.year}`,
   );
-}
-if (singlesStats.nemesis) {
   console.log(
-    `   😤 Nemesis: ${singlesStats.nemesis.name} (${singlesStats.nemesis.record})`,
+    `⏱️  Statistics generation took ${((Date.now() - statsGenStart) / 1000).toFixed(2)}s`,
+  );
+
+  // Save - use OUTPUT_DIR (for Lambda) or __dirname (for local)
+  // Include profile ID and year in filename to avoid conflicts
+  const outputDir = process.env.OUTPUT_DIR || __dirname;
+  const outputPath = path.join(
+    outputDir,
+    `${profileId}-${targetYear}-year-in-review.json`,
   );
+  fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
+  console.log(`✅ Wrote output to: ${outputPath}`);
+
+  printSummary(output);
+
+  // Final timing
+  const totalTime = (Date.now() - scriptStartTime) / 1000;
+  console.log(`\n⏱️  ========================================`);
+  console.log(`⏱️  TOTAL GENERATION TIME: ${totalTime.toFixed(2)}s`);
+  console.log(`⏱️  ========================================\n`);
 }
 
-// Output path already logged above
+module.exports = {
+  fixMatchData,
+  generateStats,
+  normalizeDate,
+  buildReview,
+};
 
-// Final timing
-const totalTime = (Date.now() - scriptStartTime) / 1000;
-console.log(`\n⏱️  ========================================`);
-console.log(`⏱️  TOTAL GENERATION TIME: ${totalTime.toFixed(2)}s`);
-console.log(`⏱️  ========================================\n`);
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e);
+    process.exitCode = 1;
+  });
+}
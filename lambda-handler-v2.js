@@ -1,10 +1,9 @@
 // lambda-handler-v2.js - Lambda function using existing scraper files
-// This version uses credentials from environment variables and stores JSON in DynamoDB
+// This version gets credentials from the environment or Secrets Manager/SSM and stores JSON in DynamoDB
 
-const { exec } = require("child_process");
-const { promisify } = require("util");
 const fs = require("fs");
 const path = require("path");
+const { resolveCredentials } = require("./credentials");
 const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
 const {
   DynamoDBDocumentClient,
@@ -13,9 +12,6 @@ const {
   QueryCommand,
   UpdateCommand,
 } = require("@aws-sdk/lib-dynamodb");
-const { LambdaClient, InvokeCommand } = require("@aws-sdk/client-lambda");
-
-const execAsync = promisify(exec);
 
 // Initialize DynamoDB client with error handling
 let dynamoClient;
@@ -23,6 +19,10 @@ let dynamoDocClient;
 try {
   const dynamoClientRaw = new DynamoDBClient({
     region: process.env.AWS_REGION || "us-east-1",
+    // Point at DynamoDB Local when running end to end against the stub server
+    ...(process.env.DYNAMODB_ENDPOINT
+      ? { endpoint: process.env.DYNAMODB_ENDPOINT }
+      : {}),
   });
   dynamoDocClient = DynamoDBDocumentClient.from(dynamoClientRaw);
   dynamoClient = dynamoClientRaw;
@@ -33,9 +33,13 @@ try {
 }
 
 // Initialize Lambda client for async invocation
+// Required here so local runs work without @aws-sdk/client-lambda installed
 let lambdaClient;
+let InvokeCommand;
 try {
-  lambdaClient = new LambdaClient({
+  const lambdaSdk = require("@aws-sdk/client-lambda");
+  InvokeCommand = lambdaSdk.InvokeCommand;
+  lambdaClient = new lambdaSdk.LambdaClient({
     region: process.env.AWS_REGION || "us-east-1",
   });
 } catch (lambdaError) {
@@ -44,10 +48,14 @@ try {
 }
 
 // Lambda has /tmp for writable files, /var/task for code
-const TMP_DIR = "/tmp";
-const TASK_DIR = "/var/task";
+// Both can be overridden to run the handler locally (e.g. against utr-stub-server.js)
+const TMP_DIR = process.env.TMP_DIR || "/tmp";
+const TASK_DIR =
+  process.env.SCRAPER_DIR || process.env.LAMBDA_TASK_ROOT || "/var/task";
 const DYNAMODB_TABLE = process.env.DYNAMODB_TABLE || "utr-year-in-review";
 const RATE_LIMIT_TABLE = process.env.RATE_LIMIT_TABLE || "utr-rate-limits";
+// How long a failed login is reported back before the next request retries it
+const LOGIN_FAILURE_RETRY_MINUTES = 10;
 
 // Rate limiting removed - DynamoDB pending status prevents duplicate expensive scrapes
 
@@ -348,11 +356,12 @@ const mainHandler = async (event) => {
     // Rate limiting removed - DynamoDB pending status prevents duplicate expensive scrapes
     // Multiple requests for the same profileId will return cached data or "processing" message
 
-    // Get credentials from environment variables
-    const utrEmail = process.env.UTR_EMAIL;
-    const utrPassword = process.env.UTR_PASSWORD;
+    // UTR_EMAIL/UTR_PASSWORD, UTR_SECRET_ID or UTR_SSM_PARAMETER (see credentials.js)
+    const credentials = await resolveCredentials();
+    const utrEmail = credentials?.email;
+    const utrPassword = credentials?.password;
 
-    if (!utrEmail || !utrPassword) {
+    if (!credentials) {
       return corsResponse(200, {
         success: false,
         error: "Server configuration error: UTR credentials not set",
@@ -454,6 +463,23 @@ const mainHandler = async (event) => {
           });
         }
 
+        // A failed login won't fix itself on the next poll - report it for a
+        // while instead of logging in again straight away
+        if (
+          item.status === "failed" &&
+          item.loginFailure &&
+          Date.now() - new Date(item.updatedAt).getTime() <
+            LOGIN_FAILURE_RETRY_MINUTES * 60 * 1000
+        ) {
+          console.log(`Recent login failure (${item.loginFailure})`);
+          return corsResponse(200, {
+            success: false,
+            message: item.error,
+            error: item.error,
+            loginFailure: item.loginFailure,
+          });
+        }
+
         // If failed, we can retry (fall through)
         if (item.status === "failed") {
           console.log("Previous attempt failed, will retry");
@@ -654,7 +680,6 @@ async function performScrapeAndUpload(profileId, utrEmail, utrPassword, year) {
   const cacheDir = path.join(workDir, "cache");
   fs.mkdirSync(cacheDir, { recursive: true });
 
-  const secretsPath = path.join(workDir, "secrets.json");
   // Use profile ID in filename to avoid conflicts
   const resultPath = path.join(
     workDir,
@@ -662,18 +687,9 @@ async function performScrapeAndUpload(profileId, utrEmail, utrPassword, year) {
   );
 
   try {
-    // Write credentials to temp file
-    const credentials = {
-      username: utrEmail,
-      email: utrEmail,
-      password: utrPassword,
-    };
-    fs.writeFileSync(secretsPath, JSON.stringify(credentials, null, 2));
-
     // Reference scraper files
     const scraperPath = path.join(TASK_DIR, "scraper-full.js");
     const generatorPath = path.join(TASK_DIR, "generate-full-review.js");
-    const exportCsvPath = path.join(TASK_DIR, "export-csv.js");
 
     // Debug: List files in TASK_DIR
     console.log("TASK_DIR:", TASK_DIR);
@@ -681,8 +697,6 @@ async function performScrapeAndUpload(profileId, utrEmail, utrPassword, year) {
       "Files in TASK_DIR:",
       fs.readdirSync(TASK_DIR).slice(0, 20).join(", "),
     );
-    console.log("Looking for scraper-full.js at:", scraperPath);
-    console.log("Looking for generate-full-review.js at:", generatorPath);
     console.log("scraper-full.js exists:", fs.existsSync(scraperPath));
     console.log(
       "generate-full-review.js exists:",
@@ -699,176 +713,68 @@ async function performScrapeAndUpload(profileId, utrEmail, utrPassword, year) {
       );
     }
 
-    // Set environment variables for the scripts
+    // Set environment variables for the generator script
     process.env.CACHE_DIR = cacheDir;
-    process.env.SECRETS_PATH = secretsPath;
 
     // Change to work directory
     const originalCwd = process.cwd();
     process.chdir(workDir);
 
     try {
-      // Run scraper
+      // Run scraper in-process - credentials stay in memory
       console.log("Running scraper...");
-      console.log("Secrets file path:", secretsPath);
-      console.log("Secrets file exists:", fs.existsSync(secretsPath));
-      console.log("Scraper path:", scraperPath);
-      console.log("Scraper path exists:", fs.existsSync(scraperPath));
       console.log("Profile ID:", profileId);
-      let scraperOutput;
+      console.log("⚡ Using ultra-fast mode (28s estimated time)");
+      let scraped;
       try {
-        // Pass SECRETS_PATH as environment variable so scraper can find it
-        const scraperEnv = {
-          ...process.env,
-          CACHE_DIR: cacheDir,
-          SECRETS_PATH: secretsPath,
-          OUTPUT_DIR: workDir, // Tell scraper where to write output
-          // Also set CHROMIUM_PATH if available
-          CHROMIUM_PATH: process.env.CHROMIUM_PATH || "/opt/chromium",
-        };
-        console.log(
-          "Scraper environment:",
-          JSON.stringify({
-            CACHE_DIR: scraperEnv.CACHE_DIR,
-            SECRETS_PATH: scraperEnv.SECRETS_PATH,
-            CHROMIUM_PATH: scraperEnv.CHROMIUM_PATH,
-          }),
-        );
-
-        console.log("About to execute scraper command...");
-        const scraperCommand = `node ${scraperPath} ${profileId} --ultra-fast`;
-        console.log("Command:", scraperCommand);
-        console.log("Working directory:", workDir);
-        console.log("⚡ Using ultra-fast mode (28s estimated time)");
-
-        scraperOutput = await execAsync(scraperCommand, {
-          timeout: 120000, // 2 minutes (ultra-fast mode ~30s)
-          maxBuffer: 10 * 1024 * 1024,
-          env: scraperEnv,
-          cwd: workDir, // Run from work directory so relative paths work
+        const { scrapeUTR } = require(scraperPath);
+        scraped = await scrapeUTR(profileId, {
+          mode: "ultra-fast",
+          cacheDir,
+          outputDir: workDir, // generator reads utr-full-<id>.json from here
+          credentials: { email: utrEmail, password: utrPassword },
         });
         console.log(
-          "Scraper command completed. stdout length:",
-          scraperOutput.stdout?.length || 0,
-        );
-        console.log(
-          "Scraper stdout (first 3000 chars):",
-          scraperOutput.stdout.substring(0, 3000),
+          `Scraper completed: ${scraped.singlesMatches.length} singles, ${scraped.doublesMatches.length} doubles matches`,
         );
-        if (scraperOutput.stderr) {
-          console.log(
-            "Scraper stderr:",
-            scraperOutput.stderr.substring(0, 2000),
-          );
-        }
-
-        // Check if scraper actually created the output file
-        const expectedOutputFile = path.join(
-          workDir,
-          `utr-full-${profileId}.json`,
-        );
-        console.log("Checking for scraper output file at:", expectedOutputFile);
-        console.log("File exists:", fs.existsSync(expectedOutputFile));
-        if (fs.existsSync(expectedOutputFile)) {
-          const stat = fs.statSync(expectedOutputFile);
-          console.log("✅ File exists! Size:", stat.size, "bytes");
-          // Read first 500 chars to verify it's valid JSON
-          const preview = fs
-            .readFileSync(expectedOutputFile, "utf8")
-            .substring(0, 500);
-          console.log("File preview:", preview);
-        } else {
-          console.log("❌ File does NOT exist! Listing workDir contents:");
-          try {
-            const files = fs.readdirSync(workDir);
-            console.log("Files in workDir:", files.join(", "));
-          } catch (e) {
-            console.log("Error listing workDir:", e.message);
-          }
-        }
       } catch (scraperError) {
         console.error("Scraper error:", scraperError);
-        console.error("Scraper stdout:", scraperError.stdout || "");
-        console.error("Scraper stderr:", scraperError.stderr || "");
-        throw new Error(
-          `Scraper failed: ${scraperError.message}. stdout: ${scraperError.stdout || ""}. stderr: ${scraperError.stderr || ""}`,
-        );
+        throw new Error(`Scraper failed: ${scraperError.message}`);
       }
 
-      // Run generator
+      // Build the review in-process from the scraper results
       console.log("Generating review...");
-      let generatorOutput;
+      let result;
       try {
-        const generatorEnv = {
-          ...process.env,
-          CACHE_DIR: cacheDir,
-          OUTPUT_DIR: workDir, // Tell generator where to find scraper output
-        };
-        generatorOutput = await execAsync(
-          `node ${generatorPath} ${profileId} ${year}`,
-          {
-            timeout: 60000, // 1 minute
-            maxBuffer: 10 * 1024 * 1024,
-            env: generatorEnv,
-            cwd: workDir, // Run from work directory so it can find scraper output
-          },
-        );
-        console.log(
-          "Generator output:",
-          generatorOutput.stdout.substring(0, 500),
-        );
+        const { buildReview } = require(generatorPath);
+        result = buildReview(scraped, { year });
+        // Keep a copy next to the scraper output for debugging
+        fs.writeFileSync(resultPath, JSON.stringify(result, null, 2));
       } catch (generatorError) {
         console.error("Generator error:", generatorError);
-        throw new Error(
-          `Generator failed: ${generatorError.message}. stdout: ${generatorError.stdout || ""}. stderr: ${generatorError.stderr || ""}`,
-        );
+        throw new Error(`Generator failed: ${generatorError.message}`);
       }
 
-      // Read result
-      if (!fs.existsSync(resultPath)) {
-        // Try default location with profile ID (generator now writes with profile ID)
-        const defaultResultPathWithId = path.join(
-          workDir,
-          `${profileId}-${year}-year-in-review.json`,
-        );
-        const defaultResultPath = path.join(workDir, "year-in-review.json");
-
-        if (fs.existsSync(defaultResultPathWithId)) {
-          // Generator wrote with profile ID - use it directly
-          // resultPath already has the correct name, so just verify it exists
-          if (defaultResultPathWithId !== resultPath) {
-            fs.copyFileSync(defaultResultPathWithId, resultPath);
-          }
-        } else if (fs.existsSync(defaultResultPath)) {
-          // Fallback to old naming convention (for backwards compatibility)
-          fs.copyFileSync(defaultResultPath, resultPath);
-        } else {
-          throw new Error(
-            `Review file not generated. Checked: ${resultPath}, ${defaultResultPathWithId}, ${defaultResultPath}`,
-          );
-        }
-      }
-
-      const result = JSON.parse(fs.readFileSync(resultPath, "utf8"));
-
       // Check if we have matches - don't generate CSV if no matches found
       const singlesMatches =
         result.singles?.matches || result.singlesMatches || [];
-      const hasMatches = singlesMatches.length > 0;
+      const doublesMatches = result.doubles?.matches || [];
+      const hasMatches = singlesMatches.length + doublesMatches.length > 0;
 
       if (!hasMatches) {
         console.log("⚠️  No matches found");
 
-        // Check if login failed
+        // Check if login failed - the scraper results say, not the review
         const loginFailed =
-          result.loginSuccessful === false || result.loginError;
+          scraped.loginSuccessful === false || !!scraped.loginError;
         let errorMessage =
           "No matches found. The scraper completed but found 0 matches.";
 
         if (loginFailed) {
+          // loginError explains scraped.login.reason (see login-flow.js)
           errorMessage =
-            "Authentication failed - unable to access match data. Please check UTR credentials. " +
-            (result.loginError || "");
+            "Authentication failed - unable to access match data. " +
+            (scraped.loginError || "Please check UTR credentials.");
           console.error("Login failed:", errorMessage);
         } else {
           console.error("No matches found - cannot save to DynamoDB");
@@ -885,6 +791,7 @@ async function performScrapeAndUpload(profileId, utrEmail, utrPassword, year) {
                   year: parseInt(year),
                   status: "failed",
                   error: errorMessage,
+                  loginFailure: scraped.login?.reason || null,
                   updatedAt: new Date().toISOString(),
                 },
               }),
@@ -896,29 +803,10 @@ async function performScrapeAndUpload(profileId, utrEmail, utrPassword, year) {
         return; // Exit async function, don't save
       }
 
-      // Read the generated JSON data to return to user
-      // Use the same path we defined earlier (with profile ID)
-      const reviewJsonPath = resultPath;
-      let reviewData = null;
-      if (fs.existsSync(reviewJsonPath)) {
-        try {
-          reviewData = JSON.parse(fs.readFileSync(reviewJsonPath, "utf8"));
-          console.log("Loaded review data for response");
-        } catch (e) {
-          console.error("Error reading review JSON:", e);
-        }
-      } else {
-        console.error("Review JSON file not found at:", reviewJsonPath);
-        // Try using the result we already parsed
-        reviewData = result;
-        console.log("Using already-parsed result data");
-      }
-
       // Save JSON to DynamoDB with completed status
       if (dynamoDocClient) {
         try {
-          // Use reviewData if available, otherwise use result
-          const jsonToUpload = reviewData || result;
+          const jsonToUpload = result;
 
           await dynamoDocClient.send(
             new PutCommand({
@@ -940,13 +828,6 @@ async function performScrapeAndUpload(profileId, utrEmail, utrPassword, year) {
         }
       }
 
-      // Ensure we have data to return
-      if (!reviewData) {
-        throw new Error(
-          "Failed to load review data - file not found and result not available",
-        );
-      }
-
       // For async invocations, we don't need to return a response
       // The data is already saved to DynamoDB, which is the goal
       console.log(
@@ -977,13 +858,6 @@ async function performScrapeAndUpload(profileId, utrEmail, utrPassword, year) {
     // Cleanup temp directories
     // Use fs.rmSync with force for safe recursive deletion
     try {
-      if (fs.existsSync(secretsPath)) {
-        try {
-          fs.unlinkSync(secretsPath);
-        } catch (e) {
-          /* ignore */
-        }
-      }
       if (fs.existsSync(workDir)) {
         try {
           // Use fs.rmSync if available (Node.js 14.14+), otherwise use recursive delete
@@ -1189,3 +1063,6 @@ function generateCSV(data) {
 
   return rows.map((row) => row.map(escapeCSV).join(",")).join("\n");
 }
+
+// Exported for end-to-end runs outside Lambda (see utr-stub-server.js)
+exports.performScrapeAndUpload = performScrapeAndUpload;
@@ -0,0 +1,544 @@
+// login-flow.js - Log in to UTR one explicit step at a time
+// runLoginFlow() walks these states and always resolves to an outcome instead
+// of throwing, so callers can tell *why* a login failed:
+//
+//   checkSession   already signed in (saved session or browser profile)?
+//   openLogin      load /login, backing out of a Facebook OAuth redirect
+//   enterEmail     find and fill the email field
+//   continue       UTR asks for the email first - reveal the password step
+//   enterPassword  find and fill the password field
+//   submit         submit the form and wait to leave the login page
+//   verify         back on the profile, INITIAL_STATE.auth.user.id is set
+//
+// Outcome: { ok, via, reason, state, message, userId, userName, durationMs }
+//   via     "session" or "credentials" when ok
+//   reason  one of LOGIN_FAILURES when not ok; state is where it stopped
+
+const path = require("path");
+
+const LOGIN_FAILURES = {
+  NO_CREDENTIALS: "no-credentials",
+  BAD_CREDENTIALS: "bad-credentials",
+  OAUTH_REDIRECT: "oauth-redirect",
+  FORM_NOT_FOUND: "form-not-found",
+  CAPTCHA: "captcha",
+  TIMEOUT: "timeout",
+  NOT_SIGNED_IN: "not-signed-in",
+  ERROR: "error",
+};
+
+// What to tell the person whose review couldn't be generated
+const LOGIN_FAILURE_MESSAGES = {
+  [LOGIN_FAILURES.NO_CREDENTIALS]:
+    "No UTR credentials are configured (UTR_EMAIL/UTR_PASSWORD, UTR_CREDENTIALS_FILE + UTR_CREDENTIALS_KEY, or UTR_SECRET_ID/UTR_SSM_PARAMETER).",
+  [LOGIN_FAILURES.BAD_CREDENTIALS]:
+    "UTR rejected the email or password. Check the configured UTR credentials.",
+  [LOGIN_FAILURES.OAUTH_REDIRECT]:
+    "UTR sent the login to Facebook instead of its email/password form.",
+  [LOGIN_FAILURES.FORM_NOT_FOUND]:
+    "Couldn't find UTR's login form - the page layout may have changed.",
+  [LOGIN_FAILURES.CAPTCHA]:
+    "UTR showed a captcha or security check that can't be completed automatically. Try again later.",
+  [LOGIN_FAILURES.TIMEOUT]: "UTR took too long to respond while logging in.",
+  [LOGIN_FAILURES.NOT_SIGNED_IN]:
+    "The login form was submitted but UTR still shows the session as signed out.",
+  [LOGIN_FAILURES.ERROR]: "Logging in to UTR failed unexpectedly.",
+};
+
+const EMAIL_SELECTORS = [
+  'input[type="email"]',
+  'input[name="email"]',
+  'input[placeholder*="email" i]',
+  'input[id*="email" i]',
+  'input[type="text"]', // Sometimes email fields are type="text"
+];
+
+const PASSWORD_SELECTORS = [
+  'input[type="password"]',
+  'input[name="password"]',
+  'input[name*="password" i]',
+  'input[id*="password" i]',
+  'input[placeholder*="password" i]',
+  'input[autocomplete*="password" i]',
+];
+
+const SUBMIT_SELECTORS = [
+  'button[type="submit"]',
+  'input[type="submit"]',
+  'button[type="button"]', // Sometimes submit buttons are type="button"
+  '[type="submit"]',
+];
+
+const OAUTH_HOSTS = [
+  "facebook.com",
+  "accounts.google.com",
+  "appleid.apple.com",
+];
+
+const FIELD_WAIT_MS = 5000;
+const SUBMIT_WAIT_MS = 15000;
+
+class LoginError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = "LoginError";
+    this.reason = reason;
+  }
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function describeLoginFailure(reason) {
+  return (
+    LOGIN_FAILURE_MESSAGES[reason] ||
+    LOGIN_FAILURE_MESSAGES[LOGIN_FAILURES.ERROR]
+  );
+}
+
+// --- Reading the page ---
+
+async function readAuthState(page) {
+  return await page.evaluate(() => {
+    const user = window.INITIAL_STATE?.auth?.user;
+    // Check for login button by looking at all buttons/links
+    let hasLoginBtn = false;
+    document.querySelectorAll("a, button").forEach((el) => {
+      const text = el.innerText?.toLowerCase() || "";
+      if (text.includes("sign in") || text.includes("log in")) {
+        hasLoginBtn = true;
+      }
+    });
+    return {
+      userId: user?.id,
+      userName: user?.firstName || user?.name,
+      hasLoginBtn,
+    };
+  });
+}
+
+function isOAuthUrl(url) {
+  return OAUTH_HOSTS.some((host) => url.includes(host));
+}
+
+// Captcha widgets, Cloudflare-style "checking your browser" pages and other
+// interstitials that stand between us and the form
+async function hasInterstitial(page) {
+  return await page.evaluate(() => {
+    const frames = document.querySelector(
+      'iframe[src*="recaptcha"], iframe[src*="hcaptcha"], iframe[src*="challenges.cloudflare.com"], .g-recaptcha, .h-captcha, #challenge-form',
+    );
+    if (frames) return true;
+    const text = `${document.title} ${document.body?.innerText || ""}`
+      .toLowerCase()
+      .substring(0, 5000);
+    return [
+      "verify you are human",
+      "are you a robot",
+      "checking your browser",
+      "just a moment",
+      "unusual traffic",
+    ].some((phrase) => text.includes(phrase));
+  });
+}
+
+// Visible error message on the login form ("Invalid email or password")
+async function formErrorText(page) {
+  return await page.evaluate(() => {
+    const candidates = document.querySelectorAll(
+      '[role="alert"], [class*="error" i], [class*="invalid" i], [class*="alert" i]',
+    );
+    for (const el of candidates) {
+      const text = el.innerText?.trim();
+      const rect = el.getBoundingClientRect();
+      if (text && rect.width > 0 && rect.height > 0) return text;
+    }
+    return null;
+  });
+}
+
+// Wait until the page leaves /login, shows a captcha or shows an error
+// message - or SUBMIT_WAIT_MS passes, which the caller reports as a timeout
+async function waitForSubmitOutcome(page) {
+  const deadline = Date.now() + SUBMIT_WAIT_MS;
+  while (Date.now() < deadline) {
+    try {
+      if (!new URL(page.url()).pathname.includes("login")) return;
+      if (await hasInterstitial(page)) return;
+      if (await formErrorText(page)) return;
+    } catch (e) {
+      // Page mid-navigation - check again
+    }
+    await delay(250);
+  }
+}
+
+async function checkForBlockers(page) {
+  if (isOAuthUrl(page.url())) {
+    throw new LoginError(
+      LOGIN_FAILURES.OAUTH_REDIRECT,
+      `Redirected to ${new URL(page.url()).host}`,
+    );
+  }
+  if (await hasInterstitial(page)) {
+    throw new LoginError(
+      LOGIN_FAILURES.CAPTCHA,
+      `Captcha or interstitial on ${page.url()}`,
+    );
+  }
+}
+
+async function findInput(page, selectors) {
+  for (const selector of selectors) {
+    const handle = await page.$(selector);
+    if (handle) return { handle, selector };
+  }
+  return null;
+}
+
+async function waitForAny(page, selectors, timeoutMs) {
+  try {
+    await page.waitForSelector(selectors.join(", "), { timeout: timeoutMs });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+async function fillInput(page, handle, value) {
+  await handle.focus();
+  await page.keyboard.down("Control");
+  await page.keyboard.press("a");
+  await page.keyboard.up("Control");
+  await page.keyboard.press("Backspace");
+  await handle.type(value, { delay: 50 });
+}
+
+async function isVisible(page, handle) {
+  return await page.evaluate((el) => {
+    const rect = el.getBoundingClientRect();
+    const style = window.getComputedStyle(el);
+    return (
+      rect.width > 0 &&
+      rect.height > 0 &&
+      style.visibility !== "hidden" &&
+      style.display !== "none"
+    );
+  }, handle);
+}
+
+// Click the first visible button whose text includes one of the words
+async function clickButtonWithText(page, words) {
+  return await page.evaluate((words) => {
+    for (const btn of document.querySelectorAll("button")) {
+      const text = (btn.innerText || "").toLowerCase();
+      const rect = btn.getBoundingClientRect();
+      if (
+        words.some((word) => text.includes(word)) &&
+        rect.width > 0 &&
+        rect.height > 0 &&
+        window.getComputedStyle(btn).visibility !== "hidden"
+      ) {
+        btn.click();
+        return true;
+      }
+    }
+    return false;
+  }, words);
+}
+
+async function clickFirstVisible(page, selectors) {
+  for (const selector of selectors) {
+    const btn = await page.$(selector);
+    if (btn && (await isVisible(page, btn))) {
+      await btn.click();
+      return selector;
+    }
+  }
+  return null;
+}
+
+async function screenshot(ctx, name) {
+  if (!ctx.screenshotDir) return;
+  try {
+    const file = path.join(ctx.screenshotDir, name);
+    await ctx.page.screenshot({ path: file });
+    console.log(`   Screenshot saved to ${file}`);
+  } catch (e) {
+    // Page already gone - nothing to capture
+  }
+}
+
+// --- States ---
+// Each takes the flow context and returns the next state's name, or
+// { via } once signed in. Failures throw a LoginError.
+
+const STATES = {
+  async checkSession(ctx) {
+    const auth = await readAuthState(ctx.page);
+    console.log(
+      `Login check: userId=${auth.userId}, name=${auth.userName}, hasLoginBtn=${auth.hasLoginBtn}`,
+    );
+    if (auth.userId && !auth.hasLoginBtn) return { via: "session", ...auth };
+    if (!ctx.credentials) {
+      throw new LoginError(
+        LOGIN_FAILURES.NO_CREDENTIALS,
+        "Not signed in and no credentials to log in with",
+      );
+    }
+    console.log("\n🔐 Logging in with credentials...");
+    return "openLogin";
+  },
+
+  async openLogin(ctx) {
+    const { page, baseUrl } = ctx;
+
+    // Dismiss any popups/modals first
+    const dismissed = await page.evaluate(() => {
+      const closeButtons = document.querySelectorAll(
+        '[class*="close"], [class*="dismiss"], [aria-label*="close" i], button[class*="popup"]',
+      );
+      closeButtons.forEach((btn) => btn.click());
+      const overlays = document.querySelectorAll('[class*="overlay"]');
+      overlays.forEach((o) => {
+        if (o.click) o.click();
+      });
+      return closeButtons.length + overlays.length;
+    });
+    if (dismissed > 0) {
+      console.log(`   Dismissed ${dismissed} popup elements`);
+      await delay(1000);
+    }
+    await page.keyboard.press("Escape");
+
+    // Go straight to the login page - the header's "Sign in" can bounce
+    // through Facebook OAuth
+    console.log("   Navigating to login page...");
+    await page.goto(`${baseUrl}/login`, {
+      waitUntil: "domcontentloaded",
+      timeout: 60000,
+    });
+    await delay(3000);
+
+    if (isOAuthUrl(page.url())) {
+      console.log("   ⚠️  Redirected to Facebook OAuth, trying again...");
+      await page.goBack({ waitUntil: "domcontentloaded" });
+      await delay(2000);
+      await page.goto(`${baseUrl}/login`, {
+        waitUntil: "domcontentloaded",
+        timeout: 60000,
+      });
+      await delay(3000);
+    }
+    await checkForBlockers(page);
+    return "enterEmail";
+  },
+
+  async enterEmail(ctx) {
+    const { page } = ctx;
+    let found = await waitForAny(page, EMAIL_SELECTORS, FIELD_WAIT_MS);
+    if (!found) {
+      // OAuth-first pages hide the form behind a "use email" link
+      const clicked = await page.evaluate(() => {
+        for (const link of document.querySelectorAll("a")) {
+          const text = (link.innerText || "").toLowerCase();
+          if (text.includes("email")) {
+            link.click();
+            return true;
+          }
+        }
+        return false;
+      });
+      if (clicked) {
+        console.log("   Found email login link, clicking...");
+        found = await waitForAny(page, EMAIL_SELECTORS, FIELD_WAIT_MS);
+      }
+    }
+
+    const email = found ? await findInput(page, EMAIL_SELECTORS) : null;
+    if (!email) {
+      await checkForBlockers(page);
+      await screenshot(ctx, "login-form-not-found.png");
+      throw new LoginError(
+        LOGIN_FAILURES.FORM_NOT_FOUND,
+        `No email field on ${page.url()}`,
+      );
+    }
+    await fillInput(
+      page,
+      email.handle,
+      ctx.credentials.username || ctx.credentials.email,
+    );
+    console.log(`   ✅ Filled email using selector: ${email.selector}`);
+    ctx.emailInput = email.handle;
+    await delay(1000);
+    return "continue";
+  },
+
+  async continue(ctx) {
+    const { page } = ctx;
+    // Single-step forms show the password field straight away
+    const passwordShown = await page.$('input[type="password"]');
+    if (passwordShown && (await isVisible(page, passwordShown))) {
+      return "enterPassword";
+    }
+
+    if (await clickButtonWithText(page, ["continue", "next"])) {
+      console.log("   ✅ Clicked Continue button");
+    } else if (await clickFirstVisible(page, SUBMIT_SELECTORS.slice(0, 2))) {
+      console.log("   ✅ Clicked submit button (Continue)");
+    } else {
+      await ctx.emailInput.focus();
+      await page.keyboard.press("Enter");
+      console.log("   ✅ Pressed Enter in email field");
+    }
+
+    console.log("   Waiting for password field to appear...");
+    if (!(await waitForAny(page, ['input[type="password"]'], FIELD_WAIT_MS))) {
+      // The email step may have been rejected ("no account with that email")
+      const error = await formErrorText(page);
+      if (error) throw new LoginError(LOGIN_FAILURES.BAD_CREDENTIALS, error);
+      await checkForBlockers(page);
+    }
+    return "enterPassword";
+  },
+
+  async enterPassword(ctx) {
+    const { page } = ctx;
+    const password = await findInput(page, PASSWORD_SELECTORS);
+    if (!password) {
+      await checkForBlockers(page);
+      await screenshot(ctx, "password-not-found.png");
+      const inputs = await page.evaluate(() =>
+        Array.from(document.querySelectorAll("input")).map(
+          (input) => `${input.type}${input.name ? `[name=${input.name}]` : ""}`,
+        ),
+      );
+      throw new LoginError(
+        LOGIN_FAILURES.FORM_NOT_FOUND,
+        `No password field (inputs on page: ${inputs.join(", ") || "none"})`,
+      );
+    }
+    await fillInput(page, password.handle, ctx.credentials.password);
+    console.log(`   ✅ Filled password using selector: ${password.selector}`);
+    ctx.passwordInput = password.handle;
+    await delay(1000);
+    return "submit";
+  },
+
+  async submit(ctx) {
+    const { page } = ctx;
+    await screenshot(ctx, "login-form-filled.png");
+
+    const selector = await clickFirstVisible(page, SUBMIT_SELECTORS);
+    if (selector) {
+      console.log(`   Clicked submit button (${selector})`);
+    } else if (await clickButtonWithText(page, ["log in", "sign in"])) {
+      console.log("   Clicked submit button (text)");
+    } else {
+      await ctx.passwordInput.focus();
+      await page.keyboard.press("Enter");
+      console.log("   Pressed Enter to submit");
+    }
+
+    // Leaving the login page is the sign that UTR accepted the form; a
+    // visible error message or a captcha showing up means it didn't. The
+    // login page always has (empty, hidden) error containers, so only text
+    // in one counts.
+    await waitForSubmitOutcome(page);
+
+    await checkForBlockers(page);
+    if (new URL(page.url()).pathname.includes("login")) {
+      const error = await formErrorText(page);
+      if (error) throw new LoginError(LOGIN_FAILURES.BAD_CREDENTIALS, error);
+      throw new LoginError(
+        LOGIN_FAILURES.TIMEOUT,
+        `Still on the login page ${SUBMIT_WAIT_MS / 1000}s after submitting`,
+      );
+    }
+    console.log("   ✅ Navigation detected after login");
+    return "verify";
+  },
+
+  async verify(ctx) {
+    const { page, baseUrl, profileId } = ctx;
+    // UTR lands on the home page after logging in - the scrape carries on
+    // from the profile
+    if (!page.url().includes(`/profiles/${profileId}`)) {
+      await page.goto(`${baseUrl}/profiles/${profileId}`, {
+        waitUntil: "domcontentloaded",
+        timeout: 60000,
+      });
+      await delay(3000);
+    }
+    const auth = await readAuthState(page);
+    if (!auth.userId) {
+      await screenshot(ctx, "login-failed.png");
+      throw new LoginError(
+        LOGIN_FAILURES.NOT_SIGNED_IN,
+        "INITIAL_STATE.auth.user.id is still empty after logging in",
+      );
+    }
+    console.log(
+      `   ✅ Login successful! User: ${auth.userName || "Unknown"} (ID: ${auth.userId})`,
+    );
+    return { via: "credentials", ...auth };
+  },
+};
+
+// Run the login flow on a page that's showing the player's profile.
+//   baseUrl, profileId  where to log in and come back to
+//   credentials         { email | username, password }, or null
+//   screenshotDir       where debug screenshots go (optional)
+//   onState(state)      called as each state starts (optional)
+async function runLoginFlow(
+  page,
+  { baseUrl, profileId, credentials, screenshotDir = null, onState = null },
+) {
+  const ctx = { page, baseUrl, profileId, credentials, screenshotDir };
+  const started = Date.now();
+  let state = "checkSession";
+
+  try {
+    for (;;) {
+      if (onState) onState(state);
+      const next = await STATES[state](ctx);
+      if (typeof next !== "string") {
+        return {
+          ok: true,
+          via: next.via,
+          reason: null,
+          state,
+          message: null,
+          userId: next.userId,
+          userName: next.userName,
+          durationMs: Date.now() - started,
+        };
+      }
+      state = next;
+    }
+  } catch (e) {
+    let reason = LOGIN_FAILURES.ERROR;
+    if (e instanceof LoginError) reason = e.reason;
+    else if (e.name === "TimeoutError") reason = LOGIN_FAILURES.TIMEOUT;
+    if (!(e instanceof LoginError)) await screenshot(ctx, "login-error.png");
+    return {
+      ok: false,
+      via: null,
+      reason,
+      state,
+      message: e.message,
+      userId: null,
+      userName: null,
+      durationMs: Date.now() - started,
+    };
+  }
+}
+
+module.exports = {
+  LOGIN_FAILURES,
+  LoginError,
+  describeLoginFailure,
+  runLoginFlow,
+};
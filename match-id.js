@@ -0,0 +1,75 @@
+// match-id.js - Stable IDs for scraped matches
+// A match gets the same ID however many times it's scraped, and from either
+// player's profile, so corrections and annotations can point at it:
+//   utr-<resultId>   when the UTR result ID is known (API data)
+//   hash-<16 hex>    otherwise, a sha1 of the date, both sides and the score
+// Dates must already be YYYY-MM-DD (see resolveMatchDates in scraper-full.js).
+
+const crypto = require("crypto");
+const { flipSet, MATCH_TIEBREAK } = require("./score-parser");
+
+// Profile ID when we have one, else the lowercased name
+function playerKey(id, name) {
+  if (id) return String(id);
+  return name ? `name:${String(name).trim().toLowerCase()}` : null;
+}
+
+// "6-4", or the points for a match tiebreak ("10-6") - tiebreak points
+// inside a set are left out, not every source has them
+function canonicalSet(set) {
+  const [a, b] =
+    set.type === MATCH_TIEBREAK && set.tiebreak ? set.tiebreak : set.games;
+  return `${a}-${b}`;
+}
+
+// The same text for a match whichever side it was scraped from: each side's
+// players sorted, the winning side first and the score from the winner's view
+function canonicalMatch(match, profileId) {
+  const us = [
+    playerKey(profileId),
+    match.type === "doubles" ? playerKey(match.partnerId, match.partner) : null,
+  ].filter(Boolean);
+  const them =
+    match.opponentIds && match.opponentIds.length > 0
+      ? match.opponentIds.map((id) => playerKey(id))
+      : [playerKey(match.opponentId, match.opponent)].filter(Boolean);
+
+  const sides = [us.sort().join("+"), them.sort().join("+")];
+  if (typeof match.won !== "boolean")
+    sides.sort(); // Winner unknown
+  else if (!match.won) sides.reverse();
+
+  const sets =
+    match.won === false ? (match.sets || []).map(flipSet) : match.sets || [];
+  const score = match.isWalkover
+    ? "walkover"
+    : sets.map(canonicalSet).join(" ");
+
+  return [match.type || "singles", match.date || "", ...sides, score].join("|");
+}
+
+function matchId(match, profileId) {
+  if (match.resultId) return `utr-${match.resultId}`;
+  const hash = crypto
+    .createHash("sha1")
+    .update(canonicalMatch(match, profileId))
+    .digest("hex");
+  return `hash-${hash.substring(0, 16)}`;
+}
+
+// Give every match its ID and drop repeats (first copy wins)
+function assignMatchIds(matches, profileId) {
+  const seen = new Set();
+  return matches.filter((match) => {
+    match.id = matchId(match, profileId);
+    if (seen.has(match.id)) return false;
+    seen.add(match.id);
+    return true;
+  });
+}
+
+module.exports = {
+  matchId,
+  assignMatchIds,
+  canonicalMatch,
+};
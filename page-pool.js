@@ -0,0 +1,81 @@
+// page-pool.js - Run independent scraper tasks across a few browser pages
+// Opponent rating histories don't depend on each other, so full mode loads
+// several opponent pages at once instead of one after another. Every task
+// gets a page to itself, and a request budget shared by all the pages caps
+// how much traffic one run can send to UTR.
+
+// budget.limit of null means no limit
+function createRequestBudget(limit = null) {
+  return { limit, used: 0 };
+}
+
+// Take one request from the budget; false once it's spent
+function takeRequest(budget) {
+  if (!budget) return true;
+  if (budget.limit !== null && budget.used >= budget.limit) return false;
+  budget.used++;
+  return true;
+}
+
+function budgetLeft(budget) {
+  if (!budget || budget.limit === null) return Infinity;
+  return Math.max(0, budget.limit - budget.used);
+}
+
+// Run worker(page, item, index) for every item with at most `size` pages in
+// use. createPage() opens a page for each slot as it's needed and
+// releasePage(page) is called once that slot has no work left.
+// onProgress({ done, total, item, result, error }) runs after every item.
+// Resolves to [{ item, result, error }] in the order of items; a failing
+// item never stops the others.
+async function runPagePool(
+  items,
+  worker,
+  { size = 1, createPage, releasePage = null, onProgress = null },
+) {
+  const outcomes = new Array(items.length);
+  let next = 0;
+  let done = 0;
+
+  const runSlot = async () => {
+    let page = null;
+    try {
+      while (next < items.length) {
+        const index = next++;
+        const item = items[index];
+        let result = null;
+        let error = null;
+        try {
+          if (!page) page = await createPage();
+          result = await worker(page, item, index);
+        } catch (e) {
+          error = e;
+        }
+        outcomes[index] = { item, result, error };
+        done++;
+        if (onProgress) {
+          onProgress({ done, total: items.length, item, result, error });
+        }
+      }
+    } finally {
+      if (page && releasePage) {
+        try {
+          await releasePage(page);
+        } catch (e) {
+          // Page already gone (browser closing) - nothing to release
+        }
+      }
+    }
+  };
+
+  const slots = Math.max(1, Math.min(size, items.length));
+  await Promise.all(Array.from({ length: slots }, runSlot));
+  return outcomes;
+}
+
+module.exports = {
+  createRequestBudget,
+  takeRequest,
+  budgetLeft,
+  runPagePool,
+};
@@ -0,0 +1,175 @@
+// rating-series.js - Rating history as one consistent time series
+// Rating points come from the API payloads (see utr-api.js) or the stats
+// page text, in slightly different shapes. normalizeSeries() turns them into
+//   { date: "YYYY-MM-DD", rating, reliability, source }
+// sorted by date, one point per date, without near-duplicates. reliability
+// is the rating's reliability % when the source gives one, else null -
+// sources convert theirs with toReliability() first.
+// Everything that reads ratings at a date (match deltas, peaks, the journey
+// chart) works on that series, and says so when there's a gap in it rather
+// than stretching an old rating over it.
+
+// A point further than this from a date doesn't stand for the rating then
+const MAX_GAP_DAYS = 90;
+// The same rating again within this many days is a repeat, not a new point
+const NEAR_DUPLICATE_DAYS = 7;
+const RATING_EPSILON = 0.005;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "2025-03-08", "2025-03-08T00:00:00" or a Date -> days since 1970-01-01
+function dayNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const text = typeof value === "string" ? value.substring(0, 10) : value;
+  const time =
+    typeof text === "string" && /^\d{4}-\d{2}-\d{2}$/.test(text)
+      ? Date.parse(`${text}T00:00:00Z`)
+      : new Date(value).getTime();
+  return isNaN(time) ? null : Math.floor(time / DAY_MS);
+}
+
+function isoFromDay(day) {
+  return new Date(day * DAY_MS).toISOString().substring(0, 10);
+}
+
+// Monday of the week a day falls in (1970-01-01 was a Thursday)
+function weekStart(day) {
+  return day - ((day + 3) % 7);
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = typeof value === "number" ? value : parseFloat(value);
+  return isNaN(n) ? null : n;
+}
+
+// Reliability as a percentage (0-100). Values of 1 or less are fractions
+// (1 is 100%) unless the field is documented as a percentage - pass
+// percent: true for those, and for series points, which already are.
+function toReliability(value, { percent = false } = {}) {
+  const n = toNumber(value);
+  if (n === null || n < 0) return null;
+  return Math.min(100, Math.round(!percent && n <= 1 ? n * 100 : n));
+}
+
+// Sorted, one point per date, near-duplicates dropped. When two sources
+// have the same date the API's point beats one read off the page.
+function normalizeSeries(points) {
+  const byDate = new Map();
+  (points || []).forEach((point) => {
+    if (!point) return;
+    const day = dayNumber(point.date);
+    const rating = toNumber(point.rating);
+    if (day === null || rating === null || rating <= 0) return;
+    const date = isoFromDay(day);
+    const existing = byDate.get(date);
+    if (existing?.source === "network" && point.source !== "network") return;
+    byDate.set(date, {
+      date,
+      rating,
+      reliability: toReliability(point.reliability, { percent: true }),
+      source: point.source || null,
+    });
+  });
+
+  const series = [];
+  [...byDate.values()]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .forEach((point) => {
+      const last = series[series.length - 1];
+      const repeat =
+        last &&
+        Math.abs(point.rating - last.rating) < RATING_EPSILON &&
+        dayNumber(point.date) - dayNumber(last.date) < NEAR_DUPLICATE_DAYS;
+      if (!repeat) series.push(point);
+      else if (last.reliability === null) last.reliability = point.reliability;
+    });
+  return series;
+}
+
+// Last point on or before day and first point after it, however far away
+function nearestPoints(series, day) {
+  let before = null;
+  let after = null;
+  for (const point of series || []) {
+    if (dayNumber(point.date) <= day) {
+      before = point;
+    } else {
+      after = point;
+      break;
+    }
+  }
+  return { before, after };
+}
+
+// Ratings and rating changes to 3 places - enough to split a 0.01 change
+// across a few matches without the parts drifting from the whole
+function roundRating(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function withinGap(point, day, maxGapDays) {
+  return !!point && Math.abs(dayNumber(point.date) - day) <= maxGapDays;
+}
+
+// Ratings either side of a date, the dates of the points they came from
+// and the change between them (a number). gap is true when the series has
+// a point on a side but it's too far away to count.
+function ratingAround(series, date, { maxGapDays = MAX_GAP_DAYS } = {}) {
+  const day = dayNumber(date);
+  const nearest = nearestPoints(series, day);
+  const before = withinGap(nearest.before, day, maxGapDays)
+    ? nearest.before
+    : null;
+  const after = withinGap(nearest.after, day, maxGapDays)
+    ? nearest.after
+    : null;
+  return {
+    before: before?.rating,
+    after: after?.rating,
+    beforeDate: before?.date ?? null,
+    afterDate: after?.date ?? null,
+    delta: after && before ? roundRating(after.rating - before.rating) : null,
+    gap: (!!nearest.before && !before) || (!!nearest.after && !after),
+  };
+}
+
+// One value per week (weeks start on Monday) from `from` to `to`:
+//   measured  the last point in that week
+//   carried   no point that week - the last one, within maxGapDays
+//   gap       nothing recent enough; rating is null
+function weeklySeries(series, { from, to, maxGapDays = MAX_GAP_DAYS } = {}) {
+  if (!series || series.length === 0) return [];
+  const first = weekStart(dayNumber(from || series[0].date));
+  const last = weekStart(dayNumber(to || series[series.length - 1].date));
+
+  const weeks = [];
+  let idx = 0;
+  let latest = null;
+  for (let week = first; week <= last; week += 7) {
+    let measured = null;
+    while (idx < series.length && dayNumber(series[idx].date) <= week + 6) {
+      latest = series[idx];
+      if (dayNumber(latest.date) >= week) measured = latest;
+      idx++;
+    }
+    const point =
+      measured || (withinGap(latest, week + 6, maxGapDays) ? latest : null);
+    weeks.push({
+      week: isoFromDay(week),
+      rating: point ? point.rating : null,
+      reliability: point ? point.reliability : null,
+      status: measured ? "measured" : point ? "carried" : "gap",
+    });
+  }
+  return weeks;
+}
+
+module.exports = {
+  MAX_GAP_DAYS,
+  normalizeSeries,
+  roundRating,
+  toReliability,
+  ratingAround,
+  weeklySeries,
+};
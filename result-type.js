@@ -0,0 +1,111 @@
+// result-type.js - How a match ended
+// Every match gets a resultType:
+//   completed   played to the end
+//   walkover    never started, one side advanced without playing (W/O)
+//   noShow      a side didn't turn up
+//   default     a side was defaulted (DEF) - conduct, lateness
+//   retired     started, then one side stopped (ret.)
+//   incomplete  marked unfinished, abandoned or suspended (rain, time)
+// Only completed matches have a score that says how the match went; retired
+// ones still count in the win-loss record, the rest don't. A match is only
+// anything but completed when the card or the API says so - a score that
+// stops short on its own is more often a card missing a set than a match
+// that was never finished.
+
+const { classifyFormat, isFinishedScore } = require("./score-parser");
+
+const RESULT_TYPES = {
+  COMPLETED: "completed",
+  WALKOVER: "walkover",
+  NO_SHOW: "noShow",
+  DEFAULT: "default",
+  RETIRED: "retired",
+  INCOMPLETE: "incomplete",
+};
+
+const RESULT_TYPE_LABELS = {
+  completed: "Completed",
+  walkover: "Walkover",
+  noShow: "No-show",
+  default: "Default",
+  retired: "Retired",
+  incomplete: "Incomplete",
+};
+
+// What the score cards and API outcome fields say, checked in this order.
+// On a card, only check its status text (see statusText) - event and player
+// names can hold these words too.
+const RESULT_MARKERS = [
+  [RESULT_TYPES.WALKOVER, /\bwalkover\b|\bw\/o\b/i],
+  [RESULT_TYPES.NO_SHOW, /\bno[- ]?show\b/i],
+  [RESULT_TYPES.DEFAULT, /\bdefault(?:ed)?\b|\bDEF\b/],
+  [RESULT_TYPES.RETIRED, /\bret(?:ired|d)?\b/i],
+  [
+    RESULT_TYPES.INCOMPLETE,
+    /\b(?:incomplete|unfinished|abandoned|suspended)\b/i,
+  ],
+];
+
+// { type, index } for the first marker found in text, or null
+function resultMarker(text) {
+  if (!text) return null;
+  for (const [type, pattern] of RESULT_MARKERS) {
+    const found = String(text).match(pattern);
+    if (found) return { type, index: found.index };
+  }
+  return null;
+}
+
+// A score card's text without the event and player names (and the round and
+// draw) that the card shows - what's left is the ratings, the score and any
+// status like "Ret." or "W/O"
+function statusText(rawText, names = []) {
+  return names
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .reduce((text, name) => text.split(name).join(" "), String(rawText || ""))
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Result type of a UTR API result from its flags and outcome text
+function resultTypeFromResult(result) {
+  if (result.isWalkover || result.walkover) return RESULT_TYPES.WALKOVER;
+  if (result.isRetired || result.retired) return RESULT_TYPES.RETIRED;
+  if (result.isDefault) return RESULT_TYPES.DEFAULT;
+  const marker = resultMarker(
+    [result.outcome, result.resultType, result.status]
+      .filter(Boolean)
+      .join(" "),
+  );
+  return marker ? marker.type : RESULT_TYPES.COMPLETED;
+}
+
+// Format of a match's score. A completed match whose sets don't finish it
+// was played in a format we can't tell, so it's left unknown (null).
+function matchFormat(sets, resultType) {
+  const format = classifyFormat(sets);
+  if (resultType === RESULT_TYPES.COMPLETED && !isFinishedScore(sets, format)) {
+    return null;
+  }
+  return format;
+}
+
+// Whether a match goes in the win-loss record
+function countsInRecord(resultType) {
+  return (
+    !resultType ||
+    resultType === RESULT_TYPES.COMPLETED ||
+    resultType === RESULT_TYPES.RETIRED
+  );
+}
+
+module.exports = {
+  RESULT_TYPES,
+  RESULT_TYPE_LABELS,
+  resultMarker,
+  statusText,
+  resultTypeFromResult,
+  matchFormat,
+  countsInRecord,
+};
@@ -0,0 +1,579 @@
+// score-parser.js - One score format for the scraper and the review generator
+// A score is a list of sets, each seen from our side:
+//   { games: [6, 3], tiebreak: null, type: "set" }
+//   { games: [7, 6], tiebreak: [7, 3], type: "set" }
+//   { games: [1, 0], tiebreak: [10, 6], type: "matchTiebreak" }
+// tiebreak is null when the points weren't recorded. A match tiebreak played
+// instead of a deciding set counts as a set, but its points aren't games.
+//
+// Scores arrive in three shapes:
+//   parseDigitScores("677", "363")  score cards: each side's digits run
+//                                   together, tiebreak points included
+//   setFromScoreEntry(entry, weWon) UTR API score entries
+//   parseSetString("7-6(3)")        set strings saved by older scrapes
+//
+// classifyFormat(sets) then says what was played: best of 3, a match
+// tiebreak for the third set, an 8-game pro set, short sets, Fast4...
+
+const SET = "set";
+const MATCH_TIEBREAK = "matchTiebreak";
+
+const MATCH_TIEBREAK_RULE = { points: 10, winBy: 2 };
+const MAX_SETS = 5;
+
+// The kinds of set we recognise: the games that win one, the score its
+// tiebreak is played at and what the tiebreak is played to. Fast4's is first
+// to 5 points, sudden death at 4-all.
+const SET_KINDS = {
+  standard: { setGames: 6, tiebreakAt: 6, points: 7, winBy: 2 },
+  proSet: { setGames: 8, tiebreakAt: 8, points: 7, winBy: 2 },
+  short: { setGames: 4, tiebreakAt: 4, points: 7, winBy: 2 },
+  fast4: { setGames: 4, tiebreakAt: 3, points: 5, winBy: 1 },
+};
+
+// Match formats classifyFormat() tells apart. bestOf counts a match
+// tiebreak played in place of the last set.
+const MATCH_FORMATS = {
+  bestOf3: { label: "Best of 3", set: "standard", bestOf: 3 },
+  matchTiebreak: {
+    label: "Best of 3, match tiebreak",
+    set: "standard",
+    bestOf: 3,
+  },
+  bestOf5: { label: "Best of 5", set: "standard", bestOf: 5 },
+  oneSet: { label: "One set", set: "standard", bestOf: 1 },
+  proSet: { label: "8-game pro set", set: "proSet", bestOf: 1 },
+  shortSets: { label: "Short sets to 4", set: "short", bestOf: 3 },
+  fast4: { label: "Fast4", set: "fast4", bestOf: 3 },
+};
+
+// Digit parses are scored and the cheapest one that uses every digit wins.
+// Complete sets with their tiebreak points cost nothing; readings that need
+// something unusual to be true cost more.
+const PENALTY = {
+  missingPoints: 0.1, // 7-6 or 1-0 with no tiebreak points shown
+  bareMatchTiebreak: 0.1, // 10-6 without the 1-0 in front
+  notDecider: 0.5, // Match tiebreak when the sets weren't level
+  splitGroup: 0.5, // Ignores the spacing between sets on the card
+  unfinishedSet: 1, // 3-2, 1-0 - retirements and unfinished sets
+  emptySet: 2, // 0-0
+};
+
+function makeSet(games, tiebreak = null, type = SET) {
+  return { games, tiebreak, type };
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Winner's and loser's points, in the same order as games
+function orderPoints(games, winnerPoints, loserPoints) {
+  return games[0] > games[1]
+    ? [winnerPoints, loserPoints]
+    : [loserPoints, winnerPoints];
+}
+
+// Points a tiebreak winner needed, when only the loser's are recorded
+function winnerPointsFor(loserPoints, target, winBy = 2) {
+  return Math.max(target, loserPoints + winBy);
+}
+
+// First to target, win by winBy - and it stops as soon as that happens.
+// Winning by 1 is sudden death, so nobody gets past target.
+function isFinishedTiebreak(points, target, winBy = 2) {
+  const high = Math.max(...points);
+  const low = Math.min(...points);
+  if (high === target) return high - low >= winBy;
+  return high > target && winBy > 1 && high - low === winBy;
+}
+
+// Set kinds a format plays, or every kind when the format isn't known
+function setKindsFor(format) {
+  return MATCH_FORMATS[format]
+    ? [SET_KINDS[MATCH_FORMATS[format].set]]
+    : Object.values(SET_KINDS);
+}
+
+// Games that win a set in a format (6 when it isn't known)
+function formatSetGames(format) {
+  return setKindsFor(format)[0].setGames;
+}
+
+// The kind of set whose tiebreak finishes with these games (7-6, 9-8, 5-4,
+// 4-3), if any
+function tiebreakKindFor(games, kinds = Object.values(SET_KINDS)) {
+  const high = Math.max(...games);
+  const low = Math.min(...games);
+  return (
+    kinds.find(
+      (kind) => high === kind.tiebreakAt + 1 && low === kind.tiebreakAt,
+    ) || null
+  );
+}
+
+// Games that finish a set of some kind: 6-4, 7-5, 8-6, 4-2, 4-3...
+function isFinishedSet(games, kinds = Object.values(SET_KINDS)) {
+  const high = Math.max(...games);
+  const low = Math.min(...games);
+  return (
+    !!tiebreakKindFor(games, kinds) ||
+    kinds.some(
+      (kind) =>
+        (high === kind.setGames && high - low >= 2) ||
+        (kind.tiebreakAt === kind.setGames &&
+          high === kind.setGames + 1 &&
+          low === kind.setGames - 1),
+    )
+  );
+}
+
+function isStructuredSet(set) {
+  return !!set && typeof set === "object" && Array.isArray(set.games);
+}
+
+// true if we won the set, false if we lost it, null if it's level
+function wonSet(set) {
+  const [mine, theirs] = set.games;
+  if (mine === theirs) return null;
+  return mine > theirs;
+}
+
+// A set decided by a tiebreak (not a match tiebreak). The format says which
+// scores those are - 5-4 finishes a short set but not a six-game one.
+function isTiebreakSet(set, format = null) {
+  if (set.type !== SET) return false;
+  return (
+    set.tiebreak !== null || !!tiebreakKindFor(set.games, setKindsFor(format))
+  );
+}
+
+function flipSet(set) {
+  return makeSet(
+    [set.games[1], set.games[0]],
+    set.tiebreak ? [set.tiebreak[1], set.tiebreak[0]] : null,
+    set.type,
+  );
+}
+
+// "6-3", "7-6(3)" (the loser's tiebreak points), "[10-6]" for a match
+// tiebreak. points: false leaves tiebreak points off sets.
+function formatSet(set, { points = true } = {}) {
+  if (set.type === MATCH_TIEBREAK) {
+    return set.tiebreak
+      ? `[${set.tiebreak[0]}-${set.tiebreak[1]}]`
+      : `${set.games[0]}-${set.games[1]}`;
+  }
+  const games = `${set.games[0]}-${set.games[1]}`;
+  return points && set.tiebreak
+    ? `${games}(${Math.min(...set.tiebreak)})`
+    : games;
+}
+
+function formatScore(sets, options) {
+  return (sets || []).map((set) => formatSet(set, options)).join(" ");
+}
+
+// Sets and games won and lost, tiebreaks, and how any match tiebreak went
+function summarizeSets(sets, format = null) {
+  const summary = {
+    setsWon: 0,
+    setsLost: 0,
+    gamesWon: 0,
+    gamesLost: 0,
+    tiebreaksWon: 0,
+    tiebreaksLost: 0,
+    matchTiebreak: null, // "won" / "lost"
+  };
+  (sets || []).forEach((set) => {
+    const won = wonSet(set);
+    if (won === true) summary.setsWon++;
+    else if (won === false) summary.setsLost++;
+
+    if (set.type === MATCH_TIEBREAK) {
+      if (won !== null) summary.matchTiebreak = won ? "won" : "lost";
+      return; // Points, not games
+    }
+    summary.gamesWon += set.games[0];
+    summary.gamesLost += set.games[1];
+    if (isTiebreakSet(set, format) && won !== null) {
+      if (won) summary.tiebreaksWon++;
+      else summary.tiebreaksLost++;
+    }
+  });
+  return summary;
+}
+
+// true / false from the sets, null when they don't decide it (no sets, or
+// a retirement with the sets level)
+function wonMatch(sets) {
+  const { setsWon, setsLost } = summarizeSets(sets);
+  if (setsWon === setsLost) return null;
+  return setsWon > setsLost;
+}
+
+// Which of MATCH_FORMATS a score was played in, or null without sets. Set
+// lengths come from the games (8-x is a pro set, sets to 4 are short sets,
+// and a 4-3 set makes them Fast4); the number of sets does the rest.
+// Only a set won at 4, or a 5-4 with its tiebreak points, says short sets -
+// a 5-3 is a standard set someone retired from.
+function classifyFormat(sets) {
+  if (!sets || sets.length === 0) return null;
+  const regular = sets.filter((set) => set.type === SET);
+  const highs = regular.map((set) => Math.max(...set.games));
+  const short = SET_KINDS.short;
+  const isShortSet = (set) =>
+    Math.max(...set.games) === short.setGames ||
+    (!!set.tiebreak && !!tiebreakKindFor(set.games, [short]));
+
+  if (highs.some((high) => high >= SET_KINDS.proSet.setGames)) return "proSet";
+  if (
+    regular.some(isShortSet) &&
+    regular.every(
+      (set) => Math.max(...set.games) < short.setGames || isShortSet(set),
+    )
+  ) {
+    return regular.some((set) => tiebreakKindFor(set.games, [SET_KINDS.fast4]))
+      ? "fast4"
+      : "shortSets";
+  }
+  if (regular.length < sets.length) return "matchTiebreak";
+
+  const { setsWon, setsLost } = summarizeSets(sets);
+  if (Math.max(setsWon, setsLost) >= 3 || sets.length >= 4) return "bestOf5";
+  return sets.length === 1 ? "oneSet" : "bestOf3";
+}
+
+// Whether the sets finish a match in its format: every set played out and
+// the winner has as many sets as the format needs
+function isFinishedScore(sets, format = classifyFormat(sets)) {
+  if (!format) return false;
+  const needed = Math.ceil(MATCH_FORMATS[format].bestOf / 2);
+  const { setsWon, setsLost } = summarizeSets(sets, format);
+  return (
+    Math.max(setsWon, setsLost) === needed &&
+    sets.every((set) => {
+      if (set.type !== MATCH_TIEBREAK) {
+        return isFinishedSet(set.games, setKindsFor(format));
+      }
+      return set.tiebreak
+        ? isFinishedTiebreak(
+            set.tiebreak,
+            MATCH_TIEBREAK_RULE.points,
+            MATCH_TIEBREAK_RULE.winBy,
+          )
+        : wonSet(set) !== null;
+    })
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Score card digits
+
+// "6 77" -> { digits: "677", breaks: Set{1} } - breaks are where a space
+// separated two groups, which is a strong hint where sets start
+function digitGroups(text) {
+  const groups = String(text || "")
+    .trim()
+    .split(/\s+/)
+    .filter((group) => /^\d+$/.test(group));
+  const breaks = new Set();
+  let digits = "";
+  groups.forEach((group, idx) => {
+    if (idx > 0) breaks.add(digits.length);
+    digits += group;
+  });
+  return { digits, breaks };
+}
+
+// Whether from..to covers whole groups (always true without spacing)
+function fitsGroups(side, from, to) {
+  if (side.breaks.size === 0) return true;
+  for (let k = from + 1; k < to; k++) if (side.breaks.has(k)) return false;
+  return to === side.digits.length || side.breaks.has(to);
+}
+
+// Tiebreak point counts that can start at pos: one digit, or two
+function readPoints(side, pos) {
+  const options = [];
+  if (pos < side.digits.length) {
+    options.push({ value: Number(side.digits[pos]), next: pos + 1 });
+  }
+  if (pos + 1 < side.digits.length && side.digits[pos] !== "0") {
+    options.push({
+      value: Number(side.digits.substring(pos, pos + 2)),
+      next: pos + 2,
+    });
+  }
+  return options;
+}
+
+// Every way the next set can be read from position i of ours and j of theirs
+function setOptions(ours, i, theirs, j, previous) {
+  const options = [];
+  const atEnd = (ni, nj) =>
+    ni === ours.digits.length && nj === theirs.digits.length;
+  const { setsWon, setsLost } = summarizeSets(previous);
+  const decider = setsWon === setsLost && setsWon > 0 ? 0 : PENALTY.notDecider;
+
+  // Tiebreak points for games, read from either side's digits after ni/nj
+  const withPoints = (games, ni, nj, rule, type, extra) => {
+    const add = (tiebreak, oi, oj, cost) => {
+      if (type === MATCH_TIEBREAK && !atEnd(oi, oj)) return;
+      options.push({
+        set: makeSet(games, tiebreak, type),
+        i: oi,
+        j: oj,
+        penalty: cost + extra,
+      });
+    };
+    const weWon = games[0] > games[1];
+    // Both sides' points
+    readPoints(ours, ni).forEach((mine) => {
+      readPoints(theirs, nj).forEach((theirsPoints) => {
+        const points = [mine.value, theirsPoints.value];
+        if (
+          points[0] > points[1] === weWon &&
+          isFinishedTiebreak(points, rule.points, rule.winBy)
+        ) {
+          add(points, mine.next, theirsPoints.next, 0);
+        }
+      });
+    });
+    // Only the set loser's points (how UTR shows them)
+    const loserSide = weWon ? theirs : ours;
+    readPoints(loserSide, weWon ? nj : ni).forEach((loser) => {
+      const points = orderPoints(
+        games,
+        winnerPointsFor(loser.value, rule.points, rule.winBy),
+        loser.value,
+      );
+      if (!isFinishedTiebreak(points, rule.points, rule.winBy)) return;
+      add(points, weWon ? ni : loser.next, weWon ? loser.next : nj, 0);
+    });
+    add(null, ni, nj, PENALTY.missingPoints);
+  };
+
+  const games = [Number(ours.digits[i]), Number(theirs.digits[j])];
+  const high = Math.max(...games);
+  const low = Math.min(...games);
+  const tiebreakKind = tiebreakKindFor(games);
+
+  if (tiebreakKind) {
+    withPoints(games, i + 1, j + 1, tiebreakKind, SET, 0);
+  } else {
+    let penalty = 0;
+    if (high === 0) penalty = PENALTY.emptySet;
+    else if (!isFinishedSet(games)) penalty = PENALTY.unfinishedSet;
+    options.push({ set: makeSet(games), i: i + 1, j: j + 1, penalty });
+  }
+
+  // 1-0 for a match tiebreak, usually followed by its points
+  if (high === 1 && low === 0) {
+    withPoints(
+      games,
+      i + 1,
+      j + 1,
+      MATCH_TIEBREAK_RULE,
+      MATCH_TIEBREAK,
+      decider,
+    );
+  }
+
+  // Match tiebreak points on their own
+  readPoints(ours, i).forEach((mine) => {
+    readPoints(theirs, j).forEach((theirsPoints) => {
+      const points = [mine.value, theirsPoints.value];
+      if (
+        atEnd(mine.next, theirsPoints.next) &&
+        Math.max(...points) >= MATCH_TIEBREAK_RULE.points &&
+        isFinishedTiebreak(points, MATCH_TIEBREAK_RULE.points)
+      ) {
+        options.push({
+          set: makeSet(
+            points[0] > points[1] ? [1, 0] : [0, 1],
+            points,
+            MATCH_TIEBREAK,
+          ),
+          i: mine.next,
+          j: theirsPoints.next,
+          penalty: PENALTY.bareMatchTiebreak + decider,
+        });
+      }
+    });
+  });
+
+  return options;
+}
+
+// Sets from the two digit strings on a score card, e.g. "677" / "363" ->
+// 6-3, 7-6(7-3). Each side's string holds its games per set, with tiebreak
+// points straight after the set they belong to. Returns [] when the digits
+// can't be read as a score.
+function parseDigitScores(ourDigits, theirDigits) {
+  const ours = digitGroups(ourDigits);
+  const theirs = digitGroups(theirDigits);
+  if (!ours.digits || !theirs.digits) return [];
+
+  let best = null;
+  const search = (i, j, sets, penalty) => {
+    if (best && penalty >= best.penalty) return;
+    if (i === ours.digits.length && j === theirs.digits.length) {
+      best = { sets, penalty };
+      return;
+    }
+    if (
+      i >= ours.digits.length ||
+      j >= theirs.digits.length ||
+      sets.length === MAX_SETS
+    ) {
+      return;
+    }
+    setOptions(ours, i, theirs, j, sets).forEach((option) => {
+      let cost = option.penalty;
+      if (!fitsGroups(ours, i, option.i)) cost += PENALTY.splitGroup;
+      if (!fitsGroups(theirs, j, option.j)) cost += PENALTY.splitGroup;
+      search(option.i, option.j, [...sets, option.set], penalty + cost);
+    });
+  };
+  search(0, 0, [], 0);
+
+  return best ? best.sets : [];
+}
+
+// ---------------------------------------------------------------------------
+// UTR API score entries
+
+// One entry of a UTR API score: { winner, loser, tiebreak, winnerTiebreak }.
+// "winner"/"loser" are the match winner's and loser's games; "tiebreak" is
+// the set loser's points and "winnerTiebreak" only sometimes there.
+function setFromScoreEntry(entry, weWon, { isLast = false } = {}) {
+  const winnerGames = toNumber(entry && entry.winner);
+  const loserGames = toNumber(entry && entry.loser);
+  if (winnerGames === null || loserGames === null) return null;
+
+  const games = weWon ? [winnerGames, loserGames] : [loserGames, winnerGames];
+  const high = Math.max(...games);
+  const low = Math.min(...games);
+  const loserPoints = toNumber(entry.tiebreak);
+  const winnerPoints = toNumber(entry.winnerTiebreak);
+
+  // A last set of 1-0 or one in double figures is a match tiebreak
+  if (isLast && high >= MATCH_TIEBREAK_RULE.points) {
+    return makeSet(
+      games[0] > games[1] ? [1, 0] : [0, 1],
+      games,
+      MATCH_TIEBREAK,
+    );
+  }
+  if (isLast && high === 1 && low === 0) {
+    const tiebreak =
+      loserPoints === null
+        ? null
+        : orderPoints(
+            games,
+            winnerPoints ??
+              winnerPointsFor(loserPoints, MATCH_TIEBREAK_RULE.points),
+            loserPoints,
+          );
+    return makeSet(games, tiebreak, MATCH_TIEBREAK);
+  }
+
+  const rule = tiebreakKindFor(games) || SET_KINDS.standard;
+  const tiebreak =
+    loserPoints !== null && high - low === 1
+      ? orderPoints(
+          games,
+          winnerPoints ?? winnerPointsFor(loserPoints, rule.points, rule.winBy),
+          loserPoints,
+        )
+      : null;
+  return makeSet(games, tiebreak);
+}
+
+// ---------------------------------------------------------------------------
+// Set strings from older scrapes
+
+// "6-4", "7-6(3)", "7-6(7-3)", "1-0(10-6)", "10-6", "[10-6]", "1-0".
+// Points in brackets are ours first, a single number is the loser's points.
+// isDecider says a bare 1-0 is a match tiebreak rather than a retirement.
+function parseSetString(text, { isDecider = false } = {}) {
+  const value = String(text || "").replace(/\s+/g, "");
+  const bracketed = value.match(/^\[(\d+)-(\d+)\]$/);
+  const parts = value.match(/^(\d+)-(\d+)(?:\((\d+)(?:-(\d+))?\))?$/);
+  if (!bracketed && !parts) return null;
+
+  if (bracketed || Math.max(Number(parts[1]), Number(parts[2])) >= 10) {
+    const points = (bracketed || parts).slice(1, 3).map(Number);
+    return makeSet(
+      points[0] > points[1] ? [1, 0] : [0, 1],
+      points,
+      MATCH_TIEBREAK,
+    );
+  }
+
+  const games = [Number(parts[1]), Number(parts[2])];
+  const first = toNumber(parts[3]);
+  const second = toNumber(parts[4]);
+  const high = Math.max(...games);
+  const low = Math.min(...games);
+  const isMatchTiebreak =
+    high === 1 && low === 0 && (first !== null || isDecider);
+  const rule = isMatchTiebreak
+    ? MATCH_TIEBREAK_RULE
+    : tiebreakKindFor(games) || SET_KINDS.standard;
+
+  let tiebreak = null;
+  if (second !== null) tiebreak = [first, second];
+  else if (first !== null) {
+    tiebreak = orderPoints(
+      games,
+      winnerPointsFor(first, rule.points, rule.winBy),
+      first,
+    );
+  }
+  return makeSet(games, tiebreak, isMatchTiebreak ? MATCH_TIEBREAK : SET);
+}
+
+// Structured sets from whatever a match has saved. Older DOM scrapes kept
+// tiebreak points apart from the sets, in tiebreakScores ("7-3", ours first).
+function normalizeSets(sets, tiebreakScores = []) {
+  const points = [...(tiebreakScores || [])];
+  const list = sets || [];
+  return list
+    .map((set, idx) => {
+      if (isStructuredSet(set)) return set;
+      const parsed = parseSetString(set, {
+        isDecider: idx === list.length - 1 && list.length >= 3,
+      });
+      if (parsed && isTiebreakSet(parsed) && !parsed.tiebreak) {
+        const saved = String(points.shift() || "").match(/^(\d+)-(\d+)$/);
+        if (saved) parsed.tiebreak = [Number(saved[1]), Number(saved[2])];
+      }
+      return parsed;
+    })
+    .filter(Boolean);
+}
+
+module.exports = {
+  SET,
+  MATCH_TIEBREAK,
+  MATCH_FORMATS,
+  parseDigitScores,
+  setFromScoreEntry,
+  parseSetString,
+  normalizeSets,
+  isStructuredSet,
+  isTiebreakSet,
+  wonSet,
+  wonMatch,
+  summarizeSets,
+  classifyFormat,
+  formatSetGames,
+  isFinishedScore,
+  flipSet,
+  formatSet,
+  formatScore,
+};
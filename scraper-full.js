@@ -1,10 +1,68 @@
 // scraper-full.js - Comprehensive UTR scraper with opponent tracking
-// Run with: node scraper-full.js <profile_id> [--force]
+// Run with: node scraper-full.js <profile_id> [--force] [--login] [--fast | --ultra-fast]
+//   --incremental   start from the cached profile and only fetch what's new
+//   --years <n>     also load <n> full seasons of older results (default 1)
+//   --concurrency <n>   opponent pages to load at once (default 4)
+//   --max-requests <n>  cap on opponent page loads per run (default 40)
+//   --max-opponents <n> opponents to fetch rating histories for (default 15)
+//   --year <yyyy>       review year - opponents met that year are fetched first
+//   --record <dir>  save pages + network responses as a replayable fixture
+//   --replay <dir>  run against a recorded session with no network access
+// Or from code: require("./scraper-full").scrapeUTR(profileId, options) - see resolveOptions()
 
 // Use Puppeteer for Lambda compatibility
 const puppeteer = require("puppeteer-core");
 const fs = require("fs");
 const path = require("path");
+const {
+  classifyApiResponse,
+  parseResultsPayloads,
+  parseRatingHistoryPayloads,
+  parseProfilePayload,
+  eventTypeFrom,
+} = require("./utr-api");
+const {
+  startRecording,
+  snapshotPage,
+  finishRecording,
+  startReplay,
+} = require("./session-recorder");
+const {
+  createRequestBudget,
+  takeRequest,
+  budgetLeft,
+  runPagePool,
+} = require("./page-pool");
+const { assignMatchIds } = require("./match-id");
+const {
+  MATCH_TIEBREAK,
+  parseDigitScores,
+  wonMatch,
+  summarizeSets,
+} = require("./score-parser");
+const {
+  RESULT_TYPES,
+  resultMarker,
+  statusText,
+  matchFormat,
+  countsInRecord,
+} = require("./result-type");
+const {
+  normalizeSeries,
+  roundRating,
+  ratingAround,
+} = require("./rating-series");
+const { runLoginFlow, describeLoginFailure } = require("./login-flow");
+const { resolveCredentials } = require("./credentials");
+const { cacheStoreFromEnv } = require("./cache-store");
+const {
+  SESSION_KEY_ENV,
+  sessionKeyFromEnv,
+  loadSession,
+  saveSession,
+  clearSession,
+  describeSession,
+} = require("./session-store");
 
 // Use @sparticuz/chromium for Lambda (actively maintained, includes all dependencies)
 // This is the recommended package for AWS Lambda
@@ -24,25 +82,24 @@ try {
   }
 }
 
-const PROFILE_ID = process.argv[2] || "904826";
-const FORCE_REFRESH = process.argv.includes("--force");
-const FORCE_LOGIN = process.argv.includes("--login"); // Force fresh login
-const FAST_MODE = process.argv.includes("--fast"); // Skip opponent histories for speed
-const ULTRA_FAST_MODE = process.argv.includes("--ultra-fast"); // Skip rating history + opponent histories
-const BASE_URL = "https://app.utrsports.net";
-
-// Cache settings
+// Defaults for scrapeUTR options - see resolveOptions()
+// Override with UTR_BASE_URL to run against utr-stub-server.js
+const DEFAULT_BASE_URL =
+  process.env.UTR_BASE_URL || "https://app.utrsports.net";
 // Use CACHE_DIR from environment if set (for Lambda), otherwise use local cache
-const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, "cache");
-const CACHE_VERSION = "1.1"; // Bump this to invalidate cache
-const CACHE_MAX_AGE_DAYS = 7; // Cache valid for 7 days
-const AUTH_STATE_FILE = path.join(CACHE_DIR, "auth-state.json");
+const DEFAULT_CACHE_DIR =
+  process.env.CACHE_DIR || path.join(__dirname, "cache");
+const MODES = ["full", "fast", "ultra-fast"]; // fast: skip opponent histories, ultra-fast: also skip rating history
 
 // Rate limiting - optimized for speed while staying safe
 const DELAY_BETWEEN_PAGES = 800; // 800ms between page loads (with jitter)
 const DELAY_BETWEEN_OPPONENTS = 300; // 300ms base delay for opponent lookups (with jitter)
-const MAX_OPPONENTS_TO_FETCH = 15; // Limit opponent lookups
+const MAX_OPPONENTS_TO_FETCH = 15; // Default limit on opponent lookups (see rankOpponents)
 const MAX_PARALLEL_OPPONENTS = 4; // Fetch up to 4 opponents concurrently
+const MAX_OPPONENT_REQUESTS = 40; // Opponent page loads + "Show all" clicks per run
+const CONTENT_WAIT_MS = 10000; // Longest wait for a page's data to show up
+const MAX_LOAD_MORE_ROUNDS = 40; // Cap on "Load more" clicks per results tab
+const LOAD_MORE_WAIT_MS = 3000; // Wait for older results after a scroll or click
 const ENABLE_RESOURCE_BLOCKING = true; // Block images/fonts/CSS to speed up loading
 
 // Add random jitter to delays to appear more human-like
@@ -56,6 +113,24 @@ function delay(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+// Poll check() until it returns something truthy; null after timeoutMs
+async function waitUntil(
+  check,
+  { timeoutMs = CONTENT_WAIT_MS, intervalMs = 200 } = {},
+) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    try {
+      const value = await check();
+      if (value) return value;
+    } catch (e) {
+      // Page mid-navigation - try again
+    }
+    await delay(intervalMs);
+  }
+  return null;
+}
+
 // Helper function to replace page.$x (removed in Puppeteer v21+)
 // Uses XPath via evaluate instead
 async function findByXPath(page, xpath) {
@@ -93,123 +168,300 @@ async function clickByXPath(page, xpath) {
   }, xpath);
 }
 
-// Ensure cache directory exists
-if (!fs.existsSync(CACHE_DIR)) {
-  fs.mkdirSync(CACHE_DIR, { recursive: true });
-}
-
-// Check if we have saved auth state
-function hasAuthState() {
-  try {
-    if (fs.existsSync(AUTH_STATE_FILE)) {
-      const stat = fs.statSync(AUTH_STATE_FILE);
-      const ageHours = (Date.now() - stat.mtimeMs) / (1000 * 60 * 60);
-      // Auth state valid for 24 hours
-      if (ageHours < 24) {
+// Click the first visible element whose text contains `word` (any case)
+async function clickVisibleText(page, word) {
+  return page.evaluate((word) => {
+    const xpath = `//*[contains(translate(text(), 'ABCDEFGHIJKLMNOPQRSTUVWXYZ', 'abcdefghijklmnopqrstuvwxyz'), '${word}')]`;
+    const result = document.evaluate(
+      xpath,
+      document,
+      null,
+      XPathResult.ORDERED_NODE_SNAPSHOT_TYPE,
+      null,
+    );
+    for (let i = 0; i < result.snapshotLength; i++) {
+      const btn = result.snapshotItem(i);
+      const rect = btn.getBoundingClientRect();
+      if (
+        rect.width > 0 &&
+        rect.height > 0 &&
+        window.getComputedStyle(btn).visibility !== "hidden" &&
+        window.getComputedStyle(btn).display !== "none" &&
+        window.getComputedStyle(btn).pointerEvents !== "none"
+      ) {
+        btn.click();
         return true;
       }
-      console.log("Auth state expired (>24 hours old)");
     }
-  } catch (e) {}
-  return false;
+    return false;
+  }, word);
 }
 
-async function saveAuthState(browser) {
-  // Puppeteer: Save cookies manually
-  try {
-    const pages = await browser.pages();
-    if (pages.length > 0) {
-      const cookies = await pages[0].cookies();
-      // Ensure cache directory exists
-      if (!fs.existsSync(CACHE_DIR)) {
-        fs.mkdirSync(CACHE_DIR, { recursive: true });
+// Switch the SINGLES/DOUBLES dropdown on the results or stats tab to
+// doubles. Payloads captured from here on are tagged as doubles.
+async function switchToDoubles(page, capture, { screenshotPath } = {}) {
+  if (await clickVisibleText(page, "singles")) await delay(2000);
+  if (screenshotPath) await page.screenshot({ path: screenshotPath });
+  await setCapturePhase(capture, "doubles");
+  return clickVisibleText(page, "doubles");
+}
+
+// Click "Show all" on the stats tab and wait for the fuller rating history
+// (of matchType, when given) to arrive
+async function clickShowAll(page, capture, { profileId, matchType = null }) {
+  // First, scroll to make sure the button is visible
+  await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+  const before = await ratingHistoryState(page, capture, profileId, matchType);
+
+  const clicked = await waitUntil(async () => {
+    const visible = await page.evaluate(() => {
+      const xpath = "//*[contains(text(), 'Show all')]";
+      const result = document.evaluate(
+        xpath,
+        document,
+        null,
+        XPathResult.FIRST_ORDERED_NODE_TYPE,
+        null,
+      );
+      const element = result.singleNodeValue;
+      if (element) {
+        const rect = element.getBoundingClientRect();
+        if (
+          rect.width > 0 &&
+          rect.height > 0 &&
+          window.getComputedStyle(element).visibility !== "hidden" &&
+          window.getComputedStyle(element).display !== "none"
+        ) {
+          element.click();
+          return true;
+        }
       }
-      fs.writeFileSync(AUTH_STATE_FILE, JSON.stringify({ cookies }, null, 2));
-      console.log(`💾 Saved auth state (cookies) for future runs`);
-      console.log(`   Location: ${AUTH_STATE_FILE}`);
-      console.log(`   Cookies: ${cookies.length}`);
-    } else {
-      console.log("⚠️  No pages available to save cookies from");
-    }
-  } catch (e) {
-    console.log(`❌ Could not save auth state: ${e.message}`);
-    console.log(`   Tried to save to: ${AUTH_STATE_FILE}`);
-  }
+      return false;
+    });
+    // Not laid out yet - click it anyway by its text
+    return visible || clickByXPath(page, "//*[contains(text(), 'Show all')]");
+  });
+  if (!clicked) return false;
+
+  console.log('   Clicked "Show all" link');
+  await waitForRatingHistory(page, capture, profileId, before, matchType);
+  return true;
 }
 
-// Load credentials if available
-let credentials = null;
-try {
-  // Check SECRETS_PATH environment variable first (for Lambda), then fall back to __dirname
-  const secretsPath =
-    process.env.SECRETS_PATH || path.join(__dirname, "secrets.json");
-  if (fs.existsSync(secretsPath)) {
-    credentials = JSON.parse(fs.readFileSync(secretsPath, "utf8"));
-    console.log("📧 Credentials loaded from:", secretsPath);
-  } else {
-    console.log("ℹ️  No secrets file found at:", secretsPath);
+// Listen to the JSON the profile pages fetch (results, rating history, profile)
+// Each captured payload is tagged with the phase the scraper was in when it
+// arrived, so singles and doubles responses can be told apart even when the
+// URL doesn't say which one it is.
+function attachNetworkCapture(page) {
+  const capture = { phase: null, entries: [], pending: new Set() };
+
+  page.on("response", (response) => {
+    const info = classifyApiResponse(response.url());
+    if (!info) return;
+    const resourceType = response.request().resourceType();
+    if (resourceType !== "xhr" && resourceType !== "fetch") return;
+    if (!response.ok()) return;
+
+    const phase = capture.phase;
+    const task = response
+      .json()
+      .then((payload) => {
+        capture.entries.push({ ...info, phase, url: response.url(), payload });
+      })
+      .catch(() => {
+        // Not JSON or body no longer available - the DOM fallback covers it
+      })
+      .finally(() => capture.pending.delete(task));
+    capture.pending.add(task);
+  });
+
+  return capture;
+}
+
+// Start a new phase; wait for responses still being read from the last one
+async function setCapturePhase(capture, phase) {
+  await settleNetworkCapture(capture);
+  capture.phase = phase;
+}
+
+async function settleNetworkCapture(capture) {
+  if (capture.pending.size > 0) {
+    await Promise.all(Array.from(capture.pending));
   }
-} catch (e) {
-  console.log("ℹ️  Error loading secrets:", e.message);
-  console.log("ℹ️  Will prompt for login if needed");
 }
 
-// Cache helpers
-function getCachePath(type, id) {
-  return path.join(CACHE_DIR, `${type}-${id}.json`);
+// Phases are named after the match type being viewed ("singles"/"doubles")
+function capturedPayloads(capture, kind, { playerId, matchType }) {
+  return capture.entries
+    .filter(
+      (e) =>
+        e.kind === kind &&
+        (!playerId || e.playerId === String(playerId)) &&
+        (!matchType || (e.matchType || e.phase) === matchType),
+    )
+    .map((e) => e.payload);
 }
 
-function loadFromCache(type, id) {
-  const cachePath = getCachePath(type, id);
-  try {
-    if (fs.existsSync(cachePath)) {
-      const data = JSON.parse(fs.readFileSync(cachePath, "utf8"));
+// Player profile fields from extra laid over base - fields extra doesn't
+// know (null, empty) keep base's value
+function mergeProfile(base, extra) {
+  const merged = { ...base };
+  Object.entries(extra || {}).forEach(([key, value]) => {
+    if (value === null || value === undefined || value === "") return;
+    if (Array.isArray(value) && value.length === 0 && merged[key]) return;
+    merged[key] = value;
+  });
+  return merged;
+}
 
-      // Check version
-      if (data._cacheVersion !== CACHE_VERSION) {
-        console.log(
-          `   Cache version mismatch for ${type}-${id}, will refresh`,
-        );
-        return null;
-      }
+// Encrypted session lookup for this account (see session-store.js)
+function sessionOptions(opts) {
+  return { key: opts.sessionKey, account: opts.credentials?.email };
+}
 
-      // Check age (max 7 days)
-      if (data._cachedAt) {
-        const cacheDate = new Date(data._cachedAt);
-        const ageInDays =
-          (Date.now() - cacheDate.getTime()) / (1000 * 60 * 60 * 24);
-        if (ageInDays > CACHE_MAX_AGE_DAYS) {
-          console.log(
-            `   Cache expired for ${type}-${id} (${ageInDays.toFixed(1)} days old), will refresh`,
-          );
-          return null;
-        }
-      }
+// Save the login session after a fresh login. session tracks this run: a
+// session that was loaded and still works isn't saved again until it expires.
+async function saveAuthState(browser, opts, session) {
+  // Replayed sessions never talked to UTR - nothing worth saving
+  if (opts.replay || session.reused || session.saved) return;
+  if (!opts.sessionKey) {
+    console.log(
+      `ℹ️  ${SESSION_KEY_ENV} not set - login session won't be saved for future runs`,
+    );
+    return;
+  }
+  const authLocation = describeSession(opts.cache, sessionOptions(opts));
 
-      return data;
+  // Puppeteer: Save cookies manually
+  try {
+    const pages = await browser.pages();
+    if (pages.length > 0) {
+      const cookies = await pages[0].cookies();
+      const saved = await saveSession(
+        opts.cache,
+        cookies,
+        sessionOptions(opts),
+      );
+      session.saved = true;
+      console.log(`💾 Saved encrypted login session for future runs`);
+      console.log(`   Location: ${authLocation}`);
+      console.log(
+        `   Cookies: ${cookies.length}, expires ${saved.expiresAt || "with the cache TTL"}`,
+      );
+    } else {
+      console.log("⚠️  No pages available to save cookies from");
     }
-  } catch (e) {}
-  return null;
+  } catch (e) {
+    console.log(`❌ Could not save login session: ${e.message}`);
+    console.log(`   Tried to save to: ${authLocation}`);
+  }
 }
 
-function saveToCache(type, id, data) {
-  const cachePath = getCachePath(type, id);
-  data._cacheVersion = CACHE_VERSION;
-  data._cachedAt = new Date().toISOString();
-  fs.writeFileSync(cachePath, JSON.stringify(data, null, 2));
+// Fill in defaults for the scrapeUTR options
+//   mode        "full" (default), "fast" (no opponent histories) or
+//               "ultra-fast" (no rating history or opponent histories)
+//   force       ignore cached profile/opponent data
+//   forceLogin  clear the saved browser and login sessions and log in again
+//   cacheDir    where browser data, debug screenshots and (with the default
+//               file backend) cache entries go
+//   cache       cache store for profiles, opponents and the login session (see
+//               cache-store.js); defaults to the CACHE_BACKEND one
+//   outputDir   where utr-full-<id>.json is written
+//   credentials { email, password }, null to skip logging in; by default
+//               the first found by resolveCredentials (see credentials.js)
+//   sessionKey  key the saved login session is encrypted with (base64 or hex,
+//               32 bytes); defaults to UTR_SESSION_KEY, unset means not saved
+//   baseUrl     UTR web app URL (UTR_BASE_URL or app.utrsports.net)
+//   record      directory to record the session to (see session-recorder.js)
+//   replay      directory of a recorded session to replay
+//   years       full seasons of results to load before the current one (default 1)
+//   concurrency opponent pages loaded at once (default MAX_PARALLEL_OPPONENTS)
+//   maxRequests opponent page loads per run (default MAX_OPPONENT_REQUESTS,
+//               null for no limit)
+//   onProgress  called with { stage, done, total, ... } as opponents finish
+//   maxOpponents opponents to fetch rating histories for (default
+//               MAX_OPPONENTS_TO_FETCH)
+//   year        review year; defaults to the year of the latest match
+//   incremental only fetch matches and rating points newer than the cached
+//               profile and merge them in (see mergeIncremental)
+function resolveOptions(options = {}) {
+  const mode = options.mode || "full";
+  if (!MODES.includes(mode)) {
+    throw new Error(
+      `Unknown scrape mode "${mode}" (expected ${MODES.join(", ")})`,
+    );
+  }
+  const cacheDir = options.cacheDir || DEFAULT_CACHE_DIR;
+  return {
+    mode,
+    force: !!options.force,
+    forceLogin: !!options.forceLogin,
+    cacheDir,
+    cache: options.cache || cacheStoreFromEnv({ cacheDir }),
+    outputDir: options.outputDir || process.env.OUTPUT_DIR || __dirname,
+    credentials: options.credentials,
+    sessionKey: sessionKeyFromEnv(options.sessionKey),
+    baseUrl: (options.baseUrl || DEFAULT_BASE_URL).replace(/\/$/, ""),
+    record: options.record ? path.resolve(options.record) : null,
+    replay: options.replay ? path.resolve(options.replay) : null,
+    years: Math.max(0, parseInt(options.years ?? 1) || 0),
+    concurrency: Math.max(
+      1,
+      parseInt(options.concurrency ?? MAX_PARALLEL_OPPONENTS) || 1,
+    ),
+    maxRequests:
+      options.maxRequests === null
+        ? null
+        : Math.max(
+            0,
+            parseInt(options.maxRequests ?? MAX_OPPONENT_REQUESTS) || 0,
+          ),
+    onProgress:
+      typeof options.onProgress === "function" ? options.onProgress : null,
+    maxOpponents: Math.max(
+      0,
+      parseInt(options.maxOpponents ?? MAX_OPPONENTS_TO_FETCH) || 0,
+    ),
+    year: parseInt(options.year) || null,
+    incremental: !!options.incremental,
+  };
 }
 
 // Cache for opponent rating histories
 const opponentCache = {};
 
-async function scrapeUTR(profileId) {
+async function scrapeUTR(profileId, options = {}) {
+  const opts = resolveOptions(options);
+  const { baseUrl, cacheDir } = opts;
+  const fastMode = opts.mode === "fast";
+  const ultraFastMode = opts.mode === "ultra-fast";
+  fs.mkdirSync(cacheDir, { recursive: true });
+
   const scriptStartTime = Date.now();
   console.log(`\n🎾 Full UTR Scraper - Profile ${profileId}\n`);
   console.log(`⏱️  Start time: ${new Date().toISOString()}\n`);
 
   // Check for cached profile data
-  if (!FORCE_REFRESH) {
-    const cached = loadFromCache("profile", profileId);
+  // Recording and replaying always drive the browser, so skip the cache there
+  let previous = null;
+  if (opts.replay || opts.record) {
+    console.log(
+      `${opts.replay ? "▶️  Replay" : "🎥 Record"} mode - ignoring cached data\n`,
+    );
+  } else if (opts.incremental) {
+    // Any cached profile will do, however old - we only fetch what's newer
+    previous = await opts.cache.get("profile", profileId, {
+      maxAgeDays: Infinity,
+    });
+    if (previous) {
+      console.log(
+        `🔁 Incremental refresh on top of data scraped ${previous.scrapedAt}\n`,
+      );
+    } else {
+      console.log("🔁 No cached profile yet - doing a full scrape\n");
+    }
+  } else if (!opts.force) {
+    const cached = await opts.cache.get("profile", profileId);
     if (cached && cached.singlesMatches?.length > 0) {
       console.log(`📦 Using cached data from ${cached._cachedAt}`);
       console.log(
@@ -218,8 +470,10 @@ async function scrapeUTR(profileId) {
       printSummary(cached);
 
       // Still save to the output file for the generator
-      const outputDir = process.env.OUTPUT_DIR || __dirname;
-      const outputPath = path.join(outputDir, `utr-full-${profileId}.json`);
+      const outputPath = path.join(
+        opts.outputDir,
+        `utr-full-${profileId}.json`,
+      );
       fs.writeFileSync(outputPath, JSON.stringify(cached, null, 2));
       console.log(`\n✅ Using cached data from ${outputPath}`);
       return cached;
@@ -228,18 +482,24 @@ async function scrapeUTR(profileId) {
     console.log("🔄 Force refresh requested\n");
   }
 
+  // Only runs that open the browser need to log in
+  if (opts.credentials !== null) {
+    opts.credentials = await resolveCredentials(opts.credentials);
+  }
+
   // Use persistent browser context to keep login across runs
-  const userDataDir = path.join(CACHE_DIR, "browser-data");
+  const userDataDir = path.join(cacheDir, "browser-data");
 
   let context;
   let browser;
 
-  if (FORCE_LOGIN) {
+  if (opts.forceLogin) {
     console.log("🔄 Force login requested - will create fresh session");
     // Clear browser data for fresh login
     if (fs.existsSync(userDataDir)) {
       fs.rmSync(userDataDir, { recursive: true, force: true });
     }
+    await clearSession(opts.cache, sessionOptions(opts));
   }
 
   // Use persistent context - this keeps cookies/login across runs
@@ -442,68 +702,60 @@ async function scrapeUTR(profileId) {
     page = await browser.newPage();
   }
 
-  // Set user agent
-  await page.setUserAgent(
-    "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-  );
-  page.setDefaultTimeout(60000); // 60 second timeout
-  page.setDefaultNavigationTimeout(60000);
-
-  // Puppeteer compatibility: set viewport
-  await page.setViewport({ width: 1400, height: 900 });
+  // Capture the API responses the profile pages load
+  const capture = await preparePage(page);
 
-  // Load saved auth state (cookies) if available
-  // First check for Lambda-packaged auth state, then local cache
-  const TASK_DIR = process.env.LAMBDA_TASK_ROOT || "/var/task";
-  const lambdaAuthPath = path.join(TASK_DIR, "auth-state-lambda.json");
-  const localAuthPath = AUTH_STATE_FILE;
-  let authStatePath = null;
-
-  if (fs.existsSync(lambdaAuthPath)) {
-    authStatePath = lambdaAuthPath;
-    console.log("📦 Loading auth state from Lambda package...");
-  } else if (fs.existsSync(localAuthPath)) {
-    authStatePath = localAuthPath;
-    console.log("📦 Loading auth state from local cache...");
-  }
+  // Record or replay the whole session (see session-recorder.js)
+  const recorder = opts.record
+    ? await startRecording(page, opts.record, { profileId, baseUrl })
+    : null;
+  const replay = opts.replay ? await startReplay(page, opts.replay) : null;
 
-  if (authStatePath) {
+  // Start from the saved login session if there is one (see session-store.js)
+  const session = { reused: false, saved: false };
+  if (!replay) {
     try {
-      const authState = JSON.parse(fs.readFileSync(authStatePath, "utf8"));
-      if (authState.cookies && authState.cookies.length > 0) {
+      const saved = await loadSession(opts.cache, sessionOptions(opts));
+      if (saved?.cookies && saved.cookies.length > 0) {
+        console.log(
+          `📦 Loading login session from ${describeSession(opts.cache, sessionOptions(opts))}...`,
+        );
         // Navigate to UTR domain first to set cookies (required for cookie domain matching)
-        await page.goto(`${BASE_URL}`, {
+        await page.goto(`${baseUrl}`, {
           waitUntil: "domcontentloaded",
           timeout: 30000,
         });
-        // Set cookies
-        await page.setCookie(...authState.cookies);
+        await page.setCookie(...saved.cookies);
+        session.reused = true;
         console.log(
-          `   ✅ Loaded ${authState.cookies.length} cookies from saved session`,
+          `   ✅ Loaded ${saved.cookies.length} cookies saved ${saved.savedAt}`,
         );
-        console.log("   Will skip login and use saved session");
+        console.log("   Will skip login if the session still works");
       }
     } catch (e) {
-      console.log(`   ⚠️  Could not load auth state: ${e.message}`);
+      console.log(`   ⚠️  Could not load login session: ${e.message}`);
     }
   }
 
   const results = {
     profileId,
-    scrapedAt: new Date().toISOString(),
+    // Replays keep the recording's timestamp so every run gives the same output
+    scrapedAt: replay ? replay.manifest.recordedAt : new Date().toISOString(),
     player: {},
     singlesHistory: [],
     doublesHistory: [],
     singlesMatches: [],
     doublesMatches: [],
     opponentHistories: {},
+    // Which path produced each part of the data: "network" or "dom"
+    sources: {},
   };
 
   try {
     // Go to profile
     const profileLoadStart = Date.now();
     console.log("Opening UTR profile...");
-    await page.goto(`${BASE_URL}/profiles/${profileId}`, {
+    await page.goto(`${baseUrl}/profiles/${profileId}`, {
       waitUntil: "domcontentloaded",
       timeout: 60000,
     });
@@ -516,903 +768,285 @@ async function scrapeUTR(profileId) {
     await delay(3000);
 
     // Take initial screenshot
-    await page.screenshot({ path: path.join(CACHE_DIR, "initial-page.png") });
+    await page.screenshot({ path: path.join(cacheDir, "initial-page.png") });
+    await snapshotPage(recorder, page, "profile");
+
+    const login = await runLoginFlow(page, {
+      baseUrl,
+      profileId,
+      credentials: opts.credentials,
+      screenshotDir: cacheDir,
+    });
+
+    // UTR ended the saved session early (logout, password change) - drop it
+    // so it isn't tried again
+    if (session.reused && login.via !== "session") {
+      console.log("⚠️  Saved login session no longer works");
+      await clearSession(opts.cache, sessionOptions(opts));
+      session.reused = false;
+    }
+
+    if (login.ok) {
+      if (login.via === "credentials") {
+        console.log(
+          `⏱️  Login completed in ${(login.durationMs / 1000).toFixed(2)}s`,
+        );
+      }
+      console.log(
+        session.reused ? "✅ Using saved login session" : "✅ Logged in",
+      );
+      // A saved session that worked is kept as it is until it expires; a
+      // fresh login or one from the local browser profile gets saved now
+      await saveAuthState(browser, opts, session);
+    } else {
+      console.log(
+        `⚠️  WARNING: Not logged in (${login.reason} at ${login.state}: ${login.message}) - matches may not be visible`,
+      );
+    }
+
+    // Store login status in results
+    results.loginSuccessful = login.ok;
+    results.login = {
+      ok: login.ok,
+      via: login.via,
+      reason: login.reason,
+      state: login.state,
+      message: login.message,
+      durationMs: login.durationMs,
+    };
+    if (!login.ok) results.loginError = describeLoginFailure(login.reason);
 
-    let loginInfo = await page.evaluate(() => {
+    // Get player info from page content
+    results.player = await page.evaluate(() => {
+      // Try multiple sources
       const state = window.INITIAL_STATE;
-      const userId = state?.auth?.user?.id;
-      const userName = state?.auth?.user?.firstName;
-      // Check for login button by looking at all buttons/links
-      let hasLoginBtn = false;
-      document.querySelectorAll("a, button").forEach((el) => {
-        const text = el.innerText?.toLowerCase() || "";
-        if (text.includes("sign in") || text.includes("log in")) {
-          hasLoginBtn = true;
-        }
-      });
+
+      // Get name from page header
+      const h1 = document.querySelector("h1");
+      const nameFromH1 = h1?.innerText?.trim() || "";
+
+      // Try to find UTRs from the page
+      const utrElements = document.querySelectorAll(
+        '[class*="utr"], [class*="UTR"]',
+      );
+      let singlesUtr = null;
+      let doublesUtr = null;
+
+      // Look for UTR values in the profile section
+      const allText = document.body.innerText;
+
+      // Pattern: "UTR 8 (Singles): 5.74" or "UTR 88 (Doubles): 6.19"
+      const singlesMatch = allText.match(
+        /UTR\s+\d+\s*\(?Singles\)?[:\s]+(\d+\.\d{2})/i,
+      );
+      const doublesMatch = allText.match(
+        /UTR\s+\d+\s*\(?Doubles\)?[:\s]+(\d+\.\d{2})/i,
+      );
+
+      if (singlesMatch) singlesUtr = parseFloat(singlesMatch[1]);
+      if (doublesMatch) doublesUtr = parseFloat(doublesMatch[1]);
+
+      // Fallback: look for standalone UTR numbers
+      if (!singlesUtr) {
+        utrElements.forEach((el) => {
+          const text = el.innerText.trim();
+          const utrMatch = text.match(/^(\d+\.\d{2})$/);
+          if (utrMatch && !singlesUtr) {
+            singlesUtr = parseFloat(utrMatch[1]);
+          }
+        });
+      }
+
+      // The rest of the profile (location, college, reliability...) comes
+      // from the profile data in the page state - parsed in Node below
       return {
-        userId,
-        userName,
-        hasLoginBtn,
-        isLoggedIn: !!userId && !hasLoginBtn,
+        name: nameFromH1,
+        singlesUtr,
+        doublesUtr,
+        profileData: state?.profile?.data || null,
       };
     });
-
-    let isLoggedIn = loginInfo.isLoggedIn;
+    const { profileData, ...pagePlayer } = results.player;
+    results.player = mergeProfile(
+      { ...parseProfilePayload(profileData) },
+      pagePlayer,
+    );
+    // Always the scraped profile's ID - auth.user.id is whoever logged in
+    results.player.id = String(profileId);
+    results.sources.player = "dom";
+
+    // The profile payload has the name and ratings without any text parsing
+    await settleNetworkCapture(capture);
+    const networkProfile = capturedPayloads(capture, "profile", {
+      playerId: profileId,
+    })
+      .map(parseProfilePayload)
+      .find(Boolean);
+    if (networkProfile) {
+      results.player = mergeProfile(results.player, networkProfile);
+      results.player.id = String(profileId);
+      results.sources.player = "network";
+    }
     console.log(
-      `Login check: userId=${loginInfo.userId}, name=${loginInfo.userName}, hasLoginBtn=${loginInfo.hasLoginBtn}`,
+      `Player: ${results.player.name || "Unknown"} (UTR: ${results.player.singlesUtr || "?"}) [${results.sources.player}]`,
     );
+    const details = [
+      results.player.location,
+      results.player.ageGroup,
+      results.player.college || results.player.club,
+      Number.isFinite(results.player.singlesReliability)
+        ? `${results.player.singlesReliability}% reliable`
+        : null,
+    ].filter(Boolean);
+    if (details.length > 0) console.log(`   ${details.join(" • ")}`);
 
-    if (!isLoggedIn && credentials) {
-      const loginStart = Date.now();
-      console.log("\n🔐 Logging in with credentials...");
-      try {
-        // Dismiss any popups/modals first
-        console.log("   Checking for popups...");
-        const popupDismissed = await page.evaluate(() => {
-          // Try to close any popup overlays
-          const closeButtons = document.querySelectorAll(
-            '[class*="close"], [class*="dismiss"], [aria-label*="close" i], button[class*="popup"]',
-          );
-          closeButtons.forEach((btn) => btn.click());
+    // ===== SINGLES RATING HISTORY =====
+    const historyStart = Date.now();
 
-          // Click outside popups
-          const overlays = document.querySelectorAll('[class*="overlay"]');
-          overlays.forEach((o) => {
-            if (o.click) o.click();
-          });
+    if (ultraFastMode) {
+      console.log("\n⚡ Ultra-fast mode: skipping rating history");
+      results.singlesHistory = [];
+    } else {
+      console.log("\n📊 Getting singles rating history...");
+      await delay(DELAY_BETWEEN_PAGES); // Rate limiting
+      await setCapturePhase(capture, "singles");
+      await page.goto(`${baseUrl}/profiles/${profileId}?t=6`, {
+        waitUntil: "domcontentloaded",
+        timeout: 60000,
+      });
+      await waitForRatingHistory(page, capture, profileId, {
+        payloads: 0,
+        rows: 0,
+      });
 
-          return closeButtons.length + overlays.length;
-        });
-        if (popupDismissed > 0) {
-          console.log(`   Dismissed ${popupDismissed} popup elements`);
-          await delay(1000);
-        }
+      const singlesHistory = await readStatsHistory(page, capture, {
+        profileId,
+        type: "singles",
+        lastCachedPoint: previous?.singlesHistory?.at(-1)?.date,
+      });
+
+      // Take screenshot for debugging
+      await page.screenshot({
+        path: path.join(cacheDir, "stats-page-after-showall.png"),
+      });
+      await snapshotPage(recorder, page, "stats-singles");
 
-        // Press Escape to close any remaining modals
-        await page.keyboard.press("Escape");
-        await delay(500);
+      results.singlesHistory = singlesHistory.history;
+      results.sources.singlesHistory = singlesHistory.source;
+      console.log(
+        `   Found ${results.singlesHistory.length} singles rating points (${singlesHistory.source})`,
+      );
 
-        // Navigate directly to login page to avoid Facebook OAuth redirect
-        console.log("   Navigating to login page...");
-        await page.goto(`${BASE_URL}/login`, {
-          waitUntil: "domcontentloaded",
-          timeout: 60000,
+      // ===== DOUBLES RATING HISTORY =====
+      // Same stats tab, switched to doubles
+      console.log("\n📊 Getting doubles rating history...");
+      await page.evaluate(() => window.scrollTo(0, 0));
+      const singlesShown = await ratingHistoryState(
+        page,
+        capture,
+        profileId,
+        "doubles",
+      );
+      if (await switchToDoubles(page, capture)) {
+        // The singles rows stay on the page until the doubles ones arrive:
+        // wait for a doubles payload or for the rows to change
+        await waitForRatingHistory(
+          page,
+          capture,
+          profileId,
+          singlesShown,
+          "doubles",
+        );
+        const doublesHistory = await readStatsHistory(page, capture, {
+          profileId,
+          type: "doubles",
+          lastCachedPoint: previous?.doublesHistory?.at(-1)?.date,
         });
-        await delay(3000);
+        await snapshotPage(recorder, page, "stats-doubles");
+        results.doublesHistory = doublesHistory.history;
+        results.sources.doublesHistory = doublesHistory.source;
+        console.log(
+          `   Found ${results.doublesHistory.length} doubles rating points (${doublesHistory.source})`,
+        );
+      } else {
+        console.log(
+          "   Could not switch to Doubles - skipping doubles history",
+        );
+      }
+      console.log(
+        `⏱️  Rating history fetched in ${((Date.now() - historyStart) / 1000).toFixed(2)}s`,
+      );
+    } // End if (!ultraFastMode)
 
-        // Check if we got redirected to Facebook OAuth
-        let currentUrl = page.url();
-        if (currentUrl.includes("facebook.com")) {
-          console.log(
-            "   ⚠️  Redirected to Facebook OAuth, trying to go back...",
-          );
-          await page.goBack({ waitUntil: "domcontentloaded" });
-          await delay(2000);
-          // Try navigating to login again
-          await page.goto(`${BASE_URL}/login`, {
-            waitUntil: "domcontentloaded",
-            timeout: 60000,
-          });
-          await delay(3000);
-          currentUrl = page.url(); // Update URL after navigation
-        }
+    // ===== SINGLES MATCHES =====
+    const singlesMatchesStart = Date.now();
+    console.log("\n🎾 Getting singles matches...");
+    await setCapturePhase(capture, "singles");
+    await page.goto(`${baseUrl}/profiles/${profileId}?t=2`, {
+      waitUntil: "domcontentloaded",
+      timeout: 60000,
+    });
+    await delay(3000);
 
-        // Look for email/password form directly (not Facebook OAuth)
-        const hasEmailForm = await page.evaluate(() => {
-          const emailInputs = document.querySelectorAll(
-            'input[type="email"], input[name*="email" i], input[id*="email" i], input[placeholder*="email" i]',
-          );
-          const passwordInputs = document.querySelectorAll(
-            'input[type="password"], input[name*="password" i], input[id*="password" i]',
-          );
-          return emailInputs.length > 0 && passwordInputs.length > 0;
-        });
+    // Ensure Singles tab is selected
+    try {
+      // Puppeteer: use XPath for text matching
+      await clickByXPath(page, "//button[contains(text(), 'Singles')]");
+      await delay(2000);
+    } catch (e) {}
 
-        if (!hasEmailForm) {
-          console.log(
-            "   ⚠️  No email/password form found, page might be using OAuth only",
-          );
-          // Try to find a link to email/password login
-          const clicked = await clickByXPath(
-            page,
-            "//a[contains(text(), 'email') or contains(text(), 'Email') or contains(text(), 'password')]",
-          );
-          if (clicked) {
-            console.log("   Found email login link, clicking...");
-            await delay(2000);
-          }
-        }
+    // Wait for score cards to appear
+    try {
+      await page.waitForSelector(
+        '.utr-card, [class*="score-card"], [class*="match"]',
+        { timeout: 10000 },
+      );
+    } catch (e) {
+      console.log("   Waiting for matches to load...");
+      await delay(5000);
+    }
 
-        // Wait for the login form - try multiple selectors with longer timeout
-        let emailFieldFound = false;
-        const emailSelectors = [
-          'input[type="email"]',
-          'input[name="email"]',
-          'input[placeholder*="email" i]',
-          'input[id*="email" i]',
-          'input[type="text"]', // Sometimes email fields are type="text"
-        ];
-
-        for (const selector of emailSelectors) {
-          try {
-            await page.waitForSelector(selector, { timeout: 5000 });
-            emailFieldFound = true;
-            console.log(`   Found email field with selector: ${selector}`);
-            break;
-          } catch (e) {
-            // Try next selector
-          }
-        }
+    // Load matches back to the start of the oldest season wanted.
+    // Incremental runs stop as soon as they reach the newest cached match
+    const resultsSince = `${new Date(results.scrapedAt).getUTCFullYear() - opts.years}-01-01`;
+    const sinceFor = (type) =>
+      (previous && newestMatchDate(previous[`${type}Matches`])) || resultsSince;
+    const loadOpts = {
+      profileId,
+      playerName: results.player.name,
+      referenceDate: results.scrapedAt,
+      cutoff: resultsSince,
+    };
+    await loadOlderResults(page, capture, {
+      ...loadOpts,
+      type: "singles",
+      since: sinceFor("singles"),
+    });
 
-        if (!emailFieldFound) {
-          // Take screenshot for debugging
-          await page.screenshot({
-            path: path.join(CACHE_DIR, "login-timeout.png"),
-          });
-          console.log("   ⚠️  Email field not found, screenshot saved");
-          // Continue anyway - maybe the page structure is different
-        }
+    // Debug: Check what's on the page
+    await page.screenshot({ path: path.join(cacheDir, "matches-page.png") });
+    await snapshotPage(recorder, page, "results-singles");
 
-        // Fill in credentials - use the selector that worked
-        let emailInput = null;
-        let workingEmailSelector = null;
-        for (const selector of emailSelectors) {
-          try {
-            emailInput = await page.$(selector);
-            if (emailInput) {
-              workingEmailSelector = selector;
-              break;
+    const pageDebug = await page.evaluate(() => {
+      // Get all class names that contain common match-related words
+      const allElements = document.querySelectorAll("*");
+      const matchClasses = new Set();
+      allElements.forEach((el) => {
+        if (el.className && typeof el.className === "string") {
+          const classes = el.className.split(" ");
+          classes.forEach((c) => {
+            if (
+              c.toLowerCase().includes("match") ||
+              c.toLowerCase().includes("score") ||
+              c.toLowerCase().includes("result") ||
+              c.toLowerCase().includes("event") ||
+              c.toLowerCase().includes("card")
+            ) {
+              matchClasses.add(c);
             }
-          } catch (e) {}
+          });
         }
-
-        if (emailInput) {
-          // Clear and type email
-          await emailInput.focus();
-          await page.keyboard.down("Control");
-          await page.keyboard.press("a");
-          await page.keyboard.up("Control");
-          await page.keyboard.press("Backspace");
-          await emailInput.type(credentials.username || credentials.email, {
-            delay: 50,
-          });
-          console.log(
-            `   ✅ Filled email using selector: ${workingEmailSelector}`,
-          );
-        } else {
-          console.log("   ⚠️  Could not find email input");
-        }
-        await delay(1000);
-
-        // UTR uses a two-step login: email first, then click Continue to show password field
-        console.log("   Looking for Continue button to show password field...");
-        let continueClicked = false;
-
-        // Try to find and click Continue button using XPath
-        const clicked = await page.evaluate(() => {
-          const xpath =
-            "//button[contains(translate(text(), 'ABCDEFGHIJKLMNOPQRSTUVWXYZ', 'abcdefghijklmnopqrstuvwxyz'), 'continue')]";
-          const result = document.evaluate(
-            xpath,
-            document,
-            null,
-            XPathResult.ORDERED_NODE_SNAPSHOT_TYPE,
-            null,
-          );
-          for (let i = 0; i < result.snapshotLength; i++) {
-            const btn = result.snapshotItem(i);
-            const rect = btn.getBoundingClientRect();
-            if (
-              rect.width > 0 &&
-              rect.height > 0 &&
-              window.getComputedStyle(btn).visibility !== "hidden" &&
-              window.getComputedStyle(btn).display !== "none"
-            ) {
-              btn.click();
-              return true;
-            }
-          }
-          return false;
-        });
-        if (clicked) {
-          console.log("   ✅ Clicked Continue button");
-          continueClicked = true;
-        }
-
-        // If XPath didn't work, try standard selectors
-        if (!continueClicked) {
-          const submitBtn =
-            (await page.$('button[type="submit"]')) ||
-            (await page.$('input[type="submit"]'));
-          if (submitBtn) {
-            const isVisible = await page.evaluate((el) => {
-              const rect = el.getBoundingClientRect();
-              return rect.width > 0 && rect.height > 0;
-            }, submitBtn);
-            if (isVisible) {
-              await submitBtn.click();
-              console.log("   ✅ Clicked submit button (Continue)");
-              continueClicked = true;
-            }
-          }
-        }
-
-        // If still not found, try pressing Enter in email field
-        if (!continueClicked && emailInput) {
-          try {
-            await emailInput.focus();
-            await page.keyboard.press("Enter");
-            console.log("   ✅ Pressed Enter in email field");
-            continueClicked = true;
-          } catch (e) {}
-        }
-
-        // Wait for password field to appear after clicking Continue
-        if (continueClicked) {
-          console.log("   Waiting for password field to appear...");
-          await delay(2000);
-
-          // Wait for password field with timeout
-          try {
-            await page.waitForSelector('input[type="password"]', {
-              timeout: 5000,
-            });
-            console.log("   ✅ Password field appeared");
-          } catch (e) {
-            console.log(
-              "   ⚠️  Password field did not appear after Continue click",
-            );
-          }
-        } else {
-          console.log(
-            "   ⚠️  Could not find Continue button - password field may not appear",
-          );
-        }
-
-        // Find password field - try multiple methods with longer waits
-        const passwordSelectors = [
-          'input[type="password"]',
-          'input[name="password"]',
-          'input[name*="password" i]',
-          'input[id*="password" i]',
-          'input[placeholder*="password" i]',
-          'input[autocomplete*="password" i]',
-        ];
-        let passwordInput = null;
-        let workingPasswordSelector = null;
-
-        // First try waiting for any password field to appear
-        try {
-          await page.waitForSelector('input[type="password"]', {
-            timeout: 5000,
-          });
-        } catch (e) {
-          console.log("   ⚠️  Password field did not appear after wait");
-        }
-
-        // Try all selectors
-        for (const selector of passwordSelectors) {
-          try {
-            passwordInput = await page.$(selector);
-            if (passwordInput) {
-              workingPasswordSelector = selector;
-              break;
-            }
-          } catch (e) {
-            // Try next selector
-          }
-        }
-
-        if (passwordInput) {
-          await passwordInput.focus();
-          await page.keyboard.down("Control");
-          await page.keyboard.press("a");
-          await page.keyboard.up("Control");
-          await page.keyboard.press("Backspace");
-          await passwordInput.type(credentials.password, { delay: 50 });
-          console.log(
-            `   ✅ Filled password using selector: ${workingPasswordSelector}`,
-          );
-        } else {
-          console.log(
-            "   ⚠️  Could not find password input with selectors - trying evaluate()...",
-          );
-          // Last resort: try to find and fill via evaluate with more comprehensive search
-          const passwordFilled = await page.evaluate((password) => {
-            // Try multiple ways to find password field - be very thorough
-            const allInputs = document.querySelectorAll("input");
-            let passwordField = null;
-
-            // First, try to find by type
-            for (const input of allInputs) {
-              if (input.type === "password") {
-                passwordField = input;
-                break;
-              }
-            }
-
-            // If not found, try by name/id/placeholder
-            if (!passwordField) {
-              for (const input of allInputs) {
-                const name = (input.name || "").toLowerCase();
-                const id = (input.id || "").toLowerCase();
-                const placeholder = (input.placeholder || "").toLowerCase();
-                const autocomplete = (input.autocomplete || "").toLowerCase();
-
-                if (
-                  name.includes("password") ||
-                  id.includes("password") ||
-                  placeholder.includes("password") ||
-                  autocomplete.includes("password")
-                ) {
-                  passwordField = input;
-                  break;
-                }
-              }
-            }
-
-            // If still not found, try the second input field (often password is second)
-            if (!passwordField && allInputs.length >= 2) {
-              const secondInput = allInputs[1];
-              if (secondInput.type !== "email" && secondInput.type !== "text") {
-                passwordField = secondInput;
-              }
-            }
-
-            if (passwordField) {
-              passwordField.focus();
-              passwordField.value = password;
-              passwordField.dispatchEvent(
-                new Event("input", { bubbles: true }),
-              );
-              passwordField.dispatchEvent(
-                new Event("change", { bubbles: true }),
-              );
-              passwordField.dispatchEvent(new Event("blur", { bubbles: true }));
-              // Also try keyup event
-              passwordField.dispatchEvent(
-                new KeyboardEvent("keyup", { bubbles: true }),
-              );
-              return true;
-            }
-            return false;
-          }, credentials.password);
-          if (passwordFilled) {
-            console.log("   ✅ Filled password via evaluate()");
-          } else {
-            console.log(
-              "   ❌ Could not fill password - login will likely fail",
-            );
-            // Take screenshot for debugging
-            await page.screenshot({
-              path: path.join(CACHE_DIR, "password-not-found.png"),
-            });
-            console.log("   Screenshot saved to cache/password-not-found.png");
-            // Also log what inputs are on the page
-            const inputInfo = await page.evaluate(() => {
-              const inputs = document.querySelectorAll("input");
-              return Array.from(inputs).map((input) => ({
-                type: input.type,
-                name: input.name,
-                id: input.id,
-                placeholder: input.placeholder,
-                autocomplete: input.autocomplete,
-              }));
-            });
-            console.log(
-              `   Found ${inputInfo.length} input fields on page:`,
-              JSON.stringify(inputInfo, null, 2),
-            );
-          }
-        }
-        await delay(1000);
-
-        // Take a screenshot for debugging
-        await page.screenshot({
-          path: path.join(CACHE_DIR, "login-form-filled.png"),
-        });
-        console.log("   Screenshot saved to cache/login-form-filled.png");
-
-        // Click submit button - try multiple methods
-        let submitSuccess = false;
-
-        // Method 1: Try standard submit button
-        try {
-          const submitSelectors = [
-            'button[type="submit"]',
-            'input[type="submit"]',
-            'button[type="button"]', // Sometimes submit buttons are type="button"
-            '[type="submit"]',
-          ];
-
-          for (const selector of submitSelectors) {
-            try {
-              const btn = await page.$(selector);
-              if (btn) {
-                // Check if it's visible and clickable
-                const isVisible = await page.evaluate((el) => {
-                  const rect = el.getBoundingClientRect();
-                  return (
-                    rect.width > 0 &&
-                    rect.height > 0 &&
-                    window.getComputedStyle(el).visibility !== "hidden" &&
-                    window.getComputedStyle(el).display !== "none"
-                  );
-                }, btn);
-
-                if (isVisible) {
-                  await btn.click();
-                  console.log(`   Clicked submit button (${selector})`);
-                  submitSuccess = true;
-                  break;
-                }
-              }
-            } catch (e) {}
-          }
-        } catch (e) {}
-
-        // Method 2: Try XPath for buttons with text
-        if (!submitSuccess) {
-          try {
-            const clicked = await page.evaluate(() => {
-              const xpath =
-                "//button[contains(translate(text(), 'ABCDEFGHIJKLMNOPQRSTUVWXYZ', 'abcdefghijklmnopqrstuvwxyz'), 'log in') or contains(translate(text(), 'ABCDEFGHIJKLMNOPQRSTUVWXYZ', 'abcdefghijklmnopqrstuvwxyz'), 'sign in')]";
-              const result = document.evaluate(
-                xpath,
-                document,
-                null,
-                XPathResult.ORDERED_NODE_SNAPSHOT_TYPE,
-                null,
-              );
-              for (let i = 0; i < result.snapshotLength; i++) {
-                const btn = result.snapshotItem(i);
-                const rect = btn.getBoundingClientRect();
-                if (rect.width > 0 && rect.height > 0) {
-                  btn.click();
-                  return true;
-                }
-              }
-              return false;
-            });
-            if (clicked) {
-              console.log("   Clicked submit button (XPath)");
-              submitSuccess = true;
-            }
-          } catch (e) {}
-        }
-
-        // Method 3: Try pressing Enter in password field
-        if (!submitSuccess && passwordInput) {
-          try {
-            await passwordInput.focus();
-            await page.keyboard.press("Enter");
-            console.log("   Pressed Enter to submit");
-            submitSuccess = true;
-          } catch (e) {}
-        }
-
-        // Method 4: Try form submit
-        if (!submitSuccess) {
-          try {
-            await page.evaluate(() => {
-              const form = document.querySelector("form");
-              if (form) form.submit();
-            });
-            console.log("   Submitted form directly");
-            submitSuccess = true;
-          } catch (e) {}
-        }
-
-        if (!submitSuccess) {
-          console.log(
-            "   ⚠️  Could not find submit button, waiting for navigation...",
-          );
-        }
-
-        // Wait for navigation after login - but check URL to avoid Facebook redirect
-        let navigationSuccess = false;
-        try {
-          await Promise.race([
-            page.waitForNavigation({
-              waitUntil: "networkidle0",
-              timeout: 15000,
-            }),
-            page.waitForFunction(
-              () => {
-                const url = window.location.href;
-                return !url.includes("facebook.com") && !url.includes("login");
-              },
-              { timeout: 15000 },
-            ),
-          ]);
-          navigationSuccess = true;
-          console.log("   ✅ Navigation detected after login");
-        } catch (e) {
-          console.log(
-            "   ⚠️  No navigation detected, waiting and checking login status...",
-          );
-          await delay(5000);
-        }
-
-        // Check if we got redirected to Facebook
-        currentUrl = page.url();
-        if (currentUrl.includes("facebook.com")) {
-          console.log(
-            "   ⚠️  Redirected to Facebook OAuth - login form may not be available",
-          );
-          console.log("   Trying to navigate back to UTR...");
-          await page.goto(`${BASE_URL}/profiles/${profileId}`, {
-            waitUntil: "domcontentloaded",
-            timeout: 60000,
-          });
-          await delay(3000);
-        }
-
-        // Verify login succeeded
-        const loginCheck = await page.evaluate(() => {
-          const state = window.INITIAL_STATE;
-          const userId = state?.auth?.user?.id;
-          const userName =
-            state?.auth?.user?.firstName || state?.auth?.user?.name;
-          return { userId, userName, isLoggedIn: !!userId };
-        });
-
-        if (loginCheck.isLoggedIn) {
-          console.log(
-            `   ✅ Login successful! User: ${loginCheck.userName || "Unknown"} (ID: ${loginCheck.userId})`,
-          );
-          console.log(
-            `⏱️  Login completed in ${((Date.now() - loginStart) / 1000).toFixed(2)}s`,
-          );
-          isLoggedIn = true;
-        } else {
-          console.log("   ⚠️  Login may have failed - userId still undefined");
-          // Check if we're on the right page
-          if (!currentUrl.includes("/profiles/")) {
-            console.log("   Navigating to profile page...");
-            await page.goto(`${BASE_URL}/profiles/${profileId}`, {
-              waitUntil: "domcontentloaded",
-              timeout: 60000,
-            });
-            await delay(3000);
-
-            // Check again after navigation
-            const loginCheck2 = await page.evaluate(() => {
-              const state = window.INITIAL_STATE;
-              const userId = state?.auth?.user?.id;
-              const userName =
-                state?.auth?.user?.firstName || state?.auth?.user?.name;
-              return { userId, userName, isLoggedIn: !!userId };
-            });
-            if (loginCheck2.isLoggedIn) {
-              console.log(
-                `   ✅ Login verified after navigation! User: ${loginCheck2.userName || "Unknown"} (ID: ${loginCheck2.userId})`,
-              );
-              isLoggedIn = true;
-            }
-          }
-
-          if (!isLoggedIn) {
-            // Take screenshot for debugging
-            await page.screenshot({
-              path: path.join(CACHE_DIR, "login-failed.png"),
-            });
-            console.log("   Screenshot saved to cache/login-failed.png");
-          }
-        }
-
-        // Verify login - use proper check with userId
-        const loginVerify = await page.evaluate(() => {
-          const state = window.INITIAL_STATE;
-          const userId = state?.auth?.user?.id;
-          const userName =
-            state?.auth?.user?.firstName || state?.auth?.user?.name;
-          return { userId, userName, isLoggedIn: !!userId };
-        });
-
-        if (loginVerify.isLoggedIn) {
-          console.log(
-            `✅ Logged in successfully: ${loginVerify.userName || "Unknown"} (ID: ${loginVerify.userId})`,
-          );
-          isLoggedIn = true;
-          await saveAuthState(browser); // Save for future runs
-        } else {
-          console.log("⚠️  Login verification failed - userId still undefined");
-          console.log("   Will try to continue but matches may not be found");
-          await page.screenshot({
-            path: path.join(CACHE_DIR, "login-result.png"),
-          });
-          console.log("   Screenshot saved to cache/login-result.png");
-        }
-      } catch (e) {
-        console.log("⚠️  Auto-login error:", e.message);
-        await page.screenshot({
-          path: path.join(CACHE_DIR, "login-error.png"),
-        });
-      }
-    }
-
-    if (!isLoggedIn && !credentials) {
-      console.log("\n⚠️  Please log in to UTR in the browser window.");
-      console.log("   You have 60 seconds to log in...\n");
-
-      // Wait up to 60 seconds for login, checking every 3 seconds
-      for (let i = 0; i < 20; i++) {
-        await delay(3000);
-        isLoggedIn = await page.evaluate(() => {
-          const state = window.INITIAL_STATE;
-          return !!state?.auth?.user?.id;
-        });
-        if (isLoggedIn) {
-          console.log("✅ Login detected!");
-          await saveAuthState(browser);
-          break;
-        }
-        console.log(`   Waiting for login... (${(i + 1) * 3}/60s)`);
-      }
-
-      if (!isLoggedIn) {
-        console.log("⚠️  Login timeout - continuing without authentication");
-      }
-    }
-
-    // Final login check and save if we have a valid session
-    // Only check if we haven't already verified login
-    if (!isLoggedIn) {
-      // Wait a bit for page to fully load
-      await delay(2000);
-      const finalCheck = await page.evaluate(() => {
-        const state = window.INITIAL_STATE;
-        const userId = state?.auth?.user?.id;
-        const userName =
-          state?.auth?.user?.firstName || state?.auth?.user?.name;
-        return { userId, userName, isLoggedIn: !!userId };
-      });
-      if (finalCheck.isLoggedIn) {
-        console.log(
-          `✅ Session is authenticated: ${finalCheck.userName || "Unknown"} (ID: ${finalCheck.userId})`,
-        );
-        isLoggedIn = true;
-        await saveAuthState(browser);
-      } else {
-        console.log("⚠️  Not logged in - userId still undefined");
-        console.log("   This will cause matches to not be found");
-        console.log(
-          "   Login likely failed - check screenshots in cache/ for debugging",
-        );
-      }
-    } else {
-      // We already verified login (from loaded cookies), refresh the saved state
-      console.log("✅ Using saved session - refreshing auth state...");
-      await saveAuthState(browser);
-    }
-
-    // Store login status in results
-    results.loginSuccessful = isLoggedIn;
-    if (!isLoggedIn) {
-      console.log("⚠️  WARNING: Not logged in - matches may not be visible");
-      results.loginError = "Failed to authenticate - matches may be hidden";
-    }
-
-    // Get player info from page content
-    results.player = await page.evaluate(() => {
-      // Try multiple sources
-      const state = window.INITIAL_STATE;
-
-      // Get name from page header
-      const h1 = document.querySelector("h1");
-      const nameFromH1 = h1?.innerText?.trim() || "";
-
-      // Try to find UTRs from the page
-      const utrElements = document.querySelectorAll(
-        '[class*="utr"], [class*="UTR"]',
-      );
-      let singlesUtr = null;
-      let doublesUtr = null;
-
-      // Look for UTR values in the profile section
-      const allText = document.body.innerText;
-
-      // Pattern: "UTR 8 (Singles): 5.74" or "UTR 88 (Doubles): 6.19"
-      const singlesMatch = allText.match(
-        /UTR\s+\d+\s*\(?Singles\)?[:\s]+(\d+\.\d{2})/i,
-      );
-      const doublesMatch = allText.match(
-        /UTR\s+\d+\s*\(?Doubles\)?[:\s]+(\d+\.\d{2})/i,
-      );
-
-      if (singlesMatch) singlesUtr = parseFloat(singlesMatch[1]);
-      if (doublesMatch) doublesUtr = parseFloat(doublesMatch[1]);
-
-      // Fallback: look for standalone UTR numbers
-      if (!singlesUtr) {
-        utrElements.forEach((el) => {
-          const text = el.innerText.trim();
-          const utrMatch = text.match(/^(\d+\.\d{2})$/);
-          if (utrMatch && !singlesUtr) {
-            singlesUtr = parseFloat(utrMatch[1]);
-          }
-        });
-      }
-
-      return {
-        id: state?.auth?.user?.id,
-        name:
-          nameFromH1 ||
-          `${state?.auth?.user?.firstName || ""} ${state?.auth?.user?.lastName || ""}`.trim(),
-        singlesUtr: singlesUtr || state?.profile?.data?.singlesUtr,
-        doublesUtr: doublesUtr || state?.profile?.data?.doublesUtr,
-      };
-    });
-    console.log(
-      `Player: ${results.player.name || "Unknown"} (UTR: ${results.player.singlesUtr || "?"})`,
-    );
-
-    // ===== SINGLES RATING HISTORY =====
-    const historyStart = Date.now();
-
-    if (ULTRA_FAST_MODE) {
-      console.log("\n⚡ Ultra-fast mode: skipping rating history");
-      results.singlesHistory = [];
-    } else {
-      console.log("\n📊 Getting singles rating history...");
-      await delay(DELAY_BETWEEN_PAGES); // Rate limiting
-      await page.goto(`${BASE_URL}/profiles/${profileId}?t=6`, {
-        waitUntil: "domcontentloaded",
-        timeout: 60000,
-      });
-      await delay(3000);
-
-      // Click "Show all" link to load complete history
-      let clickedShowAll = false;
-
-      // First, scroll to make sure the button is visible
-      await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
-      await delay(1000);
-
-      for (let attempt = 0; attempt < 5; attempt++) {
-        try {
-          const clicked = await page.evaluate(() => {
-            const xpath = "//*[contains(text(), 'Show all')]";
-            const result = document.evaluate(
-              xpath,
-              document,
-              null,
-              XPathResult.FIRST_ORDERED_NODE_TYPE,
-              null,
-            );
-            const element = result.singleNodeValue;
-            if (element) {
-              const rect = element.getBoundingClientRect();
-              if (
-                rect.width > 0 &&
-                rect.height > 0 &&
-                window.getComputedStyle(element).visibility !== "hidden" &&
-                window.getComputedStyle(element).display !== "none"
-              ) {
-                element.click();
-                return true;
-              }
-            }
-            return false;
-          });
-          if (clicked) {
-            clickedShowAll = true;
-            console.log('   Clicked "Show all" link');
-            await delay(5000);
-            break;
-          }
-        } catch (e) {}
-
-        try {
-          // Try clicking by selector with link text
-          await page.click('a:has-text("Show all")', { timeout: 2000 });
-          clickedShowAll = true;
-          console.log('   Clicked "Show all" anchor');
-          await delay(5000);
-          break;
-        } catch (e) {}
-
-        try {
-          // Puppeteer: use XPath for text matching
-          const clicked = await clickByXPath(
-            page,
-            "//*[contains(text(), 'Show all')]",
-          );
-          if (clicked) {
-            clickedShowAll = true;
-            console.log('   Clicked "Show all" text element');
-            await delay(5000);
-            break;
-          }
-        } catch (e) {}
-
-        await delay(1000);
-      }
-
-      if (!clickedShowAll) {
-        console.log(
-          '   Note: Could not find "Show all" link - history may be limited',
-        );
-      }
-
-      // Scroll down again after click to reveal all loaded content
-      await page.evaluate(async () => {
-        for (let i = 0; i < 5; i++) {
-          window.scrollTo(0, document.body.scrollHeight);
-          await new Promise((r) => setTimeout(r, 500));
-        }
-      });
-      await delay(2000);
-
-      // Take screenshot for debugging
-      await page.screenshot({
-        path: path.join(CACHE_DIR, "stats-page-after-showall.png"),
-      });
-
-      results.singlesHistory = await scrapeRatingHistory(page);
-      console.log(
-        `   Found ${results.singlesHistory.length} singles rating points`,
-      );
-      console.log(
-        `⏱️  Rating history fetched in ${((Date.now() - historyStart) / 1000).toFixed(2)}s`,
-      );
-    } // End if (!ULTRA_FAST_MODE)
-
-    // ===== SINGLES MATCHES =====
-    const singlesMatchesStart = Date.now();
-    console.log("\n🎾 Getting singles matches...");
-    await page.goto(`${BASE_URL}/profiles/${profileId}?t=2`, {
-      waitUntil: "domcontentloaded",
-      timeout: 60000,
-    });
-    await delay(3000);
-
-    // Ensure Singles tab is selected
-    try {
-      // Puppeteer: use XPath for text matching
-      await clickByXPath(page, "//button[contains(text(), 'Singles')]");
-      await delay(2000);
-    } catch (e) {}
-
-    // Wait for score cards to appear
-    try {
-      await page.waitForSelector(
-        '.utr-card, [class*="score-card"], [class*="match"]',
-        { timeout: 10000 },
-      );
-    } catch (e) {
-      console.log("   Waiting for matches to load...");
-      await delay(5000);
-    }
-
-    // Scroll to load all matches
-    await scrollToBottom(page);
-
-    // Debug: Check what's on the page
-    await page.screenshot({ path: path.join(CACHE_DIR, "matches-page.png") });
-
-    const pageDebug = await page.evaluate(() => {
-      // Get all class names that contain common match-related words
-      const allElements = document.querySelectorAll("*");
-      const matchClasses = new Set();
-      allElements.forEach((el) => {
-        if (el.className && typeof el.className === "string") {
-          const classes = el.className.split(" ");
-          classes.forEach((c) => {
-            if (
-              c.toLowerCase().includes("match") ||
-              c.toLowerCase().includes("score") ||
-              c.toLowerCase().includes("result") ||
-              c.toLowerCase().includes("event") ||
-              c.toLowerCase().includes("card")
-            ) {
-              matchClasses.add(c);
-            }
-          });
-        }
-      });
+      });
 
       return {
         title: document.title,
@@ -1433,7 +1067,7 @@ async function scrapeUTR(profileId) {
 
     // Save body text for analysis
     fs.writeFileSync(
-      path.join(CACHE_DIR, "page-text.txt"),
+      path.join(cacheDir, "page-text.txt"),
       pageDebug.bodyPreview,
     );
 
@@ -1445,7 +1079,19 @@ async function scrapeUTR(profileId) {
       return cards.length;
     });
 
-    if (singlesMatchCount < 5 && ULTRA_FAST_MODE) {
+    const networkSingles = await getNetworkMatches(
+      capture,
+      profileId,
+      "singles",
+    );
+
+    if (networkSingles.length > 0) {
+      results.singlesMatches = networkSingles;
+      results.sources.singlesMatches = "network";
+      console.log(
+        `   Found ${results.singlesMatches.length} singles matches (network)`,
+      );
+    } else if (singlesMatchCount < 5 && ultraFastMode) {
       console.log(
         `   Only ${singlesMatchCount} singles matches visible, skipping in ultra-fast mode`,
       );
@@ -1455,8 +1101,12 @@ async function scrapeUTR(profileId) {
         page,
         results.player.name,
         "singles",
+        profileId,
+      );
+      results.sources.singlesMatches = "dom";
+      console.log(
+        `   Found ${results.singlesMatches.length} singles matches (dom)`,
       );
-      console.log(`   Found ${results.singlesMatches.length} singles matches`);
     }
     console.log(
       `⏱️  Singles matches scraped in ${((Date.now() - singlesMatchesStart) / 1000).toFixed(2)}s`,
@@ -1466,7 +1116,7 @@ async function scrapeUTR(profileId) {
     const doublesMatchesStart = Date.now();
 
     // In ultra-fast mode, skip doubles entirely if singles was also small
-    if (ULTRA_FAST_MODE && results.singlesMatches.length < 5) {
+    if (ultraFastMode && results.singlesMatches.length < 5) {
       console.log(
         "\n⚡ Ultra-fast mode: skipping doubles (insufficient singles matches)",
       );
@@ -1476,7 +1126,7 @@ async function scrapeUTR(profileId) {
 
       try {
         // Navigate to the results tab first
-        await page.goto(`${BASE_URL}/profiles/${profileId}?t=2`, {
+        await page.goto(`${baseUrl}/profiles/${profileId}?t=2`, {
           waitUntil: "domcontentloaded",
           timeout: 60000,
         });
@@ -1488,7 +1138,7 @@ async function scrapeUTR(profileId) {
 
         // Take screenshot before click
         await page.screenshot({
-          path: path.join(CACHE_DIR, "before-doubles-click.png"),
+          path: path.join(cacheDir, "before-doubles-click.png"),
         });
 
         // Click the SINGLES dropdown to open it, then select Doubles
@@ -1507,75 +1157,19 @@ async function scrapeUTR(profileId) {
           });
           console.log("   Page buttons:", pageInfo.buttons.join(", "));
 
-          // Try clicking using XPath
           try {
-            const clicked = await page.evaluate(() => {
-              const xpath =
-                "//*[contains(translate(text(), 'ABCDEFGHIJKLMNOPQRSTUVWXYZ', 'abcdefghijklmnopqrstuvwxyz'), 'singles')]";
-              const result = document.evaluate(
-                xpath,
-                document,
-                null,
-                XPathResult.ORDERED_NODE_SNAPSHOT_TYPE,
-                null,
-              );
-              for (let i = 0; i < result.snapshotLength; i++) {
-                const btn = result.snapshotItem(i);
-                const rect = btn.getBoundingClientRect();
-                if (
-                  rect.width > 0 &&
-                  rect.height > 0 &&
-                  window.getComputedStyle(btn).visibility !== "hidden" &&
-                  window.getComputedStyle(btn).display !== "none" &&
-                  window.getComputedStyle(btn).pointerEvents !== "none"
-                ) {
-                  btn.click();
-                  return true;
-                }
-              }
-              return false;
-            });
-            if (clicked) {
-              console.log("   Clicked SINGLES dropdown");
-              await delay(2000);
-            }
-
-            // Screenshot
-            await page.screenshot({
-              path: path.join(CACHE_DIR, "dropdown-open.png"),
-            });
-
-            // Now click DOUBLES
-            const doublesClicked = await page.evaluate(() => {
-              const xpath =
-                "//*[contains(translate(text(), 'ABCDEFGHIJKLMNOPQRSTUVWXYZ', 'abcdefghijklmnopqrstuvwxyz'), 'doubles')]";
-              const result = document.evaluate(
-                xpath,
-                document,
-                null,
-                XPathResult.ORDERED_NODE_SNAPSHOT_TYPE,
-                null,
-              );
-              for (let i = 0; i < result.snapshotLength; i++) {
-                const btn = result.snapshotItem(i);
-                const rect = btn.getBoundingClientRect();
-                if (
-                  rect.width > 0 &&
-                  rect.height > 0 &&
-                  window.getComputedStyle(btn).visibility !== "hidden" &&
-                  window.getComputedStyle(btn).display !== "none" &&
-                  window.getComputedStyle(btn).pointerEvents !== "none"
-                ) {
-                  btn.click();
-                  return true;
-                }
-              }
-              return false;
+            const doublesClicked = await switchToDoubles(page, capture, {
+              screenshotPath: path.join(cacheDir, "dropdown-open.png"),
             });
             if (doublesClicked) {
               console.log("   Clicked DOUBLES");
               await delay(4000);
               doublesSelected = true;
+              await loadOlderResults(page, capture, {
+                ...loadOpts,
+                type: "doubles",
+                since: sinceFor("doubles"),
+              });
             }
           } catch (innerErr) {
             console.log(
@@ -1588,7 +1182,17 @@ async function scrapeUTR(profileId) {
           );
         }
 
-        if (!doublesSelected) {
+        const networkDoubles = doublesSelected
+          ? await getNetworkMatches(capture, profileId, "doubles")
+          : [];
+
+        if (networkDoubles.length > 0) {
+          results.doublesMatches = networkDoubles;
+          results.sources.doublesMatches = "network";
+          console.log(
+            `   Found ${results.doublesMatches.length} doubles matches (network)`,
+          );
+        } else if (!doublesSelected) {
           console.log("   Could not switch to Doubles - skipping doubles data");
           results.doublesMatches = [];
         } else {
@@ -1612,22 +1216,21 @@ async function scrapeUTR(profileId) {
 
           // If the page no longer shows "Singles" in event names, assume we switched successfully
           if (!pageContent.containsSingles || pageContent.wlRecord) {
-            // Scroll to load all matches
-            await scrollToBottom(page);
-            await delay(2000);
-
             // Take a screenshot for debugging
             await page.screenshot({
-              path: path.join(CACHE_DIR, "doubles-page.png"),
+              path: path.join(cacheDir, "doubles-page.png"),
             });
+            await snapshotPage(recorder, page, "results-doubles");
 
             results.doublesMatches = await scrapeMatches(
               page,
               results.player.name,
               "doubles",
+              profileId,
             );
+            results.sources.doublesMatches = "dom";
             console.log(
-              `   Found ${results.doublesMatches.length} doubles matches`,
+              `   Found ${results.doublesMatches.length} doubles matches (dom)`,
             );
           } else {
             console.log("   Still showing singles - skipping doubles");
@@ -1638,10 +1241,10 @@ async function scrapeUTR(profileId) {
         console.log(`   Could not get doubles matches: ${e.message}`);
         results.doublesMatches = [];
       }
-    } // End if (ULTRA_FAST_MODE && results.singlesMatches.length < 5) else
+    } // End if (ultraFastMode && results.singlesMatches.length < 5) else
 
     // ===== GET OPPONENT RATING HISTORIES =====
-    if (FAST_MODE || ULTRA_FAST_MODE) {
+    if (fastMode || ultraFastMode) {
       console.log("\n⚡ Fast mode: skipping opponent rating histories");
       console.log(
         "   Re-run without --fast flag to get detailed opponent analysis",
@@ -1650,127 +1253,173 @@ async function scrapeUTR(profileId) {
       console.log("\n👥 Getting opponent rating histories...");
     }
 
-    const allOpponents = new Set();
-
-    if (!FAST_MODE && !ULTRA_FAST_MODE) {
-      results.singlesMatches.forEach((m) => {
-        if (m.opponentId) allOpponents.add(m.opponentId);
+    if (!fastMode && !ultraFastMode) {
+      // Dates are needed to rank opponents by the review year
+      resolveMatchDates(results.singlesMatches, results.scrapedAt);
+      resolveMatchDates(results.doublesMatches, results.scrapedAt);
+      const ranking = rankOpponents(results, {
+        year: opts.year,
+        limit: opts.maxOpponents,
       });
-
-      // Add doubles opponents
-      results.doublesMatches.forEach((m) => {
-        if (m.opponentIds) m.opponentIds.forEach((id) => allOpponents.add(id));
-      });
-
-      const opponentList = Array.from(allOpponents).slice(
-        0,
-        MAX_OPPONENTS_TO_FETCH,
+      const opponentList = ranking.selected.map((o) => o.id);
+      // Doubles opponents and partners need their doubles history as well
+      const needsDoubles = new Set(
+        ranking.selected.filter((o) => o.doubles).map((o) => o.id),
       );
+      results.opponentSelection = {
+        year: ranking.year,
+        limit: opts.maxOpponents,
+        selected: opponentList,
+        skipped: ranking.skipped.map((o) => o.id),
+      };
+
       console.log(
-        `   Found ${allOpponents.size} unique opponents, will fetch up to ${opponentList.length}`,
+        `   Found ${ranking.selected.length + ranking.skipped.length} unique opponents, will fetch the top ${opponentList.length}${ranking.year ? ` for ${ranking.year}` : ""}`,
       );
+      ranking.selected.forEach((o, idx) => {
+        console.log(
+          `   ${String(idx + 1).padStart(2)}. ${o.name || o.id} - ${o.reasons.join(", ")}`,
+        );
+      });
+      if (ranking.skipped.length > 0) {
+        console.log(
+          `   Skipping ${ranking.skipped.length} lower-priority opponents (raise --max-opponents to include them)`,
+        );
+      }
 
-      let opponentCount = 0;
-      let cachedCount = 0;
-      let fetchedCount = 0;
+      // Cached opponents first, the rest go to the page pool
+      const counts = { cached: 0, fetched: 0, failed: 0, skipped: 0 };
+      const progress = (oppId, status, detail) => {
+        counts[status]++;
+        const done =
+          counts.cached + counts.fetched + counts.failed + counts.skipped;
+        console.log(
+          `   [${done}/${opponentList.length}] ${detail} (${status})`,
+        );
+        if (opts.onProgress) {
+          opts.onProgress({
+            stage: "opponents",
+            done,
+            total: opponentList.length,
+            opponentId: oppId,
+            status,
+          });
+        }
+      };
 
+      const toFetch = [];
       for (const oppId of opponentList) {
-        opponentCount++;
-
-        // Check cache first
-        const cached = loadFromCache("opponent", oppId);
-        if (cached && !FORCE_REFRESH) {
+        // Recordings need every opponent page, replays must not mix in cache
+        const cached =
+          opts.record || opts.replay || opts.force
+            ? null
+            : await opts.cache.get("opponent", oppId);
+        // Entries cached before doubles histories were fetched lack them
+        if (cached && (!needsDoubles.has(oppId) || cached.doublesHistory)) {
           results.opponentHistories[oppId] = cached;
-          cachedCount++;
-          console.log(
-            `   [${opponentCount}/${opponentList.length}] ${cached.name} (cached)`,
-          );
-          continue;
+          progress(oppId, "cached", cached.name);
+        } else {
+          toFetch.push(oppId);
         }
+      }
 
-        // Rate limit before fetching
-        await delay(DELAY_BETWEEN_OPPONENTS);
+      // Recording and replay hook into the main page, so they use it alone
+      const sharedPage = !!(recorder || replay);
+      const poolSize = sharedPage ? 1 : opts.concurrency;
+      const budget = createRequestBudget(opts.maxRequests);
+      if (toFetch.length > 0) {
+        console.log(
+          `   Fetching ${toFetch.length} on ${Math.min(poolSize, toFetch.length)} page(s), request budget: ${budget.limit ?? "unlimited"}`,
+        );
+      }
 
-        try {
-          console.log(
-            `   [${opponentCount}/${opponentList.length}] Fetching opponent ${oppId}...`,
-          );
-          await page.goto(`${BASE_URL}/profiles/${oppId}?t=6`, {
-            waitUntil: "domcontentloaded",
-            timeout: 30000,
+      await runPagePool(
+        toFetch,
+        async (poolPage, oppId) => {
+          if (budgetLeft(budget) === 0) return null;
+          // Rate limit before fetching
+          await delay(randomDelay(DELAY_BETWEEN_OPPONENTS));
+          const oppData = await fetchOpponentHistory(poolPage, oppId, {
+            baseUrl,
+            budget,
+            doubles: needsDoubles.has(oppId),
           });
-          await delay(2000);
-
-          // Click "Show all" to get full history
-          try {
-            await page.evaluate(() =>
-              window.scrollTo(0, document.body.scrollHeight),
-            );
-            await delay(500);
-            // Puppeteer: use XPath for text matching
-            const clicked = await clickByXPath(
-              page,
-              "//*[contains(text(), 'Show all')]",
-            );
-            if (clicked) {
-            }
-            console.log('      Clicked "Show all"');
-            await delay(3000);
-            // Scroll to reveal all data
-            await page.evaluate(async () => {
-              for (let i = 0; i < 3; i++) {
-                window.scrollTo(0, document.body.scrollHeight);
-                await new Promise((r) => setTimeout(r, 300));
-              }
-            });
-            await delay(1000);
-          } catch (e) {
-            // console.log('      No "Show all" button found');
+          if (oppData) {
+            await snapshotPage(recorder, poolPage.page, `opponent-${oppId}`);
+            // Save to cache (replayed fixtures stay out of the real cache)
+            if (!replay) await opts.cache.set("opponent", oppId, oppData);
           }
-
-          const oppHistory = await scrapeRatingHistory(page);
-          const oppName = await page.evaluate(() => {
-            const h1 = document.querySelector("h1");
-            return h1?.innerText?.trim() || "Unknown";
-          });
-
-          const oppData = { name: oppName, history: oppHistory };
-          results.opponentHistories[oppId] = oppData;
-
-          // Save to cache
-          saveToCache("opponent", oppId, oppData);
-          fetchedCount++;
-
-          console.log(
-            `      ${oppName}: ${oppHistory.length} data points (saved to cache)`,
-          );
-        } catch (e) {
-          console.log(`      Failed to get history for ${oppId}: ${e.message}`);
-        }
-      }
+          return oppData;
+        },
+        {
+          size: poolSize,
+          createPage: async () => {
+            if (sharedPage) return { page, capture };
+            const poolPage = await browser.newPage();
+            return { page: poolPage, capture: await preparePage(poolPage) };
+          },
+          releasePage: async (poolPage) => {
+            if (poolPage.page !== page) await poolPage.page.close();
+          },
+          onProgress: ({ item: oppId, result: oppData, error }) => {
+            if (error) {
+              progress(
+                oppId,
+                "failed",
+                `Failed to get history for ${oppId}: ${error.message}`,
+              );
+            } else if (!oppData) {
+              progress(oppId, "skipped", `${oppId}: request budget used up`);
+            } else {
+              results.opponentHistories[oppId] = oppData;
+              progress(
+                oppId,
+                "fetched",
+                `${oppData.name}: ${oppData.history.length} data points${oppData.doublesHistory ? `, ${oppData.doublesHistory.length} doubles` : ""}`,
+              );
+            }
+          },
+        },
+      );
 
       console.log(
-        `   📦 ${cachedCount} from cache, ${fetchedCount} freshly fetched`,
+        `   📦 ${counts.cached} from cache, ${counts.fetched} freshly fetched, ${budget.used} requests used`,
       );
-    } // End if (!FAST_MODE)
+      if (counts.skipped > 0) {
+        console.log(
+          `   ⚠️  Request budget used up - ${counts.skipped} opponents skipped (raise --max-requests)`,
+        );
+      }
+    } // End if (!fastMode)
   } catch (error) {
     console.error("Error during scraping:", error.message);
   }
 
+  // Full dates for DOM matches ("Mar 8" -> 2025-03-08)
+  resolveMatchDates(results.singlesMatches, results.scrapedAt);
+  resolveMatchDates(results.doublesMatches, results.scrapedAt);
+  classifyMatchEvents(results.singlesMatches);
+  classifyMatchEvents(results.doublesMatches);
+
+  // Stable match IDs (see match-id.js) - also drops matches seen twice
+  results.singlesMatches = assignMatchIds(results.singlesMatches, profileId);
+  results.doublesMatches = assignMatchIds(results.doublesMatches, profileId);
+
+  if (previous) mergeIncremental(results, previous);
+
   // Calculate UTR deltas for each match
   console.log("\n📈 Calculating UTR deltas...");
   calculateUtrDeltas(results);
 
   // Save to cache
-  saveToCache("profile", profileId, results);
+  if (!replay) await opts.cache.set("profile", profileId, results);
 
   // Save results
-  // Use OUTPUT_DIR from environment (for Lambda) or __dirname (for local)
-  const outputDir = process.env.OUTPUT_DIR || __dirname;
-  const outputPath = path.join(outputDir, `utr-full-${profileId}.json`);
+  // OUTPUT_DIR from options/environment (for Lambda) or __dirname (for local)
+  const outputPath = path.join(opts.outputDir, `utr-full-${profileId}.json`);
   fs.writeFileSync(outputPath, JSON.stringify(results, null, 2));
   console.log(`\n✅ Saved to ${outputPath}`);
-  console.log(`📦 Cached in ${CACHE_DIR}/`);
+  console.log(`📦 Cached in ${opts.cache.describe("profile", profileId)}`);
 
   // Summary
   printSummary(results);
@@ -1783,7 +1432,15 @@ async function scrapeUTR(profileId) {
   );
   console.log(`⏱️  ========================================\n`);
 
-  // Save auth state one final time before closing (in case it wasn't saved earlier)
+  await finishRecording(recorder);
+  if (replay && replay.missed.length > 0) {
+    console.log(
+      `▶️  ${replay.missed.length} requests were not in the recording (served 404):`,
+    );
+    replay.missed.slice(0, 10).forEach((miss) => console.log(`   ${miss}`));
+  }
+
+  // Save the login session before closing if it wasn't saved or reused earlier
   if (browser) {
     try {
       const pages = await browser.pages();
@@ -1792,9 +1449,9 @@ async function scrapeUTR(profileId) {
           const state = window.INITIAL_STATE;
           return !!state?.auth?.user?.id;
         });
-        if (finalCheck) {
-          console.log("\n💾 Saving auth state before closing browser...");
-          await saveAuthState(browser);
+        if (finalCheck && !session.reused && !session.saved) {
+          console.log("\n💾 Saving login session before closing browser...");
+          await saveAuthState(browser, opts, session);
         }
       }
     } catch (e) {
@@ -1805,6 +1462,212 @@ async function scrapeUTR(profileId) {
   return results;
 }
 
+// Same browser setup for the main page and the opponent pool pages.
+// Returns the network capture attached to the page.
+async function preparePage(page) {
+  await page.setUserAgent(
+    "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+  );
+  page.setDefaultTimeout(60000); // 60 second timeout
+  page.setDefaultNavigationTimeout(60000);
+
+  // Puppeteer compatibility: set viewport
+  await page.setViewport({ width: 1400, height: 900 });
+
+  const capture = attachNetworkCapture(page);
+  capture.phase = "singles";
+  return capture;
+}
+
+// How much rating history a stats page has shown so far: API payloads seen
+// for the player (of matchType, when given), history rows on the page and
+// the text of the first and last row - which tells a switch to doubles apart
+// from the singles rows it replaces
+async function ratingHistoryState(page, capture, playerId, matchType = null) {
+  await settleNetworkCapture(capture);
+  const payloads = capturedPayloads(capture, "ratingHistory", {
+    playerId,
+    matchType,
+  }).length;
+  const { rows, rowsText } = await page.evaluate(() => {
+    const found = document.querySelectorAll(
+      'tr, [class*="rating-row"], [class*="history-item"]',
+    );
+    const textOf = (row) => (row ? row.innerText.trim() : "");
+    return {
+      rows: found.length,
+      rowsText: `${textOf(found[0])}|${textOf(found[found.length - 1])}`,
+    };
+  });
+  return { payloads, rows, rowsText };
+}
+
+// Wait for a stats page to show more rating history than `since` - or, when
+// `since` has the rows' text, other rows than it did
+async function waitForRatingHistory(
+  page,
+  capture,
+  playerId,
+  since,
+  matchType = null,
+) {
+  return waitUntil(async () => {
+    const state = await ratingHistoryState(page, capture, playerId, matchType);
+    const changed =
+      state.payloads > since.payloads ||
+      state.rows > since.rows ||
+      (since.rowsText !== undefined && state.rowsText !== since.rowsText);
+    return changed ? state : null;
+  });
+}
+
+// Open an opponent's stats tab on a pool page and read their full singles
+// history - and with opts.doubles (doubles opponents and partners) their
+// doubles history too. Takes one request from the budget for the page load,
+// one for switching to doubles and one for each "Show all"; returns null
+// when the budget is spent before the page load.
+async function fetchOpponentHistory({ page, capture }, oppId, opts) {
+  if (!takeRequest(opts.budget)) return null;
+
+  // "Show all" loads the full history - only when there's budget for it
+  const showAll = async (loaded, matchType) => {
+    if (!loaded || budgetLeft(opts.budget) === 0) return;
+    await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+    const clicked = await clickByXPath(
+      page,
+      "//*[contains(text(), 'Show all')]",
+    );
+    if (clicked) {
+      takeRequest(opts.budget);
+      await waitForRatingHistory(page, capture, oppId, loaded, matchType);
+    }
+  };
+
+  await setCapturePhase(capture, "singles");
+  await page.goto(`${opts.baseUrl}/profiles/${oppId}?t=6`, {
+    waitUntil: "domcontentloaded",
+    timeout: 30000,
+  });
+  const loaded = await waitForRatingHistory(page, capture, oppId, {
+    payloads: 0,
+    rows: 0,
+  });
+  await showAll(loaded, null);
+
+  const { history } = await getRatingHistory(page, capture, oppId, "singles");
+  const oppProfile = capturedPayloads(capture, "profile", { playerId: oppId })
+    .map(parseProfilePayload)
+    .find(Boolean);
+  const name =
+    oppProfile?.name ||
+    (await page.evaluate(() => {
+      const h1 = document.querySelector("h1");
+      return h1?.innerText?.trim() || "Unknown";
+    }));
+
+  const oppData = { name, history };
+  if (opts.doubles && takeRequest(opts.budget)) {
+    await page.evaluate(() => window.scrollTo(0, 0));
+    const singlesShown = await ratingHistoryState(
+      page,
+      capture,
+      oppId,
+      "doubles",
+    );
+    if (await switchToDoubles(page, capture)) {
+      // The singles rows are still on the page until the doubles ones
+      // arrive, so only a doubles payload or other rows count as loaded
+      const doublesLoaded = await waitForRatingHistory(
+        page,
+        capture,
+        oppId,
+        singlesShown,
+        "doubles",
+      );
+      await showAll(doublesLoaded, "doubles");
+      oppData.doublesHistory = (
+        await getRatingHistory(page, capture, oppId, "doubles")
+      ).history;
+    }
+  }
+
+  return oppData;
+}
+
+// Rating history for the stats page currently open: prefer the API payloads
+// the page loaded, fall back to reading the page text
+async function getRatingHistory(page, capture, playerId, matchType) {
+  await settleNetworkCapture(capture);
+  const networkHistory = parseRatingHistoryPayloads(
+    capturedPayloads(capture, "ratingHistory", { playerId, matchType }),
+    { type: matchType },
+  );
+  if (networkHistory.length > 0) {
+    return { history: networkHistory, source: "network" };
+  }
+  const domHistory = await scrapeRatingHistory(page);
+  return {
+    history: normalizeSeries(domHistory.map((h) => ({ ...h, source: "dom" }))),
+    source: "dom",
+  };
+}
+
+// Rating history from the stats tab that is open, already showing `type`.
+// "Show all" loads the complete history; incremental runs only need the
+// points since the last cached one, which the default view (the last 12
+// months) usually covers.
+async function readStatsHistory(
+  page,
+  capture,
+  { profileId, type, lastCachedPoint },
+) {
+  const previewCovers =
+    !!lastCachedPoint &&
+    (await getRatingHistory(page, capture, profileId, type)).history.some(
+      (h) => h.date <= lastCachedPoint,
+    );
+  if (previewCovers) {
+    console.log(
+      `   Recent points reach back to ${lastCachedPoint} - skipping "Show all"`,
+    );
+  } else if (
+    !(await clickShowAll(page, capture, { profileId, matchType: type }))
+  ) {
+    console.log(
+      '   Note: Could not find "Show all" link - history may be limited',
+    );
+  }
+
+  // Scroll down again to reveal all loaded content, until the history
+  // stops growing
+  let last = null;
+  await waitUntil(
+    async () => {
+      await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+      const state = await ratingHistoryState(page, capture, profileId, type);
+      const settled =
+        !!last && state.payloads === last.payloads && state.rows === last.rows;
+      last = state;
+      return settled;
+    },
+    { intervalMs: 500 },
+  );
+
+  return getRatingHistory(page, capture, profileId, type);
+}
+
+// Matches from the results payloads captured while the tab was open
+async function getNetworkMatches(capture, profileId, type) {
+  await settleNetworkCapture(capture);
+  return parseResultsPayloads(
+    capturedPayloads(capture, "results", {
+      playerId: profileId,
+      matchType: type,
+    }),
+    { profileId, type },
+  );
+}
+
 async function scrapeRatingHistory(page) {
   return await page.evaluate(() => {
     const text = document.body.innerText;
@@ -1855,20 +1718,9 @@ async function scrapeRatingHistory(page) {
   });
 }
 
-async function scrollToBottom(page) {
-  let previousHeight = 0;
-  for (let i = 0; i < 30; i++) {
-    await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
-    await delay(600);
-    const newHeight = await page.evaluate(() => document.body.scrollHeight);
-    if (newHeight === previousHeight) break;
-    previousHeight = newHeight;
-  }
-}
-
-async function scrapeMatches(page, playerName, type) {
-  return await page.evaluate(
-    ({ playerName, type }) => {
+async function scrapeMatches(page, playerName, type, profileId) {
+  const matches = await page.evaluate(
+    ({ playerName, type, profileId }) => {
       const matches = [];
       // Use multiple selectors based on what we found in debug
       const cards = document.querySelectorAll(
@@ -1876,206 +1728,239 @@ async function scrapeMatches(page, playerName, type) {
       );
 
       cards.forEach((card) => {
-        const match = { type };
+        // The selectors can match a card and an element inside it - read
+        // each card once
+        const nested = Array.from(cards).some(
+          (other) => other !== card && other.contains(card),
+        );
+        if (nested) return;
+
+        const match = { type, source: "dom" };
 
         // Get the raw text
         const rawText = card.innerText.replace(/\s+/g, " ").trim();
         match.rawText = rawText;
 
-        // Parse date
-        const dateMatch = rawText.match(/\|\s*(\w+\s+\d+)/);
+        // Parse date - card headers usually only say "Mar 8", so take the
+        // year from the card if it has one, else from the event/section
+        // header above the card. resolveMatchDates() fills in the rest.
+        const dateMatch = rawText.match(/\|\s*(\w+\s+\d+)(?:,?\s+(\d{4}))?/);
         match.date = dateMatch ? dateMatch[1] : "";
-
-        // Check for walkover
-        if (rawText.toLowerCase().includes("walkover")) {
-          match.isWalkover = true;
-          // In a walkover, the player listed first (before "walkover") advances
-          // Check if our name comes before "walkover"
-          const walkoverIdx = rawText.toLowerCase().indexOf("walkover");
-          const textBefore = rawText.substring(0, walkoverIdx);
-          match.won = textBefore.includes(playerName.split(" ")[0]);
+        if (dateMatch && dateMatch[2]) {
+          match.dateYear = parseInt(dateMatch[2]);
+          match.dateSource = "card";
         }
-
-        // Find opponent profile ID from link FIRST (reliable method)
-        const links = card.querySelectorAll('a[href*="/profiles/"]');
-        links.forEach((link) => {
-          const href = link.getAttribute("href");
-          const idMatch = href.match(/profiles\/(\d+)/);
-          if (idMatch) {
-            const linkText = link.innerText.trim();
-            // If link text doesn't contain our first name, it's the opponent
-            if (!linkText.includes(playerName.split(" ")[0])) {
-              match.opponentId = idMatch[1];
-              match.opponent = linkText;
+        const isCard = (el) =>
+          el.matches('.score-card, [class*="scorecard"]') ||
+          !!el.querySelector('.score-card, [class*="scorecard"]');
+        let el = card;
+        for (let level = 0; level < 4 && !match.dateYear; level++) {
+          const parent = el.parentElement;
+          if (!parent || parent === document.body) break;
+          for (const sibling of parent.children) {
+            if (sibling === el) break; // Only headers above the card
+            if (isCard(sibling)) continue;
+            const yearMatch = (sibling.innerText || "").match(
+              /\b(?:19|20)\d{2}\b/,
+            );
+            if (yearMatch) {
+              match.dateYear = parseInt(yearMatch[0]);
+              match.dateSource = "event";
             }
           }
-        });
+          el = parent;
+        }
+
+        // Event info: the card header reads "Event name | Mar 8"; the event
+        // header above the card has the event link, location, type and the
+        // draw names. eventTypeFrom() turns the type label into a category.
+        const textOf = (root, selector) => {
+          const found = root && root.querySelector(selector);
+          return found ? found.innerText.trim() || null : null;
+        };
+        const eventItem = card.closest(
+          '.eventItem, [class*="eventItem"], [class*="event-item"]',
+        );
+        const eventLink =
+          eventItem && eventItem.querySelector('a[href*="/events/"]');
+        const eventIdMatch = eventLink
+          ? eventLink.getAttribute("href").match(/events\/(\d+)/)
+          : null;
+        // The draw is the last draw heading above this card
+        let draw = null;
+        if (eventItem) {
+          eventItem
+            .querySelectorAll('[class*="drawName"], [class*="draw-name"]')
+            .forEach((heading) => {
+              const above =
+                heading.compareDocumentPosition(card) &
+                Node.DOCUMENT_POSITION_FOLLOWING;
+              if (above) draw = heading.innerText.trim() || draw;
+            });
+        }
+        const eventName =
+          (dateMatch && rawText.split("|")[0].trim()) ||
+          textOf(eventItem, '[class*="eventName"], [class*="event-name"]');
+        if (eventName || eventIdMatch) {
+          match.event = {
+            id: eventIdMatch ? eventIdMatch[1] : null,
+            name: eventName || null,
+            round: textOf(card, '[class*="round"]'),
+            draw,
+            location: textOf(
+              eventItem,
+              '[class*="eventLocation"], [class*="location"]',
+            ),
+            type: textOf(
+              eventItem,
+              '[class*="eventType"], [class*="event-type"]',
+            ),
+          };
+        }
 
-        // Parse scores from raw text - most reliable method
-        // Format: "Name1 UTR1 scores1 Name2 UTR2 scores2" e.g., "Harper Chalat 5.74 64 John Smith 4.50 26"
-        // Scores are concatenated digits: "64" means games 6 and 4, "26" means games 2 and 6
-        // Sets would be: 6-2, 4-6
-        let myScores = [],
-          oppScores = [];
-        let tiebreakScoresFromSup = []; // Tiebreak scores from <sup> elements
-
-        // First, find any <sup> elements which contain tiebreak scores
-        const supElements = card.querySelectorAll("sup");
-        supElements.forEach((sup) => {
-          const text = sup.innerText.trim();
-          if (/^\d+$/.test(text)) {
-            tiebreakScoresFromSup.push(parseInt(text));
+        // Player profile IDs from the links, in card order: one side's
+        // row(s), then the other's - so split them in half
+        const linkedPlayers = [];
+        card.querySelectorAll('a[href*="/profiles/"]').forEach((link) => {
+          const idMatch = link.getAttribute("href").match(/profiles\/(\d+)/);
+          if (!idMatch || linkedPlayers.some((p) => p.id === idMatch[1])) {
+            return;
           }
+          linkedPlayers.push({
+            id: idMatch[1],
+            name: link.innerText.trim(),
+            link,
+          });
         });
 
-        // Fallback: extract from raw text using pattern matching
-        // Scores like "66 40" mean sets 6-4, 6-0 (each digit is a set score)
-        // Super tiebreaks have "10" which is 2 digits for 10 points
-        if (myScores.length === 0) {
-          const pattern =
-            /([A-Z][a-z]+(?:\s+[A-Z][a-z'-]+)+)\s*(\d+\.\d{2})\s*([\d\s]+)/g;
-          let pm;
-          const playerData = [];
-          while ((pm = pattern.exec(rawText)) !== null) {
-            // Parse scores - handle "10" as a single score (super tiebreak)
-            const rawScores = pm[3].trim().replace(/\s+/g, "");
-            const scores = [];
-            let i = 0;
-            while (i < rawScores.length) {
-              // Check if next two digits form "10" or higher (super tiebreak score)
-              if (i + 1 < rawScores.length) {
-                const twoDigit = parseInt(rawScores.substring(i, i + 2));
-                if (twoDigit >= 10) {
-                  scores.push(twoDigit);
-                  i += 2;
-                  continue;
-                }
-              }
-              // Single digit score
-              scores.push(parseInt(rawScores[i]));
-              i++;
-            }
-            playerData.push({
-              name: pm[1].trim(),
-              utr: parseFloat(pm[2]),
-              scores: scores.filter((n) => !isNaN(n)),
-            });
+        const half = linkedPlayers.length / 2;
+        const sides =
+          linkedPlayers.length >= 2 && Number.isInteger(half)
+            ? [linkedPlayers.slice(0, half), linkedPlayers.slice(half)]
+            : null;
+
+        // Each side's row on the card, in the same order as the sides: the
+        // largest element around its profile links that holds none of the
+        // other side's. Cards without links fall back to the team rows.
+        const rowOf = (side, other) => {
+          let row = side[0].link;
+          while (
+            row.parentElement &&
+            row.parentElement !== card &&
+            !other.some((p) => row.parentElement.contains(p.link))
+          ) {
+            row = row.parentElement;
           }
-
-          if (playerData.length >= 2) {
-            const isPlayer1 = playerData[0].name.includes(
-              playerName.split(" ")[0],
+          return side.every((p) => row.contains(p.link)) ? row : null;
+        };
+        const rows = sides
+          ? sides.map((side, i) => rowOf(side, sides[1 - i]))
+          : Array.from(card.querySelectorAll('.team, [class*="team"]')).filter(
+              (row, i, all) => !all.some((o) => o !== row && o.contains(row)),
             );
-            if (isPlayer1) {
-              myScores = playerData[0].scores;
-              oppScores = playerData[1].scores;
-              match.myUtr = playerData[0].utr;
-              match.opponentUtr = playerData[1].utr;
-              if (!match.opponent) match.opponent = playerData[1].name;
-            } else {
-              myScores = playerData[1].scores;
-              oppScores = playerData[0].scores;
-              match.myUtr = playerData[1].utr;
-              match.opponentUtr = playerData[0].utr;
-              if (!match.opponent) match.opponent = playerData[0].name;
+
+        // A row reads "<names> <UTRs> <games>", e.g. "Jean-Luc O'Brien 5.87
+        // 6 77". Tiebreak points (the <sup>s) run on after their set's
+        // games, so the digits are parsed in Node by score-parser.js - see
+        // scoreMatch(). Only used when there are exactly two rows.
+        const readRow = (row) => {
+          const text = row.innerText.replace(/\s+/g, " ").trim();
+          const ratings = [...text.matchAll(/(\d+\.\d{2})|\b(?:UR|NR)\b/g)];
+          const last = ratings[ratings.length - 1];
+          const afterRatings = last
+            ? text.slice(last.index + last[0].length)
+            : "";
+          return {
+            name: (ratings[0] ? text.slice(0, ratings[0].index) : text).trim(),
+            utrs: ratings.map((r) => (r[1] ? parseFloat(r[1]) : null)),
+            digits: afterRatings
+              .replace(/[^\d\s]+/g, " ")
+              .replace(/\s+/g, " ")
+              .trim(),
+          };
+        };
+        const sideData =
+          rows.length === 2 && rows.every(Boolean) ? rows.map(readRow) : null;
+
+        // Which side is ours: the one linking to our profile. Without that,
+        // the only side carrying our full name, else our first name - a
+        // namesake on the other side makes the match ambiguous.
+        let ourSideIdx = sides
+          ? sides.findIndex((side) => side.some((p) => p.id === profileId))
+          : -1;
+        match.sideSource = ourSideIdx !== -1 ? "profileId" : null;
+        if (ourSideIdx === -1) {
+          const words = (name) => name.toLowerCase().split(/\s+/);
+          const fullName = words(playerName).join(" ");
+          const firstName = words(playerName)[0];
+          const sideNames = sides
+            ? sides.map((side) => side.map((p) => p.name))
+            : sideData
+              ? sideData.map((d) => [d.name])
+              : [];
+          for (const hasName of [
+            (name) => words(name).join(" ").includes(fullName),
+            (name) => words(name).includes(firstName),
+          ]) {
+            const found = sideNames.map((names) => names.some(hasName));
+            const count = found.filter(Boolean).length;
+            if (count === 1) {
+              ourSideIdx = found.indexOf(true);
+              match.sideSource = "name";
             }
+            if (count > 0) break;
           }
         }
-
-        // Parse sets with tiebreak handling
-        // Tiebreaks: 7-6 means a tiebreak was won. Tiebreak score may be in <sup> (e.g., 7-5, 7-4)
-        // Note: tiebreak scores are 7+ for winner (can't be 7-6 since must win by 2)
-        // Super tiebreaks: 1-0 followed by score like 10-8
-        match.sets = [];
-        match.tiebreakScores = [];
-
-        let supScoreIdx = 0; // Track which <sup> score we're on
-
-        if (
-          myScores.length > 0 &&
-          oppScores.length > 0 &&
-          myScores.length === oppScores.length
-        ) {
-          let i = 0;
-          while (i < myScores.length) {
-            const my = myScores[i];
-            const opp = oppScores[i];
-
-            // Check if this is a tiebreak set (7-6 or 6-7)
-            if ((my === 7 && opp === 6) || (my === 6 && opp === 7)) {
-              match.sets.push(`${my}-${opp}`);
-
-              // Check if next scores look like tiebreak scores (winner > 6, win by 2+)
-              // Or use <sup> tiebreak scores if available
-              if (tiebreakScoresFromSup.length > supScoreIdx) {
-                // Use the <sup> tiebreak score - it's the loser's points
-                const loserPoints = tiebreakScoresFromSup[supScoreIdx];
-                const winnerPoints = Math.max(7, loserPoints + 2); // Winner has at least 7, and at least 2 more
-                if (my === 7) {
-                  match.tiebreakScores.push(`${winnerPoints}-${loserPoints}`);
-                } else {
-                  match.tiebreakScores.push(`${loserPoints}-${winnerPoints}`);
-                }
-                supScoreIdx++;
-              } else if (i + 1 < myScores.length) {
-                // Check if next scores are valid tiebreak scores
-                const nextMy = myScores[i + 1];
-                const nextOpp = oppScores[i + 1];
-                // Valid tiebreak: one player has 7+, wins by 2+
-                const isValidTiebreak =
-                  (nextMy >= 7 || nextOpp >= 7) &&
-                  Math.abs(nextMy - nextOpp) >= 2 &&
-                  !(nextMy === 7 && nextOpp === 6) && // Not another set score
-                  !(nextMy === 6 && nextOpp === 7);
-                if (isValidTiebreak) {
-                  match.tiebreakScores.push(`${nextMy}-${nextOpp}`);
-                  i += 2;
-                  continue;
-                }
-              }
-              // No tiebreak score found - that's ok, 7-6 alone is valid
-              i++;
-            }
-            // Check if this is a super tiebreak (1-0 or 0-1)
-            else if ((my === 1 && opp === 0) || (my === 0 && opp === 1)) {
-              // Next scores are the super tiebreak score
-              if (i + 1 < myScores.length) {
-                const stbMy = myScores[i + 1];
-                const stbOpp = oppScores[i + 1];
-                match.sets.push(`${stbMy}-${stbOpp}`); // Store actual super TB score
-                match.superTiebreak = `${stbMy}-${stbOpp}`;
-                i += 2;
-              } else {
-                match.sets.push(`${my}-${opp}`);
-                i++;
-              }
-            }
-            // Regular set
-            else {
-              match.sets.push(`${my}-${opp}`);
-              i++;
-            }
+        // Ambiguous matches are read as if we were listed first
+        match.sideAmbiguous = ourSideIdx === -1;
+        const sideIdx = ourSideIdx === -1 ? 0 : ourSideIdx;
+
+        if (!match.sideAmbiguous) {
+          // The side listed first advanced - that settles walkovers and
+          // retirements, which the score can't (see scoreMatch)
+          match.ourSideFirst = ourSideIdx === 0;
+        }
+        if (sides) {
+          const ourSide = sides[sideIdx];
+          const theirSide = sides[1 - sideIdx];
+          match.opponentId = theirSide[0].id;
+          match.opponent = theirSide[0].name;
+          if (type === "doubles") {
+            const partner = ourSide.find((p) => p.id !== profileId);
+            match.partnerId = partner ? partner.id : null;
+            match.partner = partner ? partner.name : null;
+            match.opponentIds = theirSide.map((p) => p.id);
+            match.opponents = theirSide.map((p) => p.name);
           }
         }
 
-        // Determine win/loss from set count (most reliable method)
-        if (!match.isWalkover && match.sets.length > 0) {
-          let mySets = 0,
-            oppSets = 0;
-          match.sets.forEach((set) => {
-            const parts = set.split("-");
-            if (parts.length !== 2) return;
-            const a = parseInt(parts[0]);
-            const b = parseInt(parts[1]);
-            if (isNaN(a) || isNaN(b)) return;
-
-            // Regular sets (0-7 range) or super tiebreaks (10+)
-            if (a > b) mySets++;
-            else if (b > a) oppSets++;
-          });
-          match.won = mySets > oppSets;
+        // sideData is in the same order as sides, so sideIdx picks our row;
+        // in doubles our UTR is the one in our link's position on that row
+        if (sideData) {
+          const mine = sideData[sideIdx];
+          const theirs = sideData[1 - sideIdx];
+          const ourPosition = sides
+            ? Math.max(
+                0,
+                sides[sideIdx].findIndex((p) => p.id === profileId),
+              )
+            : 0;
+          match.scoreDigits = [mine.digits, theirs.digits];
+          match.myUtr = mine.utrs[ourPosition] ?? mine.utrs[0] ?? undefined;
+          match.opponentUtr = theirs.utrs[0] ?? undefined;
+          if (!match.opponent) match.opponent = theirs.name;
         }
 
+        // The names on the card, so scoreMatch() can tell its status text
+        // apart from an event or player called "Ret" or "Default"
+        match.cardNames = [
+          eventName,
+          match.event && match.event.round,
+          draw,
+          ...linkedPlayers.map((p) => p.name),
+          ...(sideData || []).map((d) => d.name),
+        ].filter(Boolean);
+
         // Only add valid matches (must have date and opponent)
         if (match.date && match.opponent && match.rawText.length > 30) {
           matches.push(match);
@@ -2084,85 +1969,500 @@ async function scrapeMatches(page, playerName, type) {
 
       return matches;
     },
-    { playerName, type },
+    { playerName, type, profileId: String(profileId) },
   );
+  const ambiguous = matches.filter((m) => m.sideAmbiguous).length;
+  if (ambiguous > 0) {
+    console.log(
+      `   ⚠️  ${ambiguous} ${type} match(es) where our side of the card is unclear - flagged sideAmbiguous`,
+    );
+  }
+  return matches.map(scoreMatch);
 }
 
-function calculateUtrDeltas(results) {
-  const myHistory = results.singlesHistory;
-
-  // For each singles match, find UTR before and after
-  results.singlesMatches.forEach((match) => {
-    if (!match.date) return;
-
-    // Parse match date to find the relevant week
-    const year = new Date().getFullYear();
-    const matchDate = new Date(`${match.date}, ${year}`);
-
-    // Find my UTR before and after this match
-    const myBefore = findRatingBefore(myHistory, matchDate);
-    const myAfter = findRatingAfter(myHistory, matchDate);
-
-    match.myUtrBefore = myBefore?.rating;
-    match.myUtrAfter = myAfter?.rating;
-    match.myUtrDelta =
-      myAfter && myBefore
-        ? (myAfter.rating - myBefore.rating).toFixed(2)
-        : null;
-
-    // Find opponent UTR before and after
-    if (match.opponentId && results.opponentHistories[match.opponentId]) {
-      const oppHistory = results.opponentHistories[match.opponentId].history;
-      const oppBefore = findRatingBefore(oppHistory, matchDate);
-      const oppAfter = findRatingAfter(oppHistory, matchDate);
-
-      match.opponentUtrBefore = oppBefore?.rating;
-      match.opponentUtrAfter = oppAfter?.rating;
-      match.opponentUtrDelta =
-        oppAfter && oppBefore
-          ? (oppAfter.rating - oppBefore.rating).toFixed(2)
-          : null;
+// Sets from the score digits scrapeMatches() read off the card, the format
+// they were played in, how the match ended and who won. Completed matches
+// are won on sets; after a walkover, retirement or default - or when the
+// sets don't say - the side listed first on the card advanced, which is
+// unknown when the side is ambiguous.
+function scoreMatch(match) {
+  const { scoreDigits, ourSideFirst, cardNames, ...rest } = match;
+  rest.sets = scoreDigits ? parseDigitScores(...scoreDigits) : [];
+
+  const marker = resultMarker(statusText(rest.rawText, cardNames));
+  rest.resultType = marker ? marker.type : RESULT_TYPES.COMPLETED;
+  rest.format = matchFormat(rest.sets, rest.resultType);
+  if (rest.resultType === RESULT_TYPES.WALKOVER) rest.isWalkover = true;
+
+  const won =
+    rest.resultType === RESULT_TYPES.COMPLETED ? wonMatch(rest.sets) : null;
+  if (won !== null) rest.won = won;
+  else if (
+    rest.resultType !== RESULT_TYPES.INCOMPLETE &&
+    ourSideFirst !== undefined
+  ) {
+    rest.won = ourSideFirst;
+  }
+  return rest;
+}
+
+const MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+// A match was close if it went to a deciding set or tiebreak, or the games
+// were within 3. Only a finished match can tell.
+function isCloseMatch(match) {
+  if (match.resultType && match.resultType !== RESULT_TYPES.COMPLETED) {
+    return false;
+  }
+  const sets = match.sets || [];
+  if (sets.length >= 3 || sets.some((set) => set.type === MATCH_TIEBREAK)) {
+    return true;
+  }
+  if (
+    sets.some(
+      ({ games: [a, b] }) => Math.abs(a - b) === 1 && Math.max(a, b) >= 6,
+    )
+  ) {
+    return true;
+  }
+  const { gamesWon, gamesLost } = summarizeSets(sets);
+  return sets.length > 0 && Math.abs(gamesWon - gamesLost) <= 3;
+}
+
+// Beat a higher-rated opponent or lost to a lower-rated one
+function isUpset(match) {
+  if (!match.myUtr || !match.opponentUtr || typeof match.won !== "boolean") {
+    return false;
+  }
+  return match.won
+    ? match.opponentUtr > match.myUtr
+    : match.opponentUtr < match.myUtr;
+}
+
+// Rank opponents by how much their rating history adds to the review:
+// every match counts, matches in the review year, close matches and upsets
+// count extra. Singles weigh more than doubles, and doubles partners count
+// like doubles opponents. Anyone met in doubles is marked `doubles` so their
+// doubles history gets fetched too. The top `limit` are selected; the rest
+// are returned as skipped.
+function rankOpponents(
+  results,
+  { year = null, limit = MAX_OPPONENTS_TO_FETCH },
+) {
+  const matchYears = [...results.singlesMatches, ...results.doublesMatches]
+    .map((m) => parseInt(String(m.date).substring(0, 4)))
+    .filter((y) => !isNaN(y));
+  const reviewYear =
+    year || (matchYears.length > 0 ? Math.max(...matchYears) : null);
+
+  const opponents = new Map();
+  const addMatch = (id, name, match, weight, role) => {
+    if (!id) return;
+    if (!opponents.has(id)) {
+      opponents.set(id, {
+        id,
+        name,
+        doubles: false,
+        score: 0,
+        matches: 0,
+        partnered: 0,
+        inYear: 0,
+        close: 0,
+        upsets: 0,
+      });
     }
+    const o = opponents.get(id);
+    o.name = o.name || name;
+    if (role !== "singles") o.doubles = true;
+    if (role === "partner") o.partnered++;
+    o.matches++;
+    o.score += weight;
+    if (reviewYear && String(match.date).startsWith(String(reviewYear))) {
+      o.inYear++;
+      o.score += 2 * weight;
+    }
+    if (isCloseMatch(match)) {
+      o.close++;
+      o.score += weight;
+    }
+    if (isUpset(match)) {
+      o.upsets++;
+      o.score += 1.5 * weight;
+    }
+  };
+
+  results.singlesMatches.forEach((m) =>
+    addMatch(m.opponentId, m.opponent, m, 1, "singles"),
+  );
+  results.doublesMatches.forEach((m) => {
+    (m.opponentIds || []).forEach((id, idx) =>
+      addMatch(id, (m.opponents || [])[idx], m, 0.5, "doubles"),
+    );
+    addMatch(m.partnerId, m.partner, m, 0.5, "partner");
   });
 
-  // Doubles UTR deltas skipped - focusing on singles
-  // results.doublesMatches.forEach(match => {
-  //     if (!match.date) return;
-  //     const year = new Date().getFullYear();
-  //     const matchDate = new Date(`${match.date}, ${year}`);
-  //
-  //     const myBefore = findRatingBefore(myHistory, matchDate);
-  //     const myAfter = findRatingAfter(myHistory, matchDate);
-  //
-  //     match.myUtrBefore = myBefore?.rating;
-  //     match.myUtrAfter = myAfter?.rating;
-  //     match.myUtrDelta = myAfter && myBefore ? (myAfter.rating - myBefore.rating).toFixed(2) : null;
-  // });
+  const ranked = Array.from(opponents.values())
+    .sort((a, b) => b.score - a.score || b.matches - a.matches)
+    .map((o) => ({
+      ...o,
+      reasons: [
+        `${o.matches} match${o.matches === 1 ? "" : "es"}`,
+        o.partnered > 0 ? `partner in ${o.partnered}` : null,
+        o.inYear > 0 ? `${o.inYear} in ${reviewYear}` : null,
+        o.close > 0 ? `${o.close} close` : null,
+        o.upsets > 0 ? `${o.upsets} upset${o.upsets === 1 ? "" : "s"}` : null,
+      ].filter(Boolean),
+    }));
+
+  return {
+    year: reviewYear,
+    selected: ranked.slice(0, limit),
+    skipped: ranked.slice(limit),
+  };
+}
+
+function hasOpponentHistory(results, opponentId) {
+  return !!(opponentId && results.opponentHistories[opponentId]);
 }
 
-function findRatingBefore(history, date) {
-  // Find the rating entry just before or on this date
-  let closest = null;
-  for (const entry of history) {
-    const entryDate = new Date(entry.date);
-    if (entryDate <= date) {
-      closest = entry;
+// Turn DOM dates like "Mar 8" into YYYY-MM-DD. Uses the year the card or its
+// event header showed; otherwise walks the list newest -> oldest (the order
+// the results tab shows) from referenceDate, going back a year whenever the
+// month jumps forward (e.g. "Jan 4" followed by "Dec 15").
+// Matches that already have a full date (API data) are left alone.
+function resolveMatchDates(matches, referenceDate) {
+  const reference = new Date(referenceDate || Date.now());
+  let year = reference.getUTCFullYear();
+  let previousMonth = reference.getUTCMonth();
+
+  matches.forEach((match) => {
+    if (!match.date || /^\d{4}-\d{2}-\d{2}/.test(match.date)) return;
+    const labelMatch = match.date.match(/([A-Za-z]{3})[a-z]*\.?\s+(\d{1,2})/);
+    if (!labelMatch) return;
+    const month = MONTHS.indexOf(labelMatch[1].toLowerCase());
+    if (month === -1) return;
+
+    if (match.dateYear) {
+      year = match.dateYear;
     } else {
-      break;
+      if (month > previousMonth) year--;
+      match.dateSource = "inferred";
     }
+    previousMonth = month;
+
+    match.dateLabel = match.date;
+    match.date = `${year}-${String(month + 1).padStart(2, "0")}-${labelMatch[2].padStart(2, "0")}`;
+    delete match.dateYear;
+  });
+
+  return matches;
+}
+
+// DOM matches carry the event type label as shown ("College Dual", "Flex
+// League") - turn it into tournament / college / league / flex like the API
+// matches. Matches with no label get a guess from the event name.
+function classifyMatchEvents(matches) {
+  matches.forEach((match) => {
+    if (!match.event || match.source === "network") return;
+    match.event.type =
+      eventTypeFrom(match.event.type) || eventTypeFrom(match.event.name);
+  });
+  return matches;
+}
+
+// Newest YYYY-MM-DD match date in a list, or null
+function newestMatchDate(matches) {
+  const dates = (matches || [])
+    .map((m) => m.date)
+    .filter((date) => /^\d{4}-\d{2}-\d{2}/.test(date || ""))
+    .sort();
+  return dates.length > 0 ? dates[dates.length - 1] : null;
+}
+
+// Same result seen twice: by match ID, then by UTR result ID when both have
+// one, otherwise by date and opponent (DOM matches have no result ID and
+// their hash changes if a later scrape reads the score differently)
+function isSameMatch(a, b) {
+  if (a.id && b.id && a.id === b.id) return true;
+  if (a.resultId && b.resultId) return a.resultId === b.resultId;
+  if (a.date !== b.date) return false;
+  return a.opponentId && b.opponentId
+    ? a.opponentId === b.opponentId
+    : a.opponent === b.opponent;
+}
+
+// This run's matches plus the cached ones it didn't see again, newest first.
+// A match found in both keeps this run's copy.
+function mergeMatches(cached, fresh) {
+  const kept = cached.filter((old) => !fresh.some((m) => isSameMatch(m, old)));
+  return [...fresh, ...kept].sort((a, b) =>
+    (b.date || "").localeCompare(a.date || ""),
+  );
+}
+
+// Cached rating points plus the ones this run found after the last of them
+function mergeRatingHistory(cached, fresh) {
+  const lastCached = cached.length > 0 ? cached[cached.length - 1].date : "";
+  return normalizeSeries([
+    ...cached,
+    ...fresh.filter((h) => h.date > lastCached),
+  ]);
+}
+
+// Fold the cached profile into an incremental run's results
+function mergeIncremental(results, previous) {
+  // Profiles cached before match IDs existed get them now
+  ["singles", "doubles"].forEach((type) => {
+    previous[`${type}Matches`] = assignMatchIds(
+      previous[`${type}Matches`] || [],
+      results.profileId,
+    );
+  });
+
+  const newCount = (type) =>
+    results[`${type}Matches`].filter(
+      (m) => !previous[`${type}Matches`].some((old) => isSameMatch(m, old)),
+    ).length;
+  const added = { singles: newCount("singles"), doubles: newCount("doubles") };
+
+  ["singles", "doubles"].forEach((type) => {
+    results[`${type}Matches`] = mergeMatches(
+      previous[`${type}Matches`],
+      results[`${type}Matches`],
+    );
+    results[`${type}History`] = mergeRatingHistory(
+      previous[`${type}History`] || [],
+      results[`${type}History`],
+    );
+  });
+  results.opponentHistories = {
+    ...previous.opponentHistories,
+    ...results.opponentHistories,
+  };
+  results.player = { ...previous.player, ...results.player };
+  results.sources = { ...previous.sources, ...results.sources };
+  results.incremental = {
+    previousScrapedAt: previous.scrapedAt,
+    newSinglesMatches: added.singles,
+    newDoublesMatches: added.doubles,
+  };
+
+  console.log(
+    `\n🔁 Incremental: ${added.singles} new singles and ${added.doubles} new doubles matches since ${previous.scrapedAt}`,
+  );
+  return results;
+}
+
+// Oldest match date loaded so far on the results tab (YYYY-MM-DD)
+async function oldestLoadedMatchDate(page, capture, opts) {
+  let matches = await getNetworkMatches(capture, opts.profileId, opts.type);
+  if (matches.length === 0) {
+    matches = resolveMatchDates(
+      await scrapeMatches(page, opts.playerName, opts.type, opts.profileId),
+      opts.referenceDate,
+    );
   }
-  return closest;
+  const dates = matches
+    .map((m) => m.date)
+    .filter((d) => /^\d{4}-\d{2}-\d{2}/.test(d || ""))
+    .sort();
+  return dates.length > 0 ? dates[0] : null;
 }
 
-function findRatingAfter(history, date) {
-  // Find the rating entry just after this date
-  for (const entry of history) {
-    const entryDate = new Date(entry.date);
-    if (entryDate > date) {
-      return entry;
-    }
+// Keep loading older results (infinite scroll / "Load more") one step at a
+// time until matches from before opts.since or opts.cutoff (YYYY-MM-DD,
+// whichever is later) show up or nothing new loads. Both are checked before
+// every scroll and click, so an incremental run stops at the cached matches.
+async function loadOlderResults(page, capture, opts) {
+  const stopAt = [opts.since, opts.cutoff].filter(Boolean).sort().pop();
+  const countCards = () =>
+    page.evaluate(
+      () =>
+        document.querySelectorAll('.utr-card, [class*="score-card"]').length,
+    );
+
+  for (let round = 0; round < MAX_LOAD_MORE_ROUNDS; round++) {
+    const oldest = await oldestLoadedMatchDate(page, capture, opts);
+    if (oldest && stopAt && oldest < stopAt) return;
+
+    // Scrolling to the bottom triggers infinite scroll; otherwise there's a
+    // "Load more" button to click
+    const before = await countCards();
+    await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+    await page.evaluate(() => {
+      const buttons = document.querySelectorAll("button, a");
+      for (const btn of buttons) {
+        const text = (btn.innerText || "").trim().toLowerCase();
+        const rect = btn.getBoundingClientRect();
+        if (
+          /^(load|show|see|view) (more|older)/.test(text) &&
+          rect.width > 0 &&
+          rect.height > 0
+        ) {
+          btn.click();
+          return;
+        }
+      }
+    });
+    const after = await waitUntil(
+      async () => {
+        const count = await countCards();
+        return count > before ? count : null;
+      },
+      { timeoutMs: LOAD_MORE_WAIT_MS },
+    );
+
+    if (!after) return; // Nothing older to load
+    console.log(
+      `   Loaded older ${opts.type} results (${after} cards${oldest ? `, back to ${oldest}` : ""})`,
+    );
   }
-  return null;
+}
+
+// Ratings before and after each match, singles and doubles, from the rating
+// histories (see ratingAround in rating-series.js). Deltas are numbers.
+// match.ratingSnapshots records the history dates each value came from, and
+// ratingGap marks matches where a history had no point close enough.
+function calculateUtrDeltas(results) {
+  const readings = [];
+  const read = (match, id, type, history) => {
+    const reading = { match, id, type, ...ratingAround(history, match.date) };
+    readings.push(reading);
+    return reading;
+  };
+  const hasDate = (match) => match.date && !isNaN(new Date(match.date));
+
+  // Opponents' and partners' histories by match type. A doubles team's
+  // rating is the average of both players'.
+  const historyOf = {
+    singles: (id) =>
+      hasOpponentHistory(results, id)
+        ? results.opponentHistories[id].history
+        : null,
+    doubles: (id) =>
+      (id && results.opponentHistories[id]?.doublesHistory) || null,
+  };
+  const ratingFields = [
+    "myUtrBefore",
+    "myUtrAfter",
+    "myUtrDelta",
+    "opponentUtrBefore",
+    "opponentUtrAfter",
+    "opponentUtrDelta",
+    "partnerUtrBefore",
+    "partnerUtrAfter",
+    "partnerUtrDelta",
+    "ratingGap",
+    "ratingSnapshots",
+  ];
+
+  // Match dates are YYYY-MM-DD by now (see resolveMatchDates)
+  const rated = [];
+  ["singles", "doubles"].forEach((type) => {
+    results[`${type}Matches`].forEach((match) => {
+      const ids =
+        type === "doubles" ? match.opponentIds || [] : [match.opponentId];
+      match.opponentHistoryMissing =
+        ids.length === 0 || ids.some((id) => !historyOf[type](id));
+
+      // Walkovers, defaults and unfinished matches don't move ratings, so
+      // they get no delta and don't take a share of one
+      if (!hasDate(match) || !countsInRecord(match.resultType)) {
+        ratingFields.forEach((field) => delete match[field]);
+        return;
+      }
+      const partnerHistory =
+        type === "doubles" ? historyOf.doubles(match.partnerId) : null;
+      rated.push({
+        match,
+        mine: read(match, "me", type, results[`${type}History`]),
+        opponents: match.opponentHistoryMissing
+          ? null
+          : ids.map((id) => read(match, id, type, historyOf[type](id))),
+        partner: partnerHistory
+          ? read(match, match.partnerId, type, partnerHistory)
+          : null,
+      });
+    });
+  });
+
+  // Matches between the same two snapshots of a player's history (usually
+  // the same week) share that rating change in date order, rather than
+  // each being given all of it
+  const steps = new Map();
+  readings.forEach((r) => {
+    if (!r.beforeDate || !r.afterDate) return;
+    const key = `${r.id}|${r.type}|${r.beforeDate}|${r.afterDate}`;
+    if (!steps.has(key)) steps.set(key, []);
+    steps.get(key).push(r);
+  });
+  steps.forEach((step) => {
+    if (step.length < 2) return;
+    step.sort((a, b) => a.match.date.localeCompare(b.match.date));
+    const { before, after } = step[0];
+    const share = (after - before) / step.length;
+    step.forEach((r, i) => {
+      r.before = roundRating(before + share * i);
+      r.after = roundRating(before + share * (i + 1));
+      r.delta = roundRating(r.after - r.before);
+      r.splitAcross = step.length;
+    });
+  });
+
+  const snapshot = (r) => ({
+    before: r.beforeDate,
+    after: r.afterDate,
+    splitAcross: r.splitAcross || 1,
+  });
+  rated.forEach(({ match, mine, opponents, partner }) => {
+    match.myUtrBefore = mine.before;
+    match.myUtrAfter = mine.after;
+    match.myUtrDelta = mine.delta;
+    match.ratingGap = [mine, ...(opponents || []), partner].some((r) => r?.gap);
+    match.ratingSnapshots = {
+      mine: snapshot(mine),
+      opponents: (opponents || []).map((r) => ({
+        id: r.id,
+        ...snapshot(r),
+      })),
+      partner: partner ? snapshot(partner) : null,
+    };
+
+    if (opponents) {
+      const average = (key) =>
+        opponents.every((r) => r[key] !== undefined)
+          ? roundRating(
+              opponents.reduce((sum, r) => sum + r[key], 0) / opponents.length,
+            )
+          : undefined;
+      match.opponentUtrBefore = average("before");
+      match.opponentUtrAfter = average("after");
+      match.opponentUtrDelta =
+        match.opponentUtrBefore !== undefined &&
+        match.opponentUtrAfter !== undefined
+          ? roundRating(match.opponentUtrAfter - match.opponentUtrBefore)
+          : null;
+    }
+
+    if (partner) {
+      match.partnerUtrBefore = partner.before;
+      match.partnerUtrAfter = partner.after;
+      match.partnerUtrDelta = partner.delta;
+    }
+  });
 }
 
 function printSummary(results) {
@@ -2187,11 +2487,54 @@ function printSummary(results) {
     );
     console.log(`   Peak Singles UTR: ${peak.rating} (${peak.date})`);
   }
+  if (results.doublesHistory.length > 0) {
+    const peak = results.doublesHistory.reduce((max, h) =>
+      h.rating > max.rating ? h : max,
+    );
+    console.log(`   Peak Doubles UTR: ${peak.rating} (${peak.date})`);
+  }
 
   console.log(
     `   Opponents tracked: ${Object.keys(results.opponentHistories).length}`,
   );
 }
 
+// Value following a flag, e.g. --record fixtures/904826 -> "fixtures/904826"
+function argValue(argv, flag) {
+  const idx = argv.indexOf(flag);
+  if (idx === -1 || !argv[idx + 1]) return null;
+  return argv[idx + 1];
+}
+
+// CLI: translate argv into scrapeUTR options
+function optionsFromArgv(argv) {
+  return {
+    mode: argv.includes("--ultra-fast")
+      ? "ultra-fast"
+      : argv.includes("--fast")
+        ? "fast"
+        : "full",
+    force: argv.includes("--force"),
+    forceLogin: argv.includes("--login"),
+    incremental: argv.includes("--incremental"),
+    years: argValue(argv, "--years") ?? undefined,
+    concurrency: argValue(argv, "--concurrency") ?? undefined,
+    maxRequests: argValue(argv, "--max-requests") ?? undefined,
+    maxOpponents: argValue(argv, "--max-opponents") ?? undefined,
+    year: argValue(argv, "--year") ?? undefined,
+    record: argValue(argv, "--record"),
+    replay: argValue(argv, "--replay"),
+  };
+}
+
+module.exports = { scrapeUTR, calculateUtrDeltas };
+
 // Run
-scrapeUTR(PROFILE_ID).catch(console.error);
+if (require.main === module) {
+  const argv = process.argv.slice(2);
+  const profileId = argv[0] && !argv[0].startsWith("--") ? argv[0] : "904826";
+  scrapeUTR(profileId, optionsFromArgv(argv)).catch((e) => {
+    console.error(e);
+    process.exitCode = 1;
+  });
+}
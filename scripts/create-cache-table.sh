@@ -0,0 +1,74 @@
+#!/bin/bash
+# Create the DynamoDB table the scraper caches profiles, opponent histories
+# and the login session in (CACHE_BACKEND=dynamodb - see cache-store.js)
+
+set -e
+
+TABLE_NAME="${1:-utr-cache}"
+ROLE_NAME="utr-year-in-review-scraper-role-nj68sgvb"
+ACCOUNT_ID="686756213571"
+REGION="us-east-1"
+
+# Source AWS credentials if .aws file exists
+if [ -f ".aws" ]; then
+    source .aws
+fi
+
+echo "📦 Creating cache table: $TABLE_NAME"
+echo ""
+
+if aws dynamodb describe-table --table-name $TABLE_NAME 2>/dev/null; then
+    echo "⚠️  Table already exists!"
+    exit 1
+fi
+
+aws dynamodb create-table \
+  --table-name $TABLE_NAME \
+  --attribute-definitions AttributeName=cacheKey,AttributeType=S \
+  --key-schema AttributeName=cacheKey,KeyType=HASH \
+  --billing-mode PAY_PER_REQUEST \
+  --tags Key=Project,Value=UTR-Year-In-Review
+
+echo ""
+echo "⏳ Waiting for table to be active..."
+aws dynamodb wait table-exists --table-name $TABLE_NAME
+
+# Old entries are removed by DynamoDB once expiresAt passes
+aws dynamodb update-time-to-live \
+  --table-name $TABLE_NAME \
+  --time-to-live-specification "Enabled=true, AttributeName=expiresAt"
+
+# Let the Lambda read and write cache entries
+cat > /tmp/cache-table-policy.json << EOP
+{
+  "Version": "2012-10-17",
+  "Statement": [
+    {
+      "Effect": "Allow",
+      "Action": [
+        "dynamodb:GetItem",
+        "dynamodb:PutItem",
+        "dynamodb:DeleteItem"
+      ],
+      "Resource": "arn:aws:dynamodb:${REGION}:${ACCOUNT_ID}:table/${TABLE_NAME}"
+    }
+  ]
+}
+EOP
+
+aws iam put-role-policy \
+  --role-name "$ROLE_NAME" \
+  --policy-name "CacheTableAccess" \
+  --policy-document file:///tmp/cache-table-policy.json
+
+echo ""
+echo "✅ Cache table created!"
+echo ""
+echo "📋 Table structure:"
+echo "   - cacheKey (String) - Partition key, e.g. opponent-904826"
+echo "   - data: gzipped JSON entry"
+echo "   - cachedAt: ISO timestamp"
+echo "   - expiresAt: epoch seconds (DynamoDB TTL)"
+echo ""
+echo "🔧 Point the Lambda at it: CACHE_BACKEND=dynamodb CACHE_TABLE=$TABLE_NAME"
+echo "   (scripts/set-lambda-env.sh sets both)"
@@ -20,17 +20,23 @@ echo "   (Code files only - node_modules should be in Lambda layer)"
 # Remove old zip if exists
 rm -f "$ZIP_FILE"
 
-# Copy auth state file if it exists (for saved login cookies)
-if [ -f "cache/auth-state.json" ]; then
-  cp cache/auth-state.json auth-state-lambda.json
-  echo "✅ Copied auth-state.json for Lambda deployment"
-fi
-
 # Create zip with ONLY code files (no node_modules)
 zip -r "$ZIP_FILE" \
     lambda-handler-v2.js \
     generate-full-review.js \
     scraper-full.js \
+    utr-api.js \
+    session-recorder.js \
+    page-pool.js \
+    match-id.js \
+    cache-store.js \
+    session-store.js \
+    login-flow.js \
+    credentials.js \
+    crypto-box.js \
+    score-parser.js \
+    result-type.js \
+    rating-series.js \
     -x "*.git*" "*.DS_Store" "*.md" "*.sh" "*.png" "cache/*" \
     2>/dev/null
 
@@ -40,7 +46,6 @@ zip -r "$ZIP_FILE" \
 [ -f "parse-utr.js" ] && zip "$ZIP_FILE" parse-utr.js 2>/dev/null
 [ -f "export-csv.js" ] && zip "$ZIP_FILE" export-csv.js 2>/dev/null
 [ -f "check-cached-files.js" ] && zip "$ZIP_FILE" check-cached-files.js 2>/dev/null
-[ -f "auth-state-lambda.json" ] && zip "$ZIP_FILE" auth-state-lambda.json 2>/dev/null && echo "✅ Added auth-state-lambda.json to deployment"
 
 # Check if zip was created
 if [ ! -f "$ZIP_FILE" ]; then
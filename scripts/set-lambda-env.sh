@@ -12,18 +12,34 @@ fi
 # Lambda function name
 FUNCTION_NAME="${1:-utr-year-in-review-scraper}"
 
-# Read UTR credentials
-echo "Enter your UTR email:"
-read -r UTR_EMAIL
+# UTR credentials: with UTR_SECRET_ID set, the Lambda reads them from that
+# Secrets Manager secret ({"email": ..., "password": ...}) through the AWS
+# Parameters and Secrets extension layer. Otherwise they go in the environment.
+if [ -n "$UTR_SECRET_ID" ]; then
+  echo "Using UTR credentials from Secrets Manager secret: $UTR_SECRET_ID"
+  CREDENTIAL_VARS="UTR_SECRET_ID=$UTR_SECRET_ID"
+else
+  echo "Enter your UTR email:"
+  read -r UTR_EMAIL
 
-echo "Enter your UTR password:"
-read -s UTR_PASSWORD
-echo ""
+  echo "Enter your UTR password:"
+  read -s UTR_PASSWORD
+  echo ""
+  CREDENTIAL_VARS="UTR_EMAIL=$UTR_EMAIL,UTR_PASSWORD=$UTR_PASSWORD"
+fi
 
 # S3 bucket name
 S3_BUCKET="${2:-utr-year-in-review}"
 # DynamoDB table name
 DYNAMODB_TABLE="${3:-utr-year-in-review}"
+# Cache table (see scripts/create-cache-table.sh)
+CACHE_TABLE="${4:-utr-cache}"
+# Key for the encrypted login session in the cache (see session-store.js).
+# Keep it across deploys - a new key just means one extra login.
+if [ -z "$UTR_SESSION_KEY" ]; then
+  UTR_SESSION_KEY=$(openssl rand -base64 32)
+  echo "🔑 Generated UTR_SESSION_KEY (export it before re-running to keep it)"
+fi
 
 echo "Setting environment variables for Lambda function: $FUNCTION_NAME"
 echo ""
@@ -33,10 +49,12 @@ aws lambda update-function-configuration \
   --function-name "$FUNCTION_NAME" \
   --environment "Variables={
     CHROMIUM_PATH=/opt/chrome,
-    UTR_EMAIL=$UTR_EMAIL,
-    UTR_PASSWORD=$UTR_PASSWORD,
+    $CREDENTIAL_VARS,
     S3_BUCKET=$S3_BUCKET,
-    DYNAMODB_TABLE=$DYNAMODB_TABLE
+    DYNAMODB_TABLE=$DYNAMODB_TABLE,
+    CACHE_BACKEND=dynamodb,
+    CACHE_TABLE=$CACHE_TABLE,
+    UTR_SESSION_KEY=$UTR_SESSION_KEY
   }" \
   --region us-east-1
 
@@ -44,8 +62,10 @@ if [ $? -eq 0 ]; then
     echo ""
     echo "✅ Environment variables set successfully!"
     echo ""
-    echo "⚠️  Security Note: Consider using AWS Secrets Manager for password storage"
-    echo "   See: https://docs.aws.amazon.com/secretsmanager/latest/userguide/intro.html"
+    if [ -z "$UTR_SECRET_ID" ]; then
+      echo "⚠️  Security Note: Consider keeping the password in AWS Secrets Manager:"
+      echo "   UTR_SECRET_ID=<secret name> $0"
+    fi
 else
     echo ""
     echo "❌ Failed to set environment variables"
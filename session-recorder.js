@@ -0,0 +1,201 @@
+// session-recorder.js - Record scraper sessions to disk and replay them offline
+// --record <dir> saves every response the browser receives plus an HTML
+// snapshot of each page the scraper reads. --replay <dir> serves those
+// responses back through Puppeteer request interception, so the scraper runs
+// with no network access and produces the same results every run.
+//
+// Layout of a recording directory:
+//   manifest.json      - recorded responses (url, status, headers, body file)
+//   responses/*.bin    - response bodies
+//   pages/*.html       - DOM snapshots, one per scraper step
+
+const fs = require("fs");
+const path = require("path");
+
+const MANIFEST_FILE = "manifest.json";
+
+// Headers that describe the original transfer, not the (decoded) body we saved
+const DROPPED_HEADERS = [
+  "content-encoding",
+  "content-length",
+  "transfer-encoding",
+  "set-cookie", // Never keep session cookies in fixtures
+];
+
+// Query params that only bust caches - ignored when matching requests
+const VOLATILE_PARAMS = ["_", "cb", "timestamp", "ts"];
+
+function requestKey(method, url) {
+  let normalized = url;
+  try {
+    const parsed = new URL(url);
+    parsed.hash = "";
+    VOLATILE_PARAMS.forEach((param) => parsed.searchParams.delete(param));
+    parsed.searchParams.sort();
+    normalized = parsed.toString();
+  } catch (e) {
+    // Not a URL we can parse (data:, about:) - use as is
+  }
+  return `${(method || "GET").toUpperCase()} ${normalized}`;
+}
+
+function cleanHeaders(headers) {
+  const cleaned = {};
+  Object.entries(headers || {}).forEach(([name, value]) => {
+    if (!DROPPED_HEADERS.includes(name.toLowerCase())) {
+      cleaned[name] = value;
+    }
+  });
+  return cleaned;
+}
+
+function slugify(label) {
+  return String(label)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+// Start saving every response the page receives into dir
+async function startRecording(page, dir, meta = {}) {
+  fs.mkdirSync(path.join(dir, "responses"), { recursive: true });
+  fs.mkdirSync(path.join(dir, "pages"), { recursive: true });
+
+  // Make sure every response actually goes over the wire so we see its body
+  await page.setCacheEnabled(false);
+
+  const recorder = {
+    dir,
+    manifest: {
+      recordedAt: new Date().toISOString(),
+      ...meta,
+      responses: [],
+      pages: [],
+    },
+    pending: new Set(),
+  };
+
+  page.on("response", (response) => {
+    const request = response.request();
+    const url = response.url();
+    if (!/^https?:/.test(url)) return;
+
+    const entry = {
+      key: requestKey(request.method(), url),
+      method: request.method(),
+      url,
+      resourceType: request.resourceType(),
+      status: response.status(),
+      headers: cleanHeaders(response.headers()),
+      bodyFile: null,
+    };
+    const index = recorder.manifest.responses.push(entry);
+
+    // Redirects have no body to save
+    if (entry.status >= 300 && entry.status < 400) return;
+
+    const task = response
+      .buffer()
+      .then((body) => {
+        entry.bodyFile = path.join(
+          "responses",
+          `${String(index).padStart(4, "0")}.bin`,
+        );
+        fs.writeFileSync(path.join(dir, entry.bodyFile), body);
+      })
+      .catch(() => {
+        // Body not available (aborted, evicted) - replay will send it empty
+      })
+      .finally(() => recorder.pending.delete(task));
+    recorder.pending.add(task);
+  });
+
+  console.log(`🎥 Recording session to ${dir}`);
+  return recorder;
+}
+
+// Save the current DOM under a label like "results-singles"
+async function snapshotPage(recorder, page, label) {
+  if (!recorder) return;
+  try {
+    const index = String(recorder.manifest.pages.length + 1).padStart(2, "0");
+    const file = path.join("pages", `${index}-${slugify(label)}.html`);
+    fs.writeFileSync(path.join(recorder.dir, file), await page.content());
+    recorder.manifest.pages.push({ label, url: page.url(), file });
+  } catch (e) {
+    console.log(`   ⚠️  Could not snapshot ${label}: ${e.message}`);
+  }
+}
+
+// Wait for bodies still being read, then write the manifest
+async function finishRecording(recorder) {
+  if (!recorder) return;
+  if (recorder.pending.size > 0) {
+    await Promise.all(Array.from(recorder.pending));
+  }
+  fs.writeFileSync(
+    path.join(recorder.dir, MANIFEST_FILE),
+    JSON.stringify(recorder.manifest, null, 2),
+  );
+  console.log(
+    `🎥 Recorded ${recorder.manifest.responses.length} responses and ${recorder.manifest.pages.length} page snapshots to ${recorder.dir}`,
+  );
+}
+
+function loadRecording(dir) {
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`No recording found at ${manifestPath}`);
+  }
+  return JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+}
+
+// Serve a recording back to the page. Requests for the same URL are answered
+// in the order they were recorded (the last one repeats); anything that was
+// never recorded gets a 404 so nothing reaches the network.
+async function startReplay(page, dir) {
+  const manifest = loadRecording(dir);
+  const queues = new Map();
+  manifest.responses.forEach((entry) => {
+    if (!queues.has(entry.key)) queues.set(entry.key, []);
+    queues.get(entry.key).push(entry);
+  });
+
+  const replay = { dir, manifest, served: 0, missed: [] };
+
+  await page.setRequestInterception(true);
+  page.on("request", (request) => {
+    const url = request.url();
+    if (!/^https?:/.test(url)) {
+      request.continue();
+      return;
+    }
+
+    const queue = queues.get(requestKey(request.method(), url));
+    if (!queue || queue.length === 0) {
+      replay.missed.push(`${request.method()} ${url}`);
+      request.respond({ status: 404, contentType: "text/plain", body: "" });
+      return;
+    }
+
+    const entry = queue.length > 1 ? queue.shift() : queue[0];
+    const body = entry.bodyFile
+      ? fs.readFileSync(path.join(dir, entry.bodyFile))
+      : "";
+    replay.served++;
+    request.respond({ status: entry.status, headers: entry.headers, body });
+  });
+
+  console.log(
+    `▶️  Replaying ${manifest.responses.length} recorded responses from ${dir} (recorded ${manifest.recordedAt})`,
+  );
+  return replay;
+}
+
+module.exports = {
+  startRecording,
+  snapshotPage,
+  finishRecording,
+  startReplay,
+  loadRecording,
+};
@@ -0,0 +1,95 @@
+// session-store.js - Reuse the UTR login session between runs, encrypted
+// Logging in is the slowest part of a scrape, so after a successful login the
+// session cookies are saved to the cache store (see cache-store.js) and the
+// next run - on any Lambda instance - starts already signed in. Cookies are
+// encrypted with UTR_SESSION_KEY (see crypto-box.js) and never written in the
+// clear; without a key, sessions simply aren't saved.
+
+const crypto = require("crypto");
+const { parseKey, encryptJson, decryptJson } = require("./crypto-box");
+
+const SESSION_KEY_ENV = "UTR_SESSION_KEY";
+
+// Key from UTR_SESSION_KEY (base64 or hex, 32 bytes), or null when unset
+function sessionKeyFromEnv(value = process.env[SESSION_KEY_ENV]) {
+  return parseKey(value, SESSION_KEY_ENV);
+}
+
+// Cookies that keep us signed in (UTR's jwt, the stub's utr_stub_session...).
+// Analytics and tracking cookies expire all the time and don't matter here.
+const AUTH_COOKIE = /jwt|token|session|auth/i;
+
+// When the session stops working: the earliest expiry among the auth cookies
+// that have one. Browser-session cookies have none - the cache TTL covers
+// those.
+function sessionExpiry(cookies) {
+  const expiries = cookies
+    .filter((cookie) => AUTH_COOKIE.test(cookie.name || ""))
+    .map((cookie) => cookie.expires)
+    .filter((expires) => typeof expires === "number" && expires > 0);
+  if (expiries.length === 0) return null;
+  return new Date(Math.min(...expiries) * 1000).toISOString();
+}
+
+// One session per UTR account, without putting the email in the cache key
+function sessionId(account) {
+  const hash = crypto
+    .createHash("sha256")
+    .update(String(account || "default").toLowerCase())
+    .digest("hex");
+  return `session-${hash.substring(0, 16)}`;
+}
+
+// Saved session for account: { cookies, savedAt, expiresAt }, or null if
+// there is none, it has expired or it can't be decrypted
+async function loadSession(cache, { key, account }) {
+  if (!key) return null;
+  const id = sessionId(account);
+  const entry = await cache.get("auth", id);
+  if (!entry) return null;
+
+  let session;
+  try {
+    session = decryptJson(entry, key);
+  } catch (e) {
+    console.log("   ⚠️  Saved session could not be decrypted - ignoring it");
+    return null;
+  }
+  if (session.expiresAt && new Date(session.expiresAt) <= new Date()) {
+    console.log(`   Saved session expired at ${session.expiresAt}`);
+    await clearSession(cache, { account });
+    return null;
+  }
+  return session;
+}
+
+async function saveSession(cache, cookies, { key, account }) {
+  const session = {
+    cookies,
+    savedAt: new Date().toISOString(),
+    expiresAt: sessionExpiry(cookies),
+  };
+  await cache.set("auth", sessionId(account), encryptJson(session, key));
+  return session;
+}
+
+async function clearSession(cache, { account }) {
+  try {
+    await cache.remove("auth", sessionId(account));
+  } catch (e) {
+    // Nothing saved, or the store is unavailable - either way it's gone
+  }
+}
+
+function describeSession(cache, { account }) {
+  return cache.describe("auth", sessionId(account));
+}
+
+module.exports = {
+  SESSION_KEY_ENV,
+  sessionKeyFromEnv,
+  loadSession,
+  saveSession,
+  clearSession,
+  describeSession,
+};
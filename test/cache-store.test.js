@@ -0,0 +1,110 @@
+// cache-store.test.js - Unit tests for cache-store.js (memory backend)
+// Run with: npm test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  CACHE_TTL_DAYS,
+  createCacheStore,
+  memoryBackend,
+} = require("../cache-store");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+
+// An entry written straight to the backend, as an earlier run left it
+async function storeWith(entry, key = "profile-1") {
+  const backend = memoryBackend();
+  await backend.write(key, JSON.stringify(entry));
+  return createCacheStore(backend);
+}
+
+async function currentVersion() {
+  const backend = memoryBackend();
+  await createCacheStore(backend).set("profile", 1, {});
+  return JSON.parse(await backend.read("profile-1"))._cacheVersion;
+}
+
+test("set stores a stamped copy and leaves the caller's object alone", async () => {
+  const backend = memoryBackend();
+  const cache = createCacheStore(backend);
+  const data = { name: "Alex Rivera" };
+  await cache.set("profile", "1000001", data);
+
+  assert.deepEqual(data, { name: "Alex Rivera" });
+  const entry = await cache.get("profile", "1000001");
+  assert.equal(entry.name, "Alex Rivera");
+  assert.ok(entry._cacheVersion);
+  assert.ok(!isNaN(new Date(entry._cachedAt)));
+});
+
+test("get returns null for missing entries", async () => {
+  const cache = createCacheStore(memoryBackend());
+  assert.equal(await cache.get("profile", "missing"), null);
+});
+
+test("get drops entries from another cache version", async () => {
+  const cache = await storeWith({
+    _cacheVersion: "0.1",
+    _cachedAt: daysAgo(0),
+  });
+  assert.equal(await cache.get("profile", 1), null);
+});
+
+test("get drops entries older than the type's TTL", async () => {
+  const version = await currentVersion();
+  const fresh = daysAgo(CACHE_TTL_DAYS.profile - 1);
+  const stale = daysAgo(CACHE_TTL_DAYS.profile + 1);
+  assert.ok(
+    await (
+      await storeWith({ _cacheVersion: version, _cachedAt: fresh })
+    ).get("profile", 1),
+  );
+  assert.equal(
+    await (
+      await storeWith({ _cacheVersion: version, _cachedAt: stale })
+    ).get("profile", 1),
+    null,
+  );
+});
+
+test("opponent entries last longer than profiles", async () => {
+  const version = await currentVersion();
+  const cache = await storeWith(
+    { _cacheVersion: version, _cachedAt: daysAgo(CACHE_TTL_DAYS.profile + 1) },
+    "opponent-1",
+  );
+  assert.ok(await cache.get("opponent", 1));
+});
+
+test("CACHE_TTL_<TYPE>_DAYS overrides the TTL", async (t) => {
+  const version = await currentVersion();
+  const cache = await storeWith({
+    _cacheVersion: version,
+    _cachedAt: daysAgo(3),
+  });
+  process.env.CACHE_TTL_PROFILE_DAYS = "2";
+  t.after(() => delete process.env.CACHE_TTL_PROFILE_DAYS);
+  assert.equal(await cache.get("profile", 1), null);
+  process.env.CACHE_TTL_PROFILE_DAYS = "5";
+  assert.ok(await cache.get("profile", 1));
+});
+
+test("maxAgeDays and the store's ttls override the defaults", async () => {
+  const version = await currentVersion();
+  const entry = { _cacheVersion: version, _cachedAt: daysAgo(3) };
+  const cache = await storeWith(entry);
+  assert.equal(await cache.get("profile", 1, { maxAgeDays: 1 }), null);
+
+  const backend = memoryBackend();
+  await backend.write("widget-1", JSON.stringify(entry));
+  const custom = createCacheStore(backend, { ttls: { widget: 2 } });
+  assert.equal(await custom.get("widget", 1), null);
+});
+
+test("remove deletes the entry", async () => {
+  const cache = createCacheStore(memoryBackend());
+  await cache.set("auth", "me", { cookies: [] });
+  await cache.remove("auth", "me");
+  assert.equal(await cache.get("auth", "me"), null);
+});
@@ -0,0 +1,119 @@
+// credentials.test.js - Unit tests for credentials.js
+// Runs utr-stub-server.js as the secrets extension. Run with: npm test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { resolveCredentials } = require("../credentials");
+const { encryptJson } = require("../crypto-box");
+const { createStubServer } = require("../utr-stub-server");
+
+const server = createStubServer();
+let endpoint;
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "utr-credentials-"));
+
+test.before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  endpoint = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// Which providers have credentials: env, encrypted, secrets, plaintext
+function envWith(...providers) {
+  const env = {
+    SECRETS_EXTENSION_ENDPOINT: endpoint,
+    UTR_CREDENTIALS_FILE: path.join(tmpDir, "missing.enc.json"),
+    SECRETS_PATH: path.join(tmpDir, "missing.json"),
+  };
+  if (providers.includes("env")) {
+    env.UTR_EMAIL = "env@example.com";
+    env.UTR_PASSWORD = "env-password";
+  }
+  if (providers.includes("encrypted")) {
+    const key = crypto.randomBytes(32);
+    env.UTR_CREDENTIALS_FILE = path.join(tmpDir, "secrets.enc.json");
+    env.UTR_CREDENTIALS_KEY = key.toString("base64");
+    const box = encryptJson(
+      { email: "file@example.com", password: "file-password" },
+      key,
+    );
+    fs.writeFileSync(env.UTR_CREDENTIALS_FILE, JSON.stringify(box));
+  }
+  if (providers.includes("secrets")) {
+    env.AWS_SESSION_TOKEN = "stub";
+    env.UTR_SECRET_ID = "utr/login";
+  }
+  if (providers.includes("plaintext")) {
+    env.SECRETS_PATH = path.join(tmpDir, "secrets.json");
+    fs.writeFileSync(
+      env.SECRETS_PATH,
+      JSON.stringify({ email: "plain@example.com", password: "plain" }),
+    );
+  }
+  return env;
+}
+
+// resolveCredentials() with its console output captured
+async function resolve(t, options, env) {
+  const log = t.mock.method(console, "log", () => {});
+  const credentials = await resolveCredentials(options, { env });
+  log.mock.restore();
+  return { credentials, logged: log.mock.calls.map((c) => c.arguments[0]) };
+}
+
+test("resolveCredentials takes the first provider that has credentials", async (t) => {
+  const all = ["env", "encrypted", "secrets", "plaintext"];
+  const options = { email: "opt@example.com", password: "opt-password" };
+  const order = [
+    [options, all, "options", "opt@example.com"],
+    [null, all, "env", "env@example.com"],
+    [null, all.slice(1), "encrypted-file", "file@example.com"],
+    [null, all.slice(2), "secrets", "player@example.com"],
+    [null, all.slice(3), "plaintext-file", "plain@example.com"],
+  ];
+  for (const [fromOptions, providers, source, email] of order) {
+    const { credentials } = await resolve(
+      t,
+      fromOptions,
+      envWith(...providers),
+    );
+    assert.equal(credentials.source, source);
+    assert.equal(credentials.email, email);
+  }
+});
+
+test("resolveCredentials reads an SSM parameter through the extension", async (t) => {
+  const env = envWith();
+  env.AWS_SESSION_TOKEN = "stub";
+  env.UTR_SSM_PARAMETER = "/utr/login";
+  const { credentials } = await resolve(t, null, env);
+  assert.deepEqual(credentials, {
+    email: "player@example.com",
+    password: "stub-password",
+    source: "secrets",
+  });
+});
+
+test("resolveCredentials skips the extension without a session token", async (t) => {
+  const env = envWith("secrets", "plaintext");
+  delete env.AWS_SESSION_TOKEN;
+  const { credentials, logged } = await resolve(t, null, env);
+  assert.equal(credentials.source, "plaintext-file");
+  assert.ok(logged.some((line) => /secrets credentials.*401/.test(line)));
+});
+
+test("resolveCredentials returns null when the secret isn't found", async (t) => {
+  const env = envWith("secrets");
+  env.UTR_SECRET_ID = "utr/missing";
+  const { credentials, logged } = await resolve(t, null, env);
+  assert.equal(credentials, null);
+  assert.ok(logged.some((line) => /secrets credentials.*400/.test(line)));
+});
@@ -0,0 +1,45 @@
+// generate-full-review.test.js - Unit tests for generate-full-review.js
+// Run with: npm test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fixMatchData, generateStats } = require("../generate-full-review");
+const { normalizeSets } = require("../score-parser");
+
+const singles = (opponentId, opponent, won, date) => ({
+  date,
+  source: "network",
+  opponentId,
+  opponent,
+  won,
+  sets: normalizeSets(won ? ["6-3", "6-2"] : ["3-6", "2-6"]),
+});
+
+test("generateStats keeps namesake singles opponents apart by ID", () => {
+  const matches = fixMatchData(
+    [
+      singles("1000002", "Sam Cruz", true, "2025-03-01"),
+      singles("1000003", "Sam Cruz", false, "2025-03-08"),
+      singles("1000003", "Sam Cruz", false, "2025-03-15"),
+      singles(null, "Pat Lee", true, "2025-03-22"),
+      singles(null, "Pat Lee", true, "2025-03-29"),
+    ],
+    "Alex Rivera",
+    "singles",
+    2025,
+  );
+  const stats = generateStats(matches, "singles", "Alex Rivera");
+  assert.deepEqual(Object.keys(stats.opponents).sort(), [
+    "1000002",
+    "1000003",
+    "Pat Lee",
+  ]);
+  assert.deepEqual(
+    stats.frequentOpponents.map((o) => [o.name, o.record]),
+    [
+      ["Sam Cruz", "0-2"],
+      ["Pat Lee", "2-0"],
+      ["Sam Cruz", "1-0"],
+    ],
+  );
+});
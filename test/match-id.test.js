@@ -0,0 +1,88 @@
+// match-id.test.js - Unit tests for match-id.js
+// Run with: npm test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { matchId, assignMatchIds, canonicalMatch } = require("../match-id");
+const { normalizeSets } = require("../score-parser");
+
+const singles = (fields = {}) => ({
+  type: "singles",
+  date: "2025-03-08",
+  opponentId: "1000002",
+  opponent: "Jean-Luc O'Brien",
+  won: true,
+  sets: normalizeSets(["6-4", "7-6(3)"]),
+  ...fields,
+});
+
+test("matchId uses the UTR result ID when there is one", () => {
+  assert.equal(matchId(singles({ resultId: 98765 }), "1000001"), "utr-98765");
+});
+
+test("matchId hashes the canonical match without a result ID", () => {
+  const id = matchId(singles(), "1000001");
+  assert.match(id, /^hash-[0-9a-f]{16}$/);
+  assert.equal(matchId(singles(), "1000001"), id);
+});
+
+test("canonicalMatch is the same from either player's profile", () => {
+  const ours = singles();
+  const theirs = singles({
+    opponentId: "1000001",
+    opponent: "Alex Rivera",
+    won: false,
+    sets: normalizeSets(["4-6", "6-7(3)"]),
+  });
+  assert.equal(
+    canonicalMatch(ours, "1000001"),
+    canonicalMatch(theirs, "1000002"),
+  );
+  assert.equal(
+    canonicalMatch(ours, "1000001"),
+    "singles|2025-03-08|1000001|1000002|6-4 7-6",
+  );
+});
+
+test("canonicalMatch leaves out tiebreak points but keeps match tiebreaks", () => {
+  const withPoints = singles({
+    sets: normalizeSets(["6-4", "3-6", "1-0(10-6)"]),
+  });
+  const withoutPoints = singles({
+    sets: normalizeSets(["6-4", "3-6", "[10-6]"]),
+  });
+  assert.equal(
+    canonicalMatch(withPoints, "1000001"),
+    canonicalMatch(withoutPoints, "1000001"),
+  );
+  assert.match(canonicalMatch(withPoints, "1000001"), /\|6-4 3-6 10-6$/);
+});
+
+test("canonicalMatch falls back to the lowercased name without an ID", () => {
+  const match = singles({ opponentId: null, opponent: "  Sam de la Cruz " });
+  assert.match(canonicalMatch(match, "1000001"), /\|name:sam de la cruz\|/);
+});
+
+test("canonicalMatch sorts doubles teams and marks walkovers", () => {
+  const match = {
+    type: "doubles",
+    date: "2025-05-02",
+    partnerId: "1000005",
+    opponentIds: ["1000003", "1000002"],
+    won: true,
+    isWalkover: true,
+    sets: [],
+  };
+  assert.equal(
+    canonicalMatch(match, "1000001"),
+    "doubles|2025-05-02|1000001+1000005|1000002+1000003|walkover",
+  );
+});
+
+test("assignMatchIds gives every match an ID and drops repeats", () => {
+  const matches = [singles(), singles(), singles({ date: "2025-03-09" })];
+  const unique = assignMatchIds(matches, "1000001");
+  assert.equal(unique.length, 2);
+  assert.ok(unique.every((m) => m.id));
+  assert.notEqual(unique[0].id, unique[1].id);
+});
@@ -0,0 +1,102 @@
+// rating-series.test.js - Unit tests for rating-series.js
+// Run with: npm test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  MAX_GAP_DAYS,
+  normalizeSeries,
+  toReliability,
+  ratingAround,
+  weeklySeries,
+} = require("../rating-series");
+
+const point = (date, rating, reliability = null) => ({
+  date,
+  rating,
+  reliability,
+  source: "network",
+});
+
+test("normalizeSeries sorts, prefers API points and drops repeats", () => {
+  const series = normalizeSeries([
+    point("2025-03-10T00:00:00", 6.1),
+    { date: "2025-03-01", rating: 5.9, source: "dom" },
+    point("2025-03-01", 6.0),
+    point("2025-03-04", 6.0, 80),
+    point("2025-03-20", 0),
+  ]);
+  assert.deepEqual(series, [
+    point("2025-03-01", 6.0, 80),
+    point("2025-03-10", 6.1),
+  ]);
+});
+
+test("ratingAround uses points up to MAX_GAP_DAYS away", () => {
+  assert.equal(MAX_GAP_DAYS, 90);
+  const series = normalizeSeries([point("2025-01-01", 6.0)]);
+  // 2025-04-01 is 90 days after 2025-01-01
+  assert.deepEqual(ratingAround(series, "2025-04-01"), {
+    before: 6.0,
+    after: undefined,
+    beforeDate: "2025-01-01",
+    afterDate: null,
+    delta: null,
+    gap: false,
+  });
+  const tooFar = ratingAround(series, "2025-04-02");
+  assert.equal(tooFar.before, undefined);
+  assert.equal(tooFar.gap, true);
+});
+
+test("ratingAround gives the change between the points either side", () => {
+  const series = normalizeSeries([
+    point("2025-03-01", 6.0),
+    point("2025-03-15", 6.25),
+  ]);
+  const around = ratingAround(series, "2025-03-08");
+  assert.equal(around.delta, 0.25);
+  assert.equal(around.afterDate, "2025-03-15");
+});
+
+test("weeklySeries marks measured, carried and gap weeks", () => {
+  const series = normalizeSeries([
+    point("2025-01-06", 6.0),
+    point("2025-01-08", 6.1, 70),
+    point("2025-06-04", 6.3),
+  ]);
+  const weeks = new Map(
+    weeklySeries(series, { to: "2025-06-02" }).map((w) => [w.week, w]),
+  );
+  assert.deepEqual(weeks.get("2025-01-06"), {
+    week: "2025-01-06",
+    rating: 6.1,
+    reliability: 70,
+    status: "measured",
+  });
+  assert.equal(weeks.get("2025-01-13").status, "carried");
+  // Carried while the week ends within 90 days of 2025-01-08 (2025-04-08)
+  assert.equal(weeks.get("2025-03-31").status, "carried");
+  assert.equal(weeks.get("2025-04-07").status, "gap");
+  assert.equal(weeks.get("2025-04-07").rating, null);
+  assert.equal(weeks.get("2025-06-02").status, "measured");
+  assert.equal(weeks.get("2025-06-02").rating, 6.3);
+});
+
+test("toReliability reads fractions unless told it's a percentage", () => {
+  assert.equal(toReliability(0.85), 85);
+  assert.equal(toReliability(1), 100);
+  assert.equal(toReliability("0.4"), 40);
+  assert.equal(toReliability(85), 85);
+  assert.equal(toReliability(0.85, { percent: true }), 1);
+  assert.equal(toReliability(1, { percent: true }), 1);
+  assert.equal(toReliability(100, { percent: true }), 100);
+  assert.equal(toReliability(140), 100);
+  assert.equal(toReliability(-1), null);
+  assert.equal(toReliability(""), null);
+});
+
+test("normalizeSeries reads point reliability as a percentage", () => {
+  const [first] = normalizeSeries([point("2025-03-01", 6.0, 1)]);
+  assert.equal(first.reliability, 1);
+});
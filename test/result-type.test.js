@@ -0,0 +1,122 @@
+// result-type.test.js - Unit tests for result-type.js
+// Run with: npm test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  RESULT_TYPES,
+  resultMarker,
+  statusText,
+  resultTypeFromResult,
+  matchFormat,
+} = require("../result-type");
+const { normalizeSets } = require("../score-parser");
+const { fixMatchData } = require("../generate-full-review");
+
+test("resultMarker reads the card statuses", () => {
+  assert.equal(resultMarker("6 2 Ret.")?.type, RESULT_TYPES.RETIRED);
+  assert.equal(resultMarker("W/O")?.type, RESULT_TYPES.WALKOVER);
+  assert.equal(resultMarker("DEF")?.type, RESULT_TYPES.DEFAULT);
+  assert.equal(resultMarker("No-show")?.type, RESULT_TYPES.NO_SHOW);
+  assert.equal(resultMarker("Suspended")?.type, RESULT_TYPES.INCOMPLETE);
+  assert.equal(resultMarker("5.87 6 4 6.12 3 2"), null);
+});
+
+test("statusText leaves out event and player names", () => {
+  const rawText =
+    "Suspended Swing Open | Mar 8 Round of 16 Rhett Ret 5.87 6 6 Dee Default 6.12 3 2";
+  const names = [
+    "Suspended Swing Open",
+    "Round of 16",
+    "Rhett Ret",
+    "Dee Default",
+  ];
+  assert.equal(statusText(rawText, names), "| Mar 8 5.87 6 6 6.12 3 2");
+  assert.equal(resultMarker(statusText(rawText, names)), null);
+  assert.equal(
+    resultMarker(statusText(`${rawText} Ret.`, names))?.type,
+    RESULT_TYPES.RETIRED,
+  );
+});
+
+test("statusText takes a longer name out before a shorter one in it", () => {
+  assert.equal(statusText("Ret Retford 6 6", ["Ret", "Ret Retford"]), "6 6");
+});
+
+test("resultTypeFromResult only goes by the API's flags and outcome", () => {
+  assert.equal(resultTypeFromResult({ isRetired: true }), RESULT_TYPES.RETIRED);
+  assert.equal(
+    resultTypeFromResult({ outcome: "Abandoned" }),
+    RESULT_TYPES.INCOMPLETE,
+  );
+  assert.equal(resultTypeFromResult({}), RESULT_TYPES.COMPLETED);
+});
+
+test("matchFormat leaves the format of a short completed score unknown", () => {
+  const sets = normalizeSets(["6-3", "5-3"]);
+  assert.equal(matchFormat(sets, RESULT_TYPES.COMPLETED), null);
+  assert.equal(matchFormat(sets, RESULT_TYPES.RETIRED), "bestOf3");
+  assert.equal(
+    matchFormat(normalizeSets(["6-3", "6-4"]), RESULT_TYPES.COMPLETED),
+    "bestOf3",
+  );
+});
+
+test("fixMatchData keeps a match completed when names hold marker words", () => {
+  const card = (fields) => ({
+    date: "2025-03-08",
+    source: "dom",
+    sets: normalizeSets(["6-3", "6-2"]),
+    won: true,
+    ...fields,
+  });
+  const [byEvent, byOpponent, byOwnName] = fixMatchData(
+    [
+      card({
+        event: { name: "Suspended Swing Open" },
+        opponent: "Sam Cruz",
+        rawText:
+          "Suspended Swing Open | Mar 8 Alex Rivera 6.12 6 6 Sam Cruz 5.87 3 2",
+      }),
+      card({
+        event: { name: "DEF Series" },
+        opponent: "Rhett Ret",
+        rawText: "DEF Series | Mar 8 Alex Rivera 6.12 6 6 Rhett Ret 5.87 3 2",
+      }),
+      card({
+        event: { name: "Spring Open" },
+        opponent: "Sam Cruz",
+        rawText: "Spring Open | Mar 8 Dee Default 6.12 6 6 Sam Cruz 5.87 3 2",
+      }),
+    ],
+    "Dee Default",
+    "singles",
+    2025,
+  );
+  for (const match of [byEvent, byOpponent, byOwnName]) {
+    assert.equal(match.resultType, RESULT_TYPES.COMPLETED);
+    assert.equal(match.won, true);
+    assert.equal(match.format, "bestOf3");
+  }
+});
+
+test("fixMatchData keeps an unmarked short score completed", () => {
+  const [match] = fixMatchData(
+    [
+      {
+        date: "2025-03-08",
+        source: "network",
+        sets: normalizeSets(["6-3", "5-3"]),
+        won: true,
+        opponent: "Sam Cruz",
+        rawText: "",
+      },
+    ],
+    "Alex Rivera",
+    "singles",
+    2025,
+  );
+  assert.equal(match.resultType, RESULT_TYPES.COMPLETED);
+  assert.equal(match.format, null);
+  assert.equal(match.won, true);
+});
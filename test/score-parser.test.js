@@ -0,0 +1,138 @@
+// score-parser.test.js - Unit tests for score-parser.js
+// Run with: npm test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  SET,
+  MATCH_TIEBREAK,
+  parseDigitScores,
+  setFromScoreEntry,
+  parseSetString,
+  normalizeSets,
+  classifyFormat,
+  isFinishedScore,
+  formatScore,
+} = require("../score-parser");
+
+const set = (ours, theirs, tiebreak = null) => ({
+  games: [ours, theirs],
+  tiebreak,
+  type: SET,
+});
+const matchTiebreak = (ours, theirs) => ({
+  games: ours > theirs ? [1, 0] : [0, 1],
+  tiebreak: [ours, theirs],
+  type: MATCH_TIEBREAK,
+});
+
+test("parseDigitScores reads tiebreak points run into the set", () => {
+  const sets = parseDigitScores("677", "363");
+  assert.deepEqual(sets, [set(6, 3), set(7, 6, [7, 3])]);
+  assert.equal(formatScore(sets), "6-3 7-6(3)");
+});
+
+test("parseDigitScores reads a match tiebreak after split sets", () => {
+  const sets = parseDigitScores("56110", "7106");
+  assert.deepEqual(sets, [set(5, 7), set(6, 1), matchTiebreak(10, 6)]);
+  assert.equal(formatScore(sets), "5-7 6-1 [10-6]");
+});
+
+test("parseDigitScores uses the spacing between sets on DOM cards", () => {
+  const sets = parseDigitScores("6 3 08", "4 6 1");
+  assert.deepEqual(sets, [set(6, 4), set(3, 6), matchTiebreak(8, 10)]);
+});
+
+test("parseDigitScores returns [] without digits on both sides", () => {
+  assert.deepEqual(parseDigitScores("", ""), []);
+  assert.deepEqual(parseDigitScores("63", ""), []);
+});
+
+test("setFromScoreEntry orders games and points from our side", () => {
+  assert.deepEqual(
+    setFromScoreEntry({ winner: 7, loser: 6, tiebreak: 3 }, true),
+    set(7, 6, [7, 3]),
+  );
+  assert.deepEqual(
+    setFromScoreEntry({ winner: 7, loser: 6, tiebreak: 3 }, false),
+    set(6, 7, [3, 7]),
+  );
+  assert.deepEqual(
+    setFromScoreEntry({ winner: 6, loser: 2 }, false),
+    set(2, 6),
+  );
+});
+
+test("setFromScoreEntry reads a last set as a match tiebreak", () => {
+  assert.deepEqual(
+    setFromScoreEntry({ winner: 10, loser: 6 }, false, { isLast: true }),
+    matchTiebreak(6, 10),
+  );
+  assert.deepEqual(
+    setFromScoreEntry({ winner: 1, loser: 0, tiebreak: 6 }, true, {
+      isLast: true,
+    }),
+    matchTiebreak(10, 6),
+  );
+});
+
+test("setFromScoreEntry returns null without games", () => {
+  assert.equal(setFromScoreEntry({}, true), null);
+  assert.equal(setFromScoreEntry(null, true), null);
+});
+
+test("parseSetString reads the set strings older scrapes saved", () => {
+  assert.deepEqual(parseSetString("6-4"), set(6, 4));
+  assert.deepEqual(parseSetString("7-6(3)"), set(7, 6, [7, 3]));
+  assert.deepEqual(parseSetString("7-6(7-3)"), set(7, 6, [7, 3]));
+  assert.deepEqual(parseSetString("1-0(10-6)"), matchTiebreak(10, 6));
+  assert.deepEqual(parseSetString("[10-6]"), matchTiebreak(10, 6));
+  assert.deepEqual(parseSetString("10-6"), matchTiebreak(10, 6));
+  assert.equal(parseSetString("junk"), null);
+});
+
+test("parseSetString only reads a bare 1-0 as a match tiebreak when deciding", () => {
+  assert.deepEqual(parseSetString("1-0"), set(1, 0));
+  assert.deepEqual(parseSetString("1-0", { isDecider: true }), {
+    games: [1, 0],
+    tiebreak: null,
+    type: MATCH_TIEBREAK,
+  });
+});
+
+test("normalizeSets fills tiebreak points saved apart from the sets", () => {
+  assert.deepEqual(normalizeSets(["7-6", "6-4"], ["7-3"]), [
+    set(7, 6, [7, 3]),
+    set(6, 4),
+  ]);
+});
+
+test("normalizeSets keeps structured sets and drops unreadable ones", () => {
+  assert.deepEqual(normalizeSets([set(6, 3), "junk", "6-2"]), [
+    set(6, 3),
+    set(6, 2),
+  ]);
+  assert.deepEqual(normalizeSets(null), []);
+});
+
+test("classifyFormat tells the match formats apart", () => {
+  const format = (sets) => classifyFormat(normalizeSets(sets));
+  assert.equal(format(["6-3", "7-6(3)"]), "bestOf3");
+  assert.equal(format(["6-3", "3-6", "1-0(10-6)"]), "matchTiebreak");
+  assert.equal(format(["6-3", "3-6", "6-4", "6-1"]), "bestOf5");
+  assert.equal(format(["6-3"]), "oneSet");
+  assert.equal(format(["8-5"]), "proSet");
+  assert.equal(format(["4-2", "4-1"]), "shortSets");
+  assert.equal(format(["4-3(5-3)", "4-1"]), "fast4");
+  assert.equal(classifyFormat([]), null);
+});
+
+test("classifyFormat doesn't read a retired standard set as short sets", () => {
+  const format = (sets) => classifyFormat(normalizeSets(sets));
+  assert.equal(format(["5-3"]), "oneSet");
+  assert.equal(format(["6-3", "5-3"]), "bestOf3");
+  assert.equal(format(["5-4"]), "oneSet");
+  assert.equal(format(["5-4(7-3)", "4-2"]), "shortSets");
+  assert.equal(format(["4-2", "3-1"]), "shortSets");
+  assert.equal(isFinishedScore(normalizeSets(["6-3", "5-3"])), false);
+});
@@ -0,0 +1,113 @@
+// scraper-full.test.js - Unit tests for scraper-full.js
+// Run with: npm test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { calculateUtrDeltas } = require("../scraper-full");
+const { normalizeSeries } = require("../rating-series");
+
+const history = (...points) =>
+  normalizeSeries(
+    points.map(([date, rating]) => ({ date, rating, source: "network" })),
+  );
+
+const results = ({ singles = [], doubles = [], opponents = {} } = {}) => ({
+  singlesMatches: singles,
+  doublesMatches: doubles,
+  singlesHistory: history(["2025-03-01", 6.0], ["2025-03-15", 6.3]),
+  doublesHistory: history(["2025-03-01", 6.5], ["2025-03-15", 6.4]),
+  opponentHistories: opponents,
+});
+
+const singles = (date, fields = {}) => ({
+  type: "singles",
+  date,
+  opponentId: "1000002",
+  resultType: "completed",
+  ...fields,
+});
+
+const opponent = {
+  history: history(["2025-03-01", 5.5], ["2025-03-15", 5.2]),
+};
+
+test("matches between the same two snapshots split the rating change", () => {
+  const data = results({
+    singles: [singles("2025-03-08"), singles("2025-03-05")],
+    opponents: { 1000002: opponent },
+  });
+  calculateUtrDeltas(data);
+  const [later, earlier] = data.singlesMatches;
+  assert.equal(earlier.myUtrBefore, 6.0);
+  assert.equal(earlier.myUtrAfter, 6.15);
+  assert.equal(earlier.myUtrDelta, 0.15);
+  assert.equal(later.myUtrBefore, 6.15);
+  assert.equal(later.myUtrAfter, 6.3);
+  assert.equal(later.opponentUtrDelta, -0.15);
+  assert.deepEqual(later.ratingSnapshots.mine, {
+    before: "2025-03-01",
+    after: "2025-03-15",
+    splitAcross: 2,
+  });
+  assert.equal(later.opponentHistoryMissing, false);
+  assert.equal(later.ratingGap, false);
+});
+
+test("a walkover gets no rating change and takes no share of one", () => {
+  const data = results({
+    singles: [
+      singles("2025-03-05", { resultType: "walkover", myUtrDelta: 0.3 }),
+      singles("2025-03-08"),
+    ],
+    opponents: { 1000002: opponent },
+  });
+  calculateUtrDeltas(data);
+  const [walkover, played] = data.singlesMatches;
+  assert.equal("myUtrDelta" in walkover, false);
+  assert.equal("ratingSnapshots" in walkover, false);
+  assert.equal(walkover.opponentHistoryMissing, false);
+  assert.equal(played.myUtrDelta, 0.3);
+  assert.equal(played.ratingSnapshots.mine.splitAcross, 1);
+});
+
+test("a retirement counts like a completed match", () => {
+  const data = results({
+    singles: [singles("2025-03-08", { resultType: "retired" })],
+    opponents: { 1000002: opponent },
+  });
+  calculateUtrDeltas(data);
+  const [retired] = data.singlesMatches;
+  assert.equal(retired.myUtrDelta, 0.3);
+  assert.equal(retired.opponentUtrDelta, -0.3);
+});
+
+test("a missing opponent history is flagged the same way in both types", () => {
+  const data = results({
+    singles: [singles("2025-03-08", { opponentId: "1000009" })],
+    doubles: [
+      {
+        type: "doubles",
+        date: "2025-03-08",
+        partnerId: "1000005",
+        opponentIds: ["1000002", "1000003"],
+        resultType: "completed",
+      },
+    ],
+    opponents: {
+      1000002: {
+        ...opponent,
+        doublesHistory: history(["2025-03-01", 5.0], ["2025-03-15", 5.1]),
+      },
+    },
+  });
+  calculateUtrDeltas(data);
+  const [single] = data.singlesMatches;
+  const [double] = data.doublesMatches;
+  for (const match of [single, double]) {
+    assert.equal(match.opponentHistoryMissing, true);
+    assert.equal(match.opponentUtrBefore, undefined);
+    assert.deepEqual(match.ratingSnapshots.opponents, []);
+  }
+  assert.equal(single.myUtrDelta, 0.3);
+  assert.equal(double.myUtrDelta, -0.1);
+});
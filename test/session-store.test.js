@@ -0,0 +1,45 @@
+// session-store.test.js - Unit tests for session-store.js
+// Run with: npm test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { saveSession, loadSession } = require("../session-store");
+const { createCacheStore, memoryBackend } = require("../cache-store");
+
+const key = crypto.randomBytes(32);
+const inDays = (days) => Math.floor(Date.now() / 1000) + days * 86400;
+
+test("the session expires with its auth cookie, not tracking cookies", async () => {
+  const cache = createCacheStore(memoryBackend());
+  const session = await saveSession(
+    cache,
+    [
+      { name: "_ga", value: "x", expires: inDays(0.01) },
+      { name: "jwt", value: "y", expires: inDays(20) },
+    ],
+    { key, account: "player@example.com" },
+  );
+  assert.equal(
+    Math.round((new Date(session.expiresAt) - Date.now()) / 86400000),
+    20,
+  );
+  const loaded = await loadSession(cache, {
+    key,
+    account: "player@example.com",
+  });
+  assert.equal(loaded.cookies.length, 2);
+});
+
+test("a session without dated auth cookies is left to the cache TTL", async () => {
+  const cache = createCacheStore(memoryBackend());
+  const session = await saveSession(
+    cache,
+    [
+      { name: "_ga", value: "x", expires: inDays(1) },
+      { name: "utr_stub_session", value: "1000001", expires: -1 },
+    ],
+    { key, account: "player@example.com" },
+  );
+  assert.equal(session.expiresAt, null);
+});
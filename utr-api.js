@@ -0,0 +1,413 @@
+// utr-api.js - Turn the JSON the UTR web app loads into scraper records
+// The profile pages fetch results, rating history and profile data from the
+// UTR API as they render. The scraper listens to those responses (see
+// attachNetworkCapture in scraper-full.js) and these helpers turn the payloads
+// into the same match/history shapes the DOM parser produces.
+
+const { setFromScoreEntry } = require("./score-parser");
+const {
+  RESULT_TYPES,
+  resultTypeFromResult,
+  matchFormat,
+} = require("./result-type");
+const { normalizeSeries, toReliability } = require("./rating-series");
+
+// Work out which kind of payload a response URL carries
+// e.g. https://api.utrsports.net/v4/player/904826/results?type=singles
+function classifyApiResponse(url) {
+  if (!url) return null;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return null;
+  }
+
+  const type = parsed.searchParams.get("type");
+  const matchType =
+    type && /doubles/i.test(type)
+      ? "doubles"
+      : type && /singles/i.test(type)
+        ? "singles"
+        : null;
+
+  const resultsMatch = parsed.pathname.match(/\/player\/(\d+)\/results/i);
+  if (resultsMatch) {
+    return { kind: "results", playerId: resultsMatch[1], matchType };
+  }
+
+  const historyMatch = parsed.pathname.match(
+    /\/player\/(\d+)\/(?:stats|rating-?history)/i,
+  );
+  if (historyMatch) {
+    return { kind: "ratingHistory", playerId: historyMatch[1], matchType };
+  }
+
+  const profileMatch = parsed.pathname.match(
+    /\/player\/(\d+)(?:\/profile)?\/?$/i,
+  );
+  if (profileMatch) {
+    return { kind: "profile", playerId: profileMatch[1], matchType };
+  }
+
+  return null;
+}
+
+// Dates come back as ISO timestamps ("2025-03-08T00:00:00") - keep YYYY-MM-DD
+function toIsoDate(value) {
+  if (!value) return null;
+  if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+    return value.substring(0, 10);
+  }
+  const d = new Date(value);
+  if (isNaN(d)) return null;
+  return d.toISOString().split("T")[0];
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = typeof value === "number" ? value : parseFloat(value);
+  return isNaN(n) ? null : n;
+}
+
+function playerDisplayName(player) {
+  if (!player) return "";
+  return (
+    player.displayName ||
+    [player.firstName, player.lastName].filter(Boolean).join(" ") ||
+    player.name ||
+    ""
+  ).trim();
+}
+
+function playerRating(player, type) {
+  if (!player) return null;
+  const preferred =
+    type === "doubles"
+      ? (player.doublesUtr ?? player.myUtrDoubles)
+      : (player.singlesUtr ?? player.myUtrSingles);
+  return toNumber(preferred ?? player.utr ?? player.rating);
+}
+
+// Results arrive grouped as events -> draws -> results, but some endpoints
+// return a flat list. Walk whatever we got and collect the result objects,
+// along with the event and draw each one was listed under.
+function collectResults(payload) {
+  const found = [];
+  const visit = (node, context) => {
+    if (!node || typeof node !== "object") return;
+    if (Array.isArray(node)) {
+      node.forEach((child) => visit(child, context));
+      return;
+    }
+    if (node.players && node.score !== undefined) {
+      found.push({ result: node, ...context });
+      return;
+    }
+    let next = context;
+    if (Array.isArray(node.draws)) next = { ...context, event: node };
+    else if (Array.isArray(node.results) && context.event) {
+      next = { ...context, draw: node };
+    }
+    ["events", "draws", "results", "data"].forEach((key) => {
+      if (node[key]) visit(node[key], next);
+    });
+  };
+  visit(payload, { event: null, draw: null });
+  return found;
+}
+
+// Tournament, college dual, league or flex - from the API's type or the name
+function eventTypeFrom(label) {
+  const text = String(label || "").toLowerCase();
+  if (!text) return null;
+  if (/college|dual|ncaa|\bita\b/.test(text)) return "college";
+  if (/flex/.test(text)) return "flex";
+  if (/league|team/.test(text)) return "league";
+  if (/tournament|open|classic|championship|cup|event/.test(text)) {
+    return "tournament";
+  }
+  return null;
+}
+
+// "Riverside Tennis Center, Austin, TX" - the way the results page shows it
+function locationLabel(location) {
+  if (!location) return null;
+  if (typeof location === "string") return location;
+  const parts = [
+    location.name,
+    location.cityName || location.city,
+    location.stateAbbr || location.state,
+  ].filter(Boolean);
+  return parts.length > 0 ? parts.join(", ") : null;
+}
+
+// Event info for a result: { id, name, round, draw, location, type }
+function eventFromResult(result, event, draw) {
+  const source = event || result.event || null;
+  const round = result.round;
+  const info = {
+    id: source && source.id !== undefined ? String(source.id) : null,
+    name: (source && source.name) || result.eventName || null,
+    round:
+      (round && typeof round === "object" ? round.name : round) ||
+      result.roundName ||
+      null,
+    draw: (draw && draw.name) || result.drawName || null,
+    location: locationLabel(
+      (source && (source.location || source.venue)) || result.location,
+    ),
+    type: null,
+  };
+  info.type = eventTypeFrom(
+    source && (source.eventType || source.type || source.eventTypeName),
+  );
+  if (!info.type) info.type = eventTypeFrom(info.name);
+  return info.name || info.id ? info : null;
+}
+
+// Score entries are keyed by set number: { "1": { winner: 6, loser: 4 }, ... }
+// "winner"/"loser" refer to the match winner and loser, not the set winner
+function scoreEntries(score) {
+  if (!score) return [];
+  if (Array.isArray(score)) return score.filter(Boolean);
+  return Object.keys(score)
+    .filter((key) => /^\d+$/.test(key))
+    .sort((a, b) => parseInt(a) - parseInt(b))
+    .map((key) => score[key])
+    .filter(Boolean);
+}
+
+// Structured sets (see score-parser.js) from our side
+function setsFromScore(score, weWon) {
+  const entries = scoreEntries(score);
+  return entries
+    .map((entry, idx) =>
+      setFromScoreEntry(entry, weWon, { isLast: idx === entries.length - 1 }),
+    )
+    .filter(Boolean);
+}
+
+// Build one match record from a UTR result, seen from profileId's side
+function matchFromResult(
+  result,
+  { profileId, type, event = null, draw = null },
+) {
+  const players = result.players || {};
+  const winners = [players.winner1, players.winner2].filter(Boolean);
+  const losers = [players.loser1, players.loser2].filter(Boolean);
+  const idOf = (p) => (p && p.id !== undefined ? String(p.id) : null);
+
+  let weWon = null;
+  if (winners.some((p) => idOf(p) === String(profileId))) weWon = true;
+  else if (losers.some((p) => idOf(p) === String(profileId))) weWon = false;
+  else if (typeof result.isWinner === "boolean") weWon = result.isWinner;
+  if (weWon === null) return null;
+
+  const ourSide = weWon ? winners : losers;
+  const theirSide = weWon ? losers : winners;
+  const me =
+    ourSide.find((p) => idOf(p) === String(profileId)) || ourSide[0] || null;
+  const partner =
+    type === "doubles" ? ourSide.find((p) => p !== me) || null : null;
+
+  const match = {
+    type,
+    source: "network",
+    resultId: result.id !== undefined ? String(result.id) : null,
+    date: toIsoDate(result.date || result.resultDate || result.matchDate),
+    opponent: playerDisplayName(theirSide[0]),
+    opponentId: idOf(theirSide[0]),
+    myUtr: playerRating(me, type),
+    opponentUtr: playerRating(theirSide[0], type),
+    event: eventFromResult(result, event, draw),
+  };
+
+  if (type === "doubles") {
+    match.partner = playerDisplayName(partner) || null;
+    match.partnerId = idOf(partner);
+    match.opponents = theirSide.map(playerDisplayName);
+    match.opponentIds = theirSide.map(idOf).filter(Boolean);
+    // Team ratings: average of both players where we have them
+    const teamRating = (side) => {
+      const ratings = side
+        .map((p) => playerRating(p, type))
+        .filter((r) => r !== null);
+      return ratings.length > 0
+        ? ratings.reduce((sum, r) => sum + r, 0) / ratings.length
+        : null;
+    };
+    match.opponentUtr = teamRating(theirSide);
+  }
+
+  const sets = setsFromScore(result.score, weWon);
+  match.resultType = resultTypeFromResult(result);
+  if (match.resultType === RESULT_TYPES.WALKOVER) {
+    match.isWalkover = true;
+    match.sets = [];
+  } else {
+    match.sets = sets;
+  }
+  match.format = matchFormat(match.sets, match.resultType);
+  match.won = weWon;
+
+  return match;
+}
+
+// All matches for profileId found in a list of results payloads
+function parseResultsPayloads(payloads, { profileId, type }) {
+  const matches = [];
+  const seen = new Set();
+
+  payloads.forEach((payload) => {
+    collectResults(payload).forEach(({ result, event, draw }) => {
+      const key = result.id !== undefined ? String(result.id) : null;
+      if (key && seen.has(key)) return;
+      const match = matchFromResult(result, { profileId, type, event, draw });
+      if (!match || !match.date || !match.opponent) return;
+      if (key) seen.add(key);
+      matches.push(match);
+    });
+  });
+
+  return matches;
+}
+
+// Rating history as a series of { date, rating, reliability } points (see
+// rating-series.js)
+function parseRatingHistoryPayloads(payloads, { type = "singles" } = {}) {
+  const history = [];
+
+  const pointsFrom = (payload) => {
+    if (!payload) return [];
+    if (Array.isArray(payload)) return payload;
+    return (
+      payload.extendedRatingProfile?.history ||
+      payload.ratingHistory ||
+      payload.history ||
+      (type === "doubles"
+        ? payload.doublesHistory || payload.doubles?.history
+        : payload.singlesHistory || payload.singles?.history) ||
+      []
+    );
+  };
+
+  payloads.forEach((payload) => {
+    pointsFrom(payload).forEach((point) => {
+      if (!point) return;
+      const date = toIsoDate(
+        point.date || point.weekEnding || point.ratingDate,
+      );
+      const rating = toNumber(
+        point.rating ??
+          point.utr ??
+          (type === "doubles" ? point.doublesUtr : point.singlesUtr),
+      );
+      if (!date || rating === null || rating <= 0) return;
+      history.push({
+        date,
+        rating,
+        reliability: toReliability(
+          point.reliability ??
+            point.ratingReliability ??
+            (type === "doubles"
+              ? point.doublesReliability
+              : point.singlesReliability),
+        ),
+        source: "network",
+      });
+    });
+  });
+
+  return normalizeSeries(history);
+}
+
+// "rated", "projected" or "unrated" from the API's rating status label
+function ratingStatus(value) {
+  const text = String(value || "").toLowerCase();
+  if (!text) return null;
+  if (/project/.test(text)) return "projected";
+  if (/unrated|^ur$/.test(text)) return "unrated";
+  if (/rated|reliable/.test(text)) return "rated";
+  return null;
+}
+
+// Rating reliability as a percentage. "ratingProgress" is documented as
+// 0-100; other reliability fields follow toReliability()'s fraction rule.
+function reliabilityOf(progress, reliability) {
+  return toNumber(progress) !== null
+    ? toReliability(progress, { percent: true })
+    : toReliability(reliability);
+}
+
+function nameOf(value) {
+  if (!value) return null;
+  if (typeof value === "string") return value;
+  return value.name || value.displayName || value.clubName || null;
+}
+
+// "Austin, TX, USA" - from the location object, or its display string
+function playerLocation(p) {
+  const location = p.location || {};
+  if (typeof location === "string") return location;
+  if (location.display) return location.display;
+  const parts = [
+    location.cityName || location.city || p.city,
+    location.stateAbbr || location.state || p.state,
+    location.countryName || location.country || p.nationality,
+  ].filter(Boolean);
+  return parts.length > 0 ? parts.join(", ") : null;
+}
+
+// "M"/"F" from whatever the API spells it as
+function playerGender(value) {
+  const text = String(value || "").toLowerCase();
+  if (/^(m|boy)/.test(text)) return "M";
+  if (/^(f|w|girl)/.test(text)) return "F";
+  return null;
+}
+
+// Player header info from the profile payload. id is the profile's own ID
+// (the logged-in user's lives under auth.user in the page state).
+function parseProfilePayload(payload) {
+  if (!payload || typeof payload !== "object") return null;
+  const p = payload.player || payload.data || payload;
+  const name = playerDisplayName(p);
+  if (!name && p.id === undefined) return null;
+  const teams = (p.teams || p.playerTeams || []).map(nameOf).filter(Boolean);
+  const verified = p.isVerified ?? p.verified ?? p.utrVerified;
+  return {
+    id: p.id !== undefined ? String(p.id) : null,
+    name,
+    singlesUtr: toNumber(p.singlesUtr ?? p.myUtrSingles),
+    doublesUtr: toNumber(p.doublesUtr ?? p.myUtrDoubles),
+    location: playerLocation(p),
+    gender: playerGender(p.gender),
+    age: toNumber(p.age),
+    ageGroup: p.ageGroup || p.ageRange || null,
+    college: nameOf(p.playerCollege || p.college) || p.collegeName || null,
+    club: nameOf(p.playerClub || p.club) || p.clubName || null,
+    teams,
+    singlesReliability: reliabilityOf(
+      p.ratingProgressSingles,
+      p.singlesReliability,
+    ),
+    doublesReliability: reliabilityOf(
+      p.ratingProgressDoubles,
+      p.doublesReliability,
+    ),
+    singlesRatingStatus: ratingStatus(p.ratingStatusSingles),
+    doublesRatingStatus: ratingStatus(p.ratingStatusDoubles),
+    utrVerified: typeof verified === "boolean" ? verified : null,
+  };
+}
+
+module.exports = {
+  classifyApiResponse,
+  parseResultsPayloads,
+  parseRatingHistoryPayloads,
+  parseProfilePayload,
+  eventTypeFrom,
+  toIsoDate,
+};
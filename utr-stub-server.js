@@ -0,0 +1,476 @@
+// utr-stub-server.js - Local stand-in for app.utrsports.net for end-to-end runs
+// Serves the routes scraper-full.js visits from the fixtures in
+// fixtures/utr-stub: /login (two-step email/password form), /profiles/:id,
+// ?t=2 results (paged with "Load more") with the Singles/Doubles toggle, ?t=6
+// rating history with "Show all", and the /api JSON endpoints those pages load.
+//
+// Run with: node utr-stub-server.js [port]
+// Then point the scraper at it:
+//   UTR_BASE_URL=http://localhost:4010 node scraper-full.js 1000001 --force
+// Login with player@example.com / stub-password (see accounts.json).
+// Profile 1000009 has no results or history; any other password fails login.
+// Logging in as challenge@example.com answers with a captcha interstitial.
+//
+// It also plays the AWS Parameters and Secrets Lambda extension for
+// credentials.js, serving fixtures/utr-stub/aws-secrets.json:
+//   SECRETS_EXTENSION_ENDPOINT=http://localhost:4010 AWS_SESSION_TOKEN=stub \
+//     UTR_SECRET_ID=utr/login node scraper-full.js 1000001 --force
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_PORT = 4010;
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, "fixtures", "utr-stub");
+const SESSION_COOKIE = "utr_stub_session";
+const PREVIEW_HISTORY_POINTS = 3; // Points shown before "Show all" is clicked
+const RESULTS_PAGE_SIZE = 2; // Events per results page ("Load more" fetches the next)
+
+function loadAccounts(fixturesDir) {
+  const accountsPath = path.join(fixturesDir, "accounts.json");
+  if (!fs.existsSync(accountsPath)) return [];
+  return JSON.parse(fs.readFileSync(accountsPath, "utf8"));
+}
+
+function loadProfile(fixturesDir, profileId) {
+  if (!/^\d+$/.test(profileId)) return null;
+  const profilePath = path.join(fixturesDir, "profiles", `${profileId}.json`);
+  if (!fs.existsSync(profilePath)) return null;
+  return JSON.parse(fs.readFileSync(profilePath, "utf8"));
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  (header || "").split(";").forEach((part) => {
+    const [name, ...rest] = part.trim().split("=");
+    if (name) cookies[name] = decodeURIComponent(rest.join("="));
+  });
+  return cookies;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// /secretsmanager/get and /systemsmanager/parameters/get, shaped like the
+// extension's responses. Like the extension, requests need the session token.
+function handleSecrets(req, res, url, { fixturesDir }) {
+  if (!req.headers["x-aws-parameters-secrets-token"]) {
+    return sendJson(res, 401, { error: "Missing session token" });
+  }
+  const secretsPath = path.join(fixturesDir, "aws-secrets.json");
+  const store = fs.existsSync(secretsPath)
+    ? JSON.parse(fs.readFileSync(secretsPath, "utf8"))
+    : {};
+  if (url.pathname === "/secretsmanager/get") {
+    const id = url.searchParams.get("secretId");
+    const secret = store.secrets?.[id];
+    if (!secret) return sendJson(res, 400, { error: `Secret ${id} not found` });
+    return sendJson(res, 200, {
+      Name: id,
+      SecretString: JSON.stringify(secret),
+    });
+  }
+  const name = url.searchParams.get("name");
+  const parameter = store.parameters?.[name];
+  if (!parameter) {
+    return sendJson(res, 400, { error: `Parameter ${name} not found` });
+  }
+  return sendJson(res, 200, {
+    Parameter: {
+      Name: name,
+      Type: "SecureString",
+      Value: JSON.stringify(parameter),
+    },
+  });
+}
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function sendHtml(res, statusCode, html, headers = {}) {
+  res.writeHead(statusCode, {
+    "Content-Type": "text/html; charset=utf-8",
+    ...headers,
+  });
+  res.end(html);
+}
+
+// Every page carries window.INITIAL_STATE like the real app; the scraper's
+// login check reads auth.user.id from it and looks for a "Sign in" link
+function renderPage({ title, user, profile, body, script = "" }) {
+  const state = {
+    auth: user ? { user: { id: user.userId, firstName: user.firstName } } : {},
+    profile: profile ? { data: profile.player } : {},
+  };
+  return `<!doctype html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <title>${escapeHtml(title)} | UTR Stub</title>
+    <style>
+      body { font-family: sans-serif; margin: 2rem; }
+      .score-card { border: 1px solid #ccc; margin: 0.5rem 0; padding: 0.5rem; }
+      .team { display: flex; gap: 0.5rem; }
+      .type-menu { border: 1px solid #999; padding: 0.25rem; }
+    </style>
+    <script>window.INITIAL_STATE = ${JSON.stringify(state)};</script>
+  </head>
+  <body>
+    <header>${user ? `<span>Hi ${escapeHtml(user.firstName)}</span>` : '<a href="/login">Sign In</a>'}</header>
+    ${body}
+    <script>${script}</script>
+  </body>
+</html>`;
+}
+
+// What a bot check looks like from the scraper's side
+function renderChallenge(res) {
+  const body = `
+    <h1>Checking your browser before accessing UTR</h1>
+    <div class="h-captcha" data-sitekey="stub"></div>`;
+  sendHtml(
+    res,
+    403,
+    renderPage({ title: "Just a moment...", user: null, body, script: "" }),
+  );
+}
+
+function renderLogin(res, { error = null } = {}) {
+  const body = `
+    <h1>Log in to UTR</h1>
+    <form id="login-form" method="POST" action="/login">
+      <input type="email" name="email" placeholder="Email" />
+      <button type="button" id="continue-btn">Continue</button>
+      <div id="password-step" style="display: none">
+        <input type="password" name="password" placeholder="Password" />
+        <button type="submit">Log In</button>
+      </div>
+      <p class="login-error" role="alert">${error ? escapeHtml(error) : ""}</p>
+    </form>`;
+  // Two-step flow: the password field only appears after "Continue"
+  const script = `
+    document.getElementById("continue-btn").addEventListener("click", () => {
+      document.getElementById("password-step").style.display = "block";
+      document.getElementById("continue-btn").style.display = "none";
+    });`;
+  sendHtml(res, 200, renderPage({ title: "Login", user: null, body, script }));
+}
+
+// Client-side rendering of results/history from the /api endpoints, so the
+// scraper sees both the JSON responses and the rendered score cards
+const PROFILE_SCRIPT = `
+  const PROFILE_ID = document.body.dataset.profileId;
+  const RESULTS_PAGE_SIZE = ${RESULTS_PAGE_SIZE};
+  const TAB = document.body.dataset.tab;
+  const content = document.getElementById("tab-content");
+  let matchType = "singles";
+
+  function toggleHtml() {
+    const other = matchType === "singles" ? "doubles" : "singles";
+    return '<div class="type-select">' +
+      '<button class="type-toggle">' + matchType.toUpperCase() + '</button>' +
+      '<div class="type-menu" style="display: none">' +
+      '<div class="type-option" data-type="' + other + '">' + other.toUpperCase() + '</div>' +
+      '</div></div>';
+  }
+
+  function bindToggle(reload) {
+    const toggle = content.querySelector(".type-toggle");
+    const menu = content.querySelector(".type-menu");
+    toggle.addEventListener("click", () => { menu.style.display = "block"; });
+    content.querySelectorAll(".type-option").forEach((option) => {
+      option.addEventListener("click", () => {
+        matchType = option.dataset.type;
+        reload();
+      });
+    });
+  }
+
+  function playerName(p) { return p.firstName + " " + p.lastName; }
+  function rating(p) {
+    const r = matchType === "doubles" ? p.doublesUtr : p.singlesUtr;
+    return r ? r.toFixed(2) : "UR";
+  }
+  function shortDate(iso) {
+    return new Date(iso).toLocaleDateString("en-US", {
+      month: "short", day: "numeric", timeZone: "UTC",
+    });
+  }
+
+  function teamHtml(players, games, tiebreaks) {
+    const names = players.map((p) =>
+      '<a href="/profiles/' + p.id + '">' + playerName(p) + '</a>').join(" ");
+    const ratings = players.map((p) => '<span class="utr">' + rating(p) + '</span>').join(" ");
+    const scores = games.map((g, i) =>
+      '<span class="score">' + g + (tiebreaks[i] !== null ? '<sup>' + tiebreaks[i] + '</sup>' : '') + '</span>').join(" ");
+    return '<div class="team">' + names + ' ' + ratings + ' ' + scores + '</div>';
+  }
+
+  function cardHtml(eventName, result) {
+    const p = result.players;
+    const winners = [p.winner1, p.winner2].filter(Boolean);
+    const losers = [p.loser1, p.loser2].filter(Boolean);
+    const sets = Object.keys(result.score || {}).sort().map((k) => result.score[k]);
+    const header = '<div class="scorecard__header">' + eventName + ' | ' + shortDate(result.date) + '</div>' +
+      (result.round ? '<div class="scorecard__round">' + result.round.name + '</div>' : '');
+    if (String(result.outcome || "").toLowerCase() === "walkover") {
+      return '<div class="utr-card score-card">' + header +
+        teamHtml(winners, [], []) + '<div class="outcome">Walkover</div>' +
+        teamHtml(losers, [], []) + '</div>';
+    }
+    // The set loser's tiebreak points show as a superscript on their games
+    const winnerTb = sets.map((s) => s.tiebreak != null && s.winner < s.loser ? s.tiebreak : null);
+    const loserTb = sets.map((s) => s.tiebreak != null && s.loser < s.winner ? s.tiebreak : null);
+    return '<div class="utr-card score-card">' + header +
+      teamHtml(winners, sets.map((s) => s.winner), winnerTb) +
+      teamHtml(losers, sets.map((s) => s.loser), loserTb) + '</div>';
+  }
+
+  function eventLocation(location) {
+    return [location.name, location.cityName, location.stateAbbr].filter(Boolean).join(", ");
+  }
+
+  function eventDate(event) {
+    return new Date(event.startDate).toLocaleDateString("en-US", {
+      month: "short", day: "numeric", year: "numeric", timeZone: "UTC",
+    });
+  }
+
+  let loadedEvents = 0, wins = 0, losses = 0, cards = "";
+
+  async function loadResults(more) {
+    if (!more) {
+      loadedEvents = 0; wins = 0; losses = 0; cards = "";
+    }
+    const response = await fetch("/api/v4/player/" + PROFILE_ID + "/results?type=" + matchType +
+      "&skip=" + loadedEvents + "&top=" + RESULTS_PAGE_SIZE);
+    if (!response.ok) {
+      content.innerHTML = '<p>Sign in to see match results.</p>';
+      return;
+    }
+    const data = await response.json();
+    loadedEvents += data.events.length;
+    data.events.forEach((event) => {
+      // Event header carries the full date with year; card headers only "Mar 8"
+      cards += '<div class="eventItem">' +
+        '<a class="eventName" href="/events/' + event.id + '">' + event.name + '</a>' +
+        '<div class="eventDate">' + eventDate(event) + '</div>' +
+        (event.location ? '<div class="eventLocation">' + eventLocation(event.location) + '</div>' : '') +
+        (event.eventType ? '<div class="eventType">' + event.eventType + '</div>' : '');
+      event.draws.forEach((draw) => {
+        cards += '<div class="drawName">' + draw.name + '</div>';
+        draw.results.forEach((result) => {
+          const p = result.players;
+          const won = [p.winner1, p.winner2].some((x) => x && String(x.id) === PROFILE_ID);
+          if (won) wins++; else losses++;
+          cards += cardHtml(event.name, result);
+        });
+      });
+      cards += '</div>';
+    });
+    content.innerHTML = toggleHtml() +
+      '<div class="record">W/L: ' + wins + '-' + losses + '</div>' +
+      (cards || '<p class="empty">No results yet.</p>') +
+      (data.hasMore ? '<button class="load-more">Load more</button>' : '');
+    bindToggle(() => loadResults(false));
+    const loadMore = content.querySelector(".load-more");
+    if (loadMore) loadMore.addEventListener("click", () => loadResults(true));
+  }
+
+  async function loadHistory(showAll) {
+    const months = showAll ? -1 : 12;
+    const response = await fetch("/api/v1/player/" + PROFILE_ID + "/stats?type=" + matchType + "&months=" + months);
+    if (!response.ok) {
+      content.innerHTML = '<p>Sign in to see rating history.</p>';
+      return;
+    }
+    const data = await response.json();
+    const rows = data.extendedRatingProfile.history.slice().reverse().map((h) =>
+      '<tr class="rating-row"><td>' + h.date + '</td><td>' + h.rating.toFixed(2) + '</td></tr>').join("");
+    content.innerHTML = toggleHtml() +
+      '<table>' + (rows || '<tr><td>No rating history</td></tr>') + '</table>' +
+      (showAll || !data.hasMore ? '' : '<a href="#" class="show-all">Show all</a>');
+    bindToggle(() => loadHistory(false));
+    const link = content.querySelector(".show-all");
+    if (link) link.addEventListener("click", (e) => { e.preventDefault(); loadHistory(true); });
+  }
+
+  fetch("/api/v1/player/" + PROFILE_ID);
+  if (TAB === "2") loadResults(false);
+  if (TAB === "6") loadHistory(false);
+`;
+
+function renderProfile(res, { profile, user, tab }) {
+  const player = profile.player;
+  const name = `${player.firstName} ${player.lastName}`;
+  const body = `
+    <h1>${escapeHtml(name)}</h1>
+    <nav>
+      <a href="/profiles/${player.id}">Profile</a>
+      <a href="/profiles/${player.id}?t=2">Results</a>
+      <a href="/profiles/${player.id}?t=6">Stats</a>
+    </nav>
+    <main id="tab-content"></main>
+    <!-- After the results so the scraper's SINGLES/DOUBLES text search hits the toggle first -->
+    <div class="profile-ratings">
+      <div>Singles <span class="utr-value">${player.singlesUtr ? player.singlesUtr.toFixed(2) : "UR"}</span></div>
+      <div>Doubles <span class="utr-value">${player.doublesUtr ? player.doublesUtr.toFixed(2) : "UR"}</span></div>
+    </div>`;
+  const html = renderPage({
+    title: name,
+    user,
+    profile,
+    body,
+    script: PROFILE_SCRIPT,
+  }).replace(
+    "<body>",
+    `<body data-profile-id="${player.id}" data-tab="${tab}">`,
+  );
+  sendHtml(res, 200, html);
+}
+
+// Handle one /api request; results and history need a session like the real API
+function handleApi(res, url, { fixturesDir, user }) {
+  const match = url.pathname.match(
+    /^\/api\/v\d+\/player\/(\d+)(?:\/(results|stats))?$/,
+  );
+  if (!match) return sendJson(res, 404, { error: "Not found" });
+
+  const profile = loadProfile(fixturesDir, match[1]);
+  if (!profile) return sendJson(res, 404, { error: "Player not found" });
+  if (!match[2]) return sendJson(res, 200, profile.player);
+  if (!user) return sendJson(res, 401, { error: "Unauthorized" });
+
+  const type =
+    url.searchParams.get("type") === "doubles" ? "doubles" : "singles";
+  if (match[2] === "results") {
+    // Paged newest first like the real results tab: ?skip=<events>&top=<events>
+    const events = (profile.results[type] || { events: [] }).events;
+    const skip = parseInt(url.searchParams.get("skip")) || 0;
+    const top = parseInt(url.searchParams.get("top")) || events.length;
+    return sendJson(res, 200, {
+      events: events.slice(skip, skip + top),
+      hasMore: skip + top < events.length,
+    });
+  }
+
+  const history = profile.ratingHistory[type] || [];
+  const showAll = url.searchParams.get("months") === "-1";
+  return sendJson(res, 200, {
+    extendedRatingProfile: {
+      history: showAll ? history : history.slice(-PREVIEW_HISTORY_POINTS),
+    },
+    hasMore: history.length > PREVIEW_HISTORY_POINTS,
+  });
+}
+
+function createStubServer({ fixturesDir = DEFAULT_FIXTURES_DIR } = {}) {
+  const accounts = loadAccounts(fixturesDir);
+  const userFor = (req) => {
+    const session = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    return accounts.find((a) => String(a.userId) === session) || null;
+  };
+
+  return http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, `http://${req.headers.host}`);
+      const user = userFor(req);
+      console.log(`${req.method} ${url.pathname}${url.search}`);
+
+      if (url.pathname.startsWith("/api/")) {
+        return handleApi(res, url, { fixturesDir, user });
+      }
+
+      if (
+        url.pathname === "/secretsmanager/get" ||
+        url.pathname === "/systemsmanager/parameters/get"
+      ) {
+        return handleSecrets(req, res, url, { fixturesDir });
+      }
+
+      if (url.pathname === "/login" && req.method === "POST") {
+        const form = new URLSearchParams(await readBody(req));
+        if (
+          accounts.some((a) => a.challenge && a.email === form.get("email"))
+        ) {
+          return renderChallenge(res);
+        }
+        const account = accounts.find(
+          (a) =>
+            a.email === form.get("email") &&
+            a.password === form.get("password"),
+        );
+        if (!account) {
+          return renderLogin(res, { error: "Invalid email or password" });
+        }
+        res.writeHead(302, {
+          Location: "/",
+          "Set-Cookie": `${SESSION_COOKIE}=${account.userId}; Path=/; HttpOnly`,
+        });
+        return res.end();
+      }
+
+      if (url.pathname === "/login") return renderLogin(res);
+
+      const profileMatch = url.pathname.match(/^\/profiles\/(\d+)\/?$/);
+      if (profileMatch) {
+        const profile = loadProfile(fixturesDir, profileMatch[1]);
+        if (!profile) {
+          return sendHtml(
+            res,
+            404,
+            renderPage({
+              title: "Not found",
+              user,
+              body: "<h1>Not found</h1>",
+            }),
+          );
+        }
+        return renderProfile(res, {
+          profile,
+          user,
+          tab: url.searchParams.get("t") || "",
+        });
+      }
+
+      if (url.pathname === "/") {
+        return sendHtml(
+          res,
+          200,
+          renderPage({ title: "Home", user, body: "<h1>UTR Stub</h1>" }),
+        );
+      }
+
+      sendHtml(res, 404, "Not found");
+    } catch (e) {
+      console.error("Stub server error:", e);
+      sendJson(res, 500, { error: e.message });
+    }
+  });
+}
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2] || process.env.PORT || DEFAULT_PORT);
+  createStubServer().listen(port, () => {
+    console.log(`🎾 UTR stub server running at http://localhost:${port}`);
+    console.log(`   Fixtures: ${DEFAULT_FIXTURES_DIR}`);
+  });
+}
+
+module.exports = { createStubServer };